@@ -9,79 +9,221 @@ import express from 'express';
 import cors from 'cors';
 import dotenv from 'dotenv';
 import { InferenceHTTPClient } from '@roboflow/inference-sdk';
+import { addReadings, normalizeReading, parseTimestamp, queryReadings } from './server/readingsStore.js';
+import { deleteProfile, listProfiles, saveProfile, validateProfile } from './server/profilesStore.js';
+import { deleteCurve, listCurves, saveCurve, validateCurve } from './server/curvesStore.js';
+import { listRecordings, recordingPath, saveRecording, validateRecording } from './server/recordingsStore.js';
+import { listVideos, videoPath } from './server/videosStore.js';
+import { clipPath, deleteClip, listClips, saveClip, validateClipMeta } from './server/clipsStore.js';
+import { deletePreset, listPresets, savePreset, validatePreset } from './server/workflowPresetsStore.js';
+import { findWorkflow, loadWorkflows, toPublicWorkflow } from './server/workflowCatalog.js';
+import {
+  authenticate, clearSessionCookie, getAuthMethods, getRequestUser, isAuthEnabled, requireAuth, setSessionCookie
+} from './server/auth.js';
+import { createRateLimiter, rateLimit } from './server/rateLimit.js';
+import { createLogger, requestContext, traceSdk } from './server/logger.js';
+import { createCounter, createGauge, createHistogram, observeRequests, renderMetrics } from './server/metrics.js';
+import { addViewer, getLiveStates, publishLiveState, validateLiveState, viewerCount } from './server/liveFeed.js';
+import { acknowledgeAlert, checkAlerts, listAlerts, loadAlertConfig } from './server/alerts.js';
+import {
+  claimRenewal, getSession, listSessions, registerSession, releaseRenewal, releaseSlot, removeSession, reserveSlot,
+  startOrphanSweep, touchSession
+} from './server/sessionRegistry.js';
 
 // Load environment variables
 dotenv.config();
 
 const app = express();
+const log = createLogger('Server');
 const PORT = process.env.PORT || 3000;
 const isDev = process.env.NODE_ENV !== 'production';
 
-// Middleware
-app.use(cors());
-app.use(express.json());
+// Custom workflow specs run arbitrary workflows with our API key, so they are
+// only accepted in development unless ALLOW_CUSTOM_WORKFLOWS says otherwise
+const allowCustomWorkflows = process.env.ALLOW_CUSTOM_WORKFLOWS
+  ? process.env.ALLOW_CUSTOM_WORKFLOWS === '1'
+  : isDev;
+
+// Mock inference: MOCK_INFERENCE=1 answers the SDK calls locally instead of Roboflow.
+// werift is a dev dependency, so the stand-in is only loaded in this mode.
+const mockInference = process.env.MOCK_INFERENCE === '1'
+  ? await import('./server/mockInference.js')
+  : null;
 
 /**
- * POST /api/init-webrtc
- *
- * Proxies WebRTC initialization to Roboflow while keeping the API key secure.
- *
- * Request body:
- *   - offer: { sdp, type }
- *   - wrtcParams: { workflowSpec, imageInputName, streamOutputNames, ... }
- *
- * Response:
- *   - sdp: string
- *   - type: string
- *   - context: { request_id, pipeline_id }
+ * Resolve the API key and inference server the SDK should talk to.
+ * In mock mode, ROBOFLOW_SERVER_URL may point at a standalone `npm run mock`;
+ * otherwise the stand-in mounted under /mock-inference is used.
  */
+function getInferenceTarget() {
+  if (!mockInference) {
+    return { apiKey: process.env.ROBOFLOW_API_KEY, serverUrl: process.env.ROBOFLOW_SERVER_URL };
+  }
+  return {
+    apiKey: process.env.ROBOFLOW_API_KEY || 'mock',
+    serverUrl: process.env.ROBOFLOW_SERVER_URL || `http://localhost:${PORT}/mock-inference`
+  };
+}
 
-// server.js (top of file)
-const realFetch = globalThis.fetch;
+// Origins other than the app's own that may call the API (comma separated)
+const allowedOrigins = (process.env.ALLOWED_ORIGINS || '')
+  .split(',').map(origin => origin.trim()).filter(Boolean);
 
-if (!realFetch) {
-  console.error("No global fetch found. Are you running Node 18+?");
-} else {
-  globalThis.fetch = async (url, opts = {}) => {
-    const method = opts.method || "GET";
-    console.log("[SDK fetch]", method, url);
+function isAllowedOrigin(req) {
+  const origin = req.headers.origin;
+  if (!origin) return true;
+  try {
+    if (new URL(origin).host === req.headers.host) return true;
+  } catch (error) {
+    return false;
+  }
+  return allowedOrigins.includes(origin);
+}
+
+// Session starts are limited per user and per client IP, logins per IP
+const SESSION_STARTS_PER_HOUR = parseInt(process.env.SESSION_STARTS_PER_HOUR) || 30;
+const sessionStartLimiter = createRateLimiter({ limit: SESSION_STARTS_PER_HOUR, windowMs: 60 * 60 * 1000 });
+const sessionStartIpLimiter = createRateLimiter({ limit: SESSION_STARTS_PER_HOUR, windowMs: 60 * 60 * 1000 });
+const loginLimiter = createRateLimiter({ limit: 10, windowMs: 15 * 60 * 1000 });
+
+// Running pipelines: a cap on how many may run at once (0 for no limit), and
+// how long without a browser heartbeat before a pipeline counts as orphaned
+const MAX_CONCURRENT_SESSIONS = parseInt(process.env.MAX_CONCURRENT_SESSIONS ?? '5') || 0;
+const HEARTBEAT_TIMEOUT_MS = (parseInt(process.env.SESSION_HEARTBEAT_TIMEOUT) || 60) * 1000;
+// A pipeline may be renewed without a free slot this long before its processing timeout
+const RENEWAL_WINDOW_MS = 5 * 60 * 1000;
 
-    // Log minimal request headers (avoid dumping secrets)
-    if (opts.headers) {
-      const headersObj = opts.headers instanceof Headers
-        ? Object.fromEntries(opts.headers.entries())
-        : opts.headers;
+// Prometheus metrics (GET /api/metrics)
+const initRequests = createCounter(
+  'rf_init_webrtc_requests_total', 'Session start requests by outcome', ['outcome']
+);
+const initDuration = createHistogram(
+  'rf_init_webrtc_duration_seconds', 'Time to answer a session start request', ['outcome'],
+  [0.25, 0.5, 1, 2.5, 5, 10, 20, 30, 60]
+);
+const turnConfigFetches = createCounter(
+  'rf_turn_config_fetches_total', 'TURN config fetches by result (success, empty, failure)', ['result']
+);
+createGauge('rf_active_sessions', 'Running pipelines by plan and region', ['plan', 'region'], () => {
+  const counts = new Map();
+  for (const { plan, region } of listSessions()) {
+    const key = `${plan || 'default'}\n${region || 'default'}`;
+    counts.set(key, (counts.get(key) || 0) + 1);
+  }
+  return [...counts].map(([key, value]) => {
+    const [plan, region] = key.split('\n');
+    return { labels: { plan, region }, value };
+  });
+});
 
-      const redacted = { ...headersObj };
-      if (redacted.Authorization) redacted.Authorization = "Bearer ***REDACTED***";
-      if (redacted.authorization) redacted.authorization = "Bearer ***REDACTED***";
-      console.log("[SDK fetch headers]", redacted);
+// Reported by the browsers running sessions (POST /api/metrics/client)
+const clientDataMessages = createCounter(
+  'rf_client_data_messages_total', 'Data channel messages received by browsers'
+);
+const clientReconnects = createCounter(
+  'rf_client_reconnects_total', 'Streams reconnected by browsers after a drop'
+);
+const bottlesBySession = new Map();
+createGauge('rf_client_bottles_tracked', 'Bottles tracked across running sessions', [], () => {
+  let total = 0;
+  for (const [pipelineId, bottles] of bottlesBySession) {
+    if (getSession(pipelineId)) {
+      total += bottles;
+    } else {
+      bottlesBySession.delete(pipelineId);
     }
+  }
+  return [{ value: total }];
+});
 
-    const res = await realFetch(url, opts);
+createGauge('rf_live_viewers', 'Viewer pages following the live feed', [], () => [{ value: viewerCount() }]);
 
-    console.log("[SDK fetch response]", res.status, res.statusText, url);
-    console.log("[SDK fetch response headers]", Object.fromEntries(res.headers.entries()));
+// Upper bound for one report's counts, so a broken client can't skew totals much
+const MAX_CLIENT_COUNT = 100000;
 
-    // Try to read body safely without breaking downstream consumers:
-    // we must clone() because the SDK will read the body too.
-    try {
-      const text = await res.clone().text();
-      if (text && text.length) {
-        console.log("[SDK fetch response body]", text.slice(0, 4000));
-      }
-    } catch (e) {
-      console.log("[SDK fetch response body] <unavailable>", String(e));
-    }
+// Largest clip upload accepted (a continuous segment at a high bitrate stays well below it)
+const MAX_CLIP_BYTES = 500 * 1024 * 1024;
 
-    return res;
-  };
+/**
+ * Ask the inference server to stop a pipeline. Throws (with status 502) when
+ * the server refuses, so the session stays tracked; the SDK's
+ * terminatePipeline() ignores the response status.
+ */
+async function terminatePipeline(pipelineId) {
+  const { apiKey, serverUrl } = getInferenceTarget();
+  const client = InferenceHTTPClient.init({ apiKey, serverUrl });
+  const url = `${client.serverUrl}/inference_pipelines/${encodeURIComponent(pipelineId)}/terminate` +
+    `?api_key=${encodeURIComponent(apiKey)}`;
+  const response = await traceSdk(() => fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' }
+  }));
+  if (!response.ok) {
+    const error = new Error(`Terminating pipeline ${pipelineId} failed (${response.status})`);
+    error.status = 502;
+    throw error;
+  }
 }
 
+// TRUST_PROXY=1 when running behind a reverse proxy, so req.ip is the client's
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', Number(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
+}
 
+// Middleware
+app.use(requestContext());
+app.use((req, res, next) => {
+  if (isAllowedOrigin(req)) return next();
+  res.status(403).json({ error: `Origin not allowed: ${req.headers.origin}` });
+});
+app.use(cors({ origin: allowedOrigins, credentials: true }));
+app.use(express.json());
+app.use('/api', requireAuth({ publicPaths: ['/health', '/login', '/logout', '/me'] }));
 
+if (mockInference && !process.env.ROBOFLOW_SERVER_URL) {
+  app.use('/mock-inference', mockInference.createMockInferenceRouter());
+}
 
-app.post('/api/init-webrtc', async (req, res) => {
+/**
+ * Claim the renewal a session start asks for (see claimRenewal) as
+ * req.renewedSession. A claimed renewal replaces a running pipeline, so it
+ * skips the start rate limits; the route releases the claim.
+ */
+function claimRequestedRenewal(req, res, next) {
+  const pipelineId = req.body?.wrtcParams?.renewsPipelineId;
+  req.renewedSession = pipelineId
+    ? claimRenewal(pipelineId, { user: req.user, ip: req.ip, windowMs: RENEWAL_WINDOW_MS })
+    : null;
+  next();
+}
+
+/**
+ * POST /api/init-webrtc
+ *
+ * Proxies WebRTC initialization to Roboflow while keeping the API key secure.
+ *
+ * Request body:
+ *   - offer: { sdp, type }
+ *   - wrtcParams: { catalogId | workflowSpec, imageInputName, streamOutputNames, ... }
+ *     renewsPipelineId: running pipeline this one replaces; exempt from the session cap and the
+ *     start rate limits once per pipeline, for its own user (or client IP) within
+ *     RENEWAL_WINDOW_MS of its timeout
+ *
+ * Stored workflows must be in the workflow catalog (see GET /api/workflows);
+ * its I/O names and parameters are used where the request doesn't set them.
+ *
+ * Response:
+ *   - sdp: string
+ *   - type: string
+ *   - context: { request_id, pipeline_id }
+ */
+app.post('/api/init-webrtc', observeRequests({ counter: initRequests, histogram: initDuration }),
+  claimRequestedRenewal, rateLimit([
+    { limiter: sessionStartLimiter, key: req => req.renewedSession ? null : req.user },
+    { limiter: sessionStartIpLimiter, key: req => req.renewedSession ? null : req.ip }
+  ], 'Too many sessions started'), async (req, res) => {
+  let slotReserved = false;
+  const { renewedSession } = req;
   try {
     const { offer, wrtcParams } = req.body;
 
@@ -92,29 +234,49 @@ app.post('/api/init-webrtc', async (req, res) => {
       });
     }
 
-    // Validate workflow configuration (either spec or identifier)
+    // Validate workflow configuration (either spec or catalog workflow)
     const hasWorkflowSpec = wrtcParams?.workflowSpec;
-    const hasWorkflowIdentifier = wrtcParams?.workspaceName && wrtcParams?.workflowId;
+    const hasWorkflowIdentifier = wrtcParams?.catalogId || (wrtcParams?.workspaceName && wrtcParams?.workflowId);
 
     if (!wrtcParams || (!hasWorkflowSpec && !hasWorkflowIdentifier)) {
       return res.status(400).json({
-        error: 'Missing required field: wrtcParams must contain either workflowSpec OR (workspaceName + workflowId)'
+        error: 'Missing required field: wrtcParams must contain either workflowSpec OR catalogId'
+      });
+    }
+
+    if (hasWorkflowSpec && !allowCustomWorkflows) {
+      return res.status(403).json({
+        error: 'Custom workflow specs are disabled on this server (set ALLOW_CUSTOM_WORKFLOWS=1 to allow them)'
       });
     }
 
-    // Validate API key
-    const apiKey = process.env.ROBOFLOW_API_KEY;
+    const catalogWorkflow = hasWorkflowSpec ? null : await findWorkflow(wrtcParams);
+    if (!hasWorkflowSpec && !catalogWorkflow) {
+      return res.status(403).json({
+        error: `Workflow is not in the catalog: ${wrtcParams.catalogId || `${wrtcParams.workspaceName}/${wrtcParams.workflowId}`}`
+      });
+    }
+
+    // Validate API key (optional custom server URL)
+    const { apiKey, serverUrl } = getInferenceTarget();
     if (!apiKey) {
-      console.error('[Server] ROBOFLOW_API_KEY not set in environment');
+      log.error('ROBOFLOW_API_KEY not set in environment');
       return res.status(500).json({
         error: 'Server configuration error: API key not configured'
       });
     }
 
-    // Optional custom server URL
-    const serverUrl = process.env.ROBOFLOW_SERVER_URL;
-
-    console.log('[Server] Initializing WebRTC worker...');
+    // A replacement for a pipeline about to time out briefly runs next to
+    // it, so it doesn't count against the cap. Other starts naming a
+    // pipeline need a slot like any start.
+    if (!renewedSession) {
+      if (!reserveSlot(MAX_CONCURRENT_SESSIONS)) {
+        return res.status(429).json({
+          error: `Too many concurrent sessions (limit ${MAX_CONCURRENT_SESSIONS}), stop one and try again`
+        });
+      }
+      slotReserved = true;
+    }
 
     // Initialize Roboflow client
     const client = InferenceHTTPClient.init({
@@ -125,14 +287,19 @@ app.post('/api/init-webrtc', async (req, res) => {
     // Build workflow configuration (either spec or identifier)
     const workflowConfig = hasWorkflowSpec
       ? { workflowSpec: wrtcParams.workflowSpec }
-      : { workspaceName: wrtcParams.workspaceName, workflowId: wrtcParams.workflowId };
+      : { workspaceName: catalogWorkflow.workspaceName, workflowId: catalogWorkflow.workflowId };
 
-    // Prepare the config object, filtering out undefined values
+    // Prepare the config object, filtering out undefined values.
+    // Catalog defaults apply where the request leaves a field out.
     const config = {};
-    if (wrtcParams.imageInputName) config.imageInputName = wrtcParams.imageInputName;
-    if (wrtcParams.streamOutputNames) config.streamOutputNames = wrtcParams.streamOutputNames;
-    if (wrtcParams.dataOutputNames) config.dataOutputNames = wrtcParams.dataOutputNames;
-    if (wrtcParams.workflowParameters) config.workflowParameters = wrtcParams.workflowParameters;
+    const imageInputName = wrtcParams.imageInputName || catalogWorkflow?.imageInputName;
+    const streamOutputNames = wrtcParams.streamOutputNames || catalogWorkflow?.streamOutputNames;
+    const dataOutputNames = wrtcParams.dataOutputNames || catalogWorkflow?.dataOutputNames;
+    const workflowsParameters = { ...catalogWorkflow?.parameters, ...wrtcParams.workflowsParameters };
+    if (imageInputName) config.imageInputName = imageInputName;
+    if (streamOutputNames) config.streamOutputNames = streamOutputNames;
+    if (dataOutputNames) config.dataOutputNames = dataOutputNames;
+    if (Object.keys(workflowsParameters).length > 0) config.workflowsParameters = workflowsParameters;
     if (wrtcParams.threadPoolWorkers) config.threadPoolWorkers = wrtcParams.threadPoolWorkers;
     if (wrtcParams.processingTimeout) config.processingTimeout = wrtcParams.processingTimeout;
     if (wrtcParams.iceServers) config.iceServers = wrtcParams.iceServers;
@@ -157,56 +324,256 @@ app.post('/api/init-webrtc', async (req, res) => {
       requestParams.config = config;
     }
 
-    console.log('[Server] Calling initializeWebrtcWorker with params:', JSON.stringify(requestParams, null, 2));
+    log.debug('Initializing WebRTC worker', { params: requestParams });
 
     // Call Roboflow API
-    const answer = await client.initializeWebrtcWorker(requestParams);
+    const answer = await traceSdk(() => client.initializeWebrtcWorker(requestParams));
 
-    console.log('[Server] Full API response:', JSON.stringify(answer, null, 2));
-    console.log('[Server] WebRTC worker initialized:', {
+    log.debug('Worker answer', { answer });
+    log.info('WebRTC worker initialized', {
       pipelineId: answer?.context?.pipeline_id,
+      workflow: catalogWorkflow?.id || 'custom spec',
       region: wrtcParams.requestedRegion,
-      plan: wrtcParams.requestedPlan
+      plan: wrtcParams.requestedPlan,
+      renews: renewedSession?.pipelineId
     });
 
+    if (answer?.context?.pipeline_id) {
+      registerSession({
+        pipelineId: answer.context.pipeline_id,
+        user: req.user,
+        ip: req.ip,
+        workflow: catalogWorkflow?.id || 'custom spec',
+        plan: wrtcParams.requestedPlan,
+        region: wrtcParams.requestedRegion,
+        processingTimeout: wrtcParams.processingTimeout,
+        renews: renewedSession?.pipelineId
+      });
+    }
+
     // Return answer to frontend
     res.json(answer);
 
   } catch (error) {
-    console.error('[Server] Error initializing WebRTC worker:');
-    console.error('[Server] Error type:', error?.constructor?.name);
-    console.error('[Server] Error message:', error?.message || '(no message)');
-    console.error('[Server] Error stack:', error?.stack || '(no stack)');
-    
-    // Try to stringify the error to see all properties
-    try {
-      const errorDetails = {
-        name: error?.name,
-        message: error?.message,
-        stack: error?.stack,
-        ...Object.getOwnPropertyNames(error).reduce((acc, key) => {
-          try {
-            acc[key] = error[key];
-          } catch (e) {
-            acc[key] = '[unable to access]';
-          }
-          return acc;
-        }, {})
-      };
-      console.error('[Server] Full error details:', JSON.stringify(errorDetails, null, 2));
-    } catch (stringifyError) {
-      console.error('[Server] Could not stringify error:', stringifyError);
-      console.error('[Server] Raw error:', error);
-    }
+    log.error('Error initializing WebRTC worker', { error });
 
     const errorMessage = error?.message || error?.toString() || 'Failed to initialize WebRTC worker';
     res.status(500).json({
       error: errorMessage,
       details: error?.stack || 'No stack trace available'
     });
+  } finally {
+    if (slotReserved) releaseSlot();
+    if (renewedSession) releaseRenewal(renewedSession.pipelineId);
+  }
+});
+
+/**
+ * GET /api/sessions
+ *
+ * Response:
+ *   - sessions: [{ pipelineId, user, ip, workflow, plan, region, renews, replacedBy, startedAt, expiresAt,
+ *     lastHeartbeatAt }]
+ *   - maxConcurrent: session cap, 0 for no limit
+ */
+app.get('/api/sessions', (req, res) => {
+  res.json({ sessions: listSessions(), maxConcurrent: MAX_CONCURRENT_SESSIONS });
+});
+
+/**
+ * POST /api/sessions/:id/heartbeat
+ *
+ * Sent by the browser while a session runs. 404 means the session was
+ * terminated and the browser should stop.
+ */
+app.post('/api/sessions/:id/heartbeat', (req, res) => {
+  if (!touchSession(req.params.id)) {
+    return res.status(404).json({ error: `No running session: ${req.params.id}` });
+  }
+  res.json({ session: getSession(req.params.id) });
+});
+
+async function endSession(req, res) {
+  const session = getSession(req.params.id);
+  if (!session) {
+    return res.status(404).json({ error: `No running session: ${req.params.id}` });
+  }
+
+  try {
+    // Stays listed if terminating fails, so it can be ended again
+    await terminatePipeline(session.pipelineId);
+    removeSession(session.pipelineId);
+    log.info('Terminated session', { pipelineId: session.pipelineId, user: req.user });
+    res.json({ terminated: session.pipelineId });
+  } catch (error) {
+    log.error('Error terminating session', { error });
+    res.status(error.status || 500).json({ error: 'Failed to terminate session' });
+  }
+}
+
+/**
+ * DELETE /api/sessions/:id
+ *
+ * Terminates a running pipeline, whoever started it.
+ */
+app.delete('/api/sessions/:id', endSession);
+
+/**
+ * POST /api/sessions/:id/end
+ *
+ * Same as DELETE, for navigator.sendBeacon() when the page is closed.
+ */
+app.post('/api/sessions/:id/end', endSession);
+
+/**
+ * GET /api/live
+ *
+ * Response:
+ *   - states: latest { id, active, levels, bottles, publishedBy, updatedAt } of each publishing
+ *     page, least recently updated first; a page's state is dropped an hour after its last update
+ *   - viewers: number of connected viewer pages
+ */
+app.get('/api/live', (req, res) => {
+  res.json({ states: getLiveStates(), viewers: viewerCount() });
+});
+
+/**
+ * POST /api/live
+ *
+ * Published by the browser running a session whenever its bottle table
+ * changes, and with active: false when the session stops. The alert rules
+ * are checked against every published table, so only while a page publishes.
+ *
+ * Request body:
+ *   - active: whether the session is still running (default true)
+ *   - publisherId: identifies the publishing page, whose table and alert conditions are kept apart
+ *     from other pages' (optional; scoped to the user, or the client IP without login)
+ *   - levels: levels text, e.g. "#1=78.5, #2=40.1"
+ *   - bottles: [{ color, label, lost, averagePercent, refillCount, consumedPercent, consumedLiters,
+ *     msSinceLastDrink }]
+ *
+ * Response:
+ *   - viewers: number of connected viewer pages
+ *   - alerts: alerts this table fired
+ */
+app.post('/api/live', async (req, res) => {
+  const { state, error } = validateLiveState(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const publisher = `${req.user || req.ip}/${state.publisherId || ''}`;
+  publishLiveState(state, { publisher, publishedBy: req.user });
+  try {
+    const alerts = await checkAlerts(state, { user: req.user, publisher });
+    res.json({ viewers: viewerCount(), alerts });
+  } catch (error) {
+    log.error('Error checking alerts', { error });
+    res.json({ viewers: viewerCount(), alerts: [] });
+  }
+});
+
+/**
+ * GET /api/live/stream
+ *
+ * Server-Sent Events: a `state` event with each page's latest state on
+ * connect and on every publish, and a `removed` event ({ id }) when a page's
+ * state is dropped.
+ */
+app.get('/api/live/stream', addViewer);
+
+/**
+ * GET /api/alerts
+ *
+ * Response:
+ *   - alerts: fired alerts, newest first: [{ id, ruleId, type, color, label, message, value,
+ *     triggeredAt, acknowledged, deliveries: [{ host, status, attempts }] }]
+ *   - rules: the configured alert rules
+ *   - webhooks: number of configured webhooks
+ */
+app.get('/api/alerts', async (req, res) => {
+  try {
+    const { rules, webhooks } = await loadAlertConfig();
+    res.json({ alerts: await listAlerts(), rules, webhooks: webhooks.length });
+  } catch (error) {
+    log.error('Error loading alerts', { error });
+    res.status(500).json({ error: 'Failed to load alerts' });
+  }
+});
+
+/**
+ * POST /api/alerts/:id/ack
+ */
+app.post('/api/alerts/:id/ack', async (req, res) => {
+  try {
+    const alert = await acknowledgeAlert(req.params.id);
+    if (!alert) {
+      return res.status(404).json({ error: `Alert not found: ${req.params.id}` });
+    }
+    res.json({ alert });
+  } catch (error) {
+    log.error('Error acknowledging alert', { error });
+    res.status(500).json({ error: 'Failed to acknowledge alert' });
+  }
+});
+
+/**
+ * GET /api/me
+ *
+ * Response:
+ *   - authEnabled: whether the dashboard requires a login
+ *   - methods: { token, password } login methods that are configured
+ *   - user: logged in user name, or null
+ */
+app.get('/api/me', async (req, res) => {
+  try {
+    res.json({
+      authEnabled: await isAuthEnabled(),
+      methods: await getAuthMethods(),
+      user: getRequestUser(req)
+    });
+  } catch (error) {
+    log.error('Error checking login', { error });
+    res.status(500).json({ error: 'Failed to check login' });
   }
 });
 
+/**
+ * POST /api/login
+ *
+ * Request body:
+ *   - username, password: a local account
+ *   - or token: the shared access token
+ *
+ * Response:
+ *   - user: logged in user name (a session cookie is set)
+ */
+app.post('/api/login', rateLimit([
+  { limiter: loginLimiter, key: req => req.ip }
+], 'Too many login attempts'), async (req, res) => {
+  try {
+    const user = await authenticate(req.body);
+    if (!user) {
+      return res.status(401).json({ error: 'Invalid credentials' });
+    }
+
+    setSessionCookie(res, user);
+    log.info('Login', { user });
+    res.json({ user });
+  } catch (error) {
+    log.error('Error logging in', { error });
+    res.status(500).json({ error: 'Failed to log in' });
+  }
+});
+
+/**
+ * POST /api/logout
+ */
+app.post('/api/logout', (req, res) => {
+  clearSessionCookie(res);
+  res.json({ user: null });
+});
+
 /**
  * Health check endpoint
  */
@@ -216,12 +583,35 @@ app.get('/api/health', (req, res) => {
   res.json({
     status: 'ok',
     apiKeyConfigured: hasApiKey,
-    message: hasApiKey
+    mockInference: !!mockInference,
+    message: hasApiKey || mockInference
       ? 'Server is ready'
       : 'Warning: ROBOFLOW_API_KEY not configured'
   });
 });
 
+/**
+ * GET /api/workflows
+ *
+ * Lists the stored workflows the browser may pick from.
+ *
+ * Response:
+ *   - workflows: [{ id, label, imageInputName, streamOutputNames, dataOutputNames, parameters }]
+ *   - customWorkflows: whether custom workflow specs are accepted
+ */
+app.get('/api/workflows', async (req, res) => {
+  try {
+    const workflows = await loadWorkflows();
+    res.json({
+      workflows: workflows.map(toPublicWorkflow),
+      customWorkflows: allowCustomWorkflows
+    });
+  } catch (error) {
+    log.error('Error loading workflow catalog', { error });
+    res.status(500).json({ error: 'Failed to load workflow catalog' });
+  }
+});
+
 /**
  * GET /api/turn-config
  *
@@ -233,31 +623,510 @@ app.get('/api/health', (req, res) => {
  */
 app.get('/api/turn-config', async (req, res) => {
   try {
-    const apiKey = process.env.ROBOFLOW_API_KEY;
+    const { apiKey, serverUrl } = getInferenceTarget();
     if (!apiKey) {
-      console.warn('[Server] TURN config requested but no API key configured');
+      log.warn('TURN config requested but no API key configured');
       return res.json({ iceServers: [] });
     }
 
-    const serverUrl = process.env.ROBOFLOW_SERVER_URL;
-
     const client = InferenceHTTPClient.init({
       apiKey,
       serverUrl
     });
 
-    const iceServers = await client.fetchTurnConfig();
+    // The SDK only fetches TURN config from Roboflow's hosted servers
+    const iceServers = mockInference
+      ? await mockInference.fetchMockTurnConfig(serverUrl)
+      : await traceSdk(() => client.fetchTurnConfig());
 
-    console.log('[Server] TURN config fetched:', iceServers ? 'success' : 'none available');
+    log.debug(iceServers ? 'TURN config fetched' : 'No TURN config available');
+    turnConfigFetches.inc({ result: iceServers?.length ? 'success' : 'empty' });
 
     res.json({ iceServers: iceServers || [] });
 
   } catch (error) {
-    console.error('[Server] Error fetching TURN config:', error);
+    log.error('Error fetching TURN config', { error });
+    turnConfigFetches.inc({ result: 'failure' });
     res.json({ iceServers: [] });
   }
 });
 
+/**
+ * GET /api/metrics
+ *
+ * Prometheus text format: session start requests and latency by outcome,
+ * TURN config fetches, running sessions by plan and region, and the counts
+ * browsers report. Scrape with `Authorization: Bearer <AUTH_TOKEN>` when
+ * a login is required.
+ */
+app.get('/api/metrics', (req, res) => {
+  res.type('text/plain; version=0.0.4').send(renderMetrics());
+});
+
+/**
+ * POST /api/metrics/client
+ *
+ * Counts from a browser running a session since its previous report.
+ *
+ * Request body:
+ *   - pipelineId: the session's current pipeline
+ *   - dataMessages: data channel messages received
+ *   - reconnects: streams reconnected after a drop
+ *   - bottlesTracked: bottles currently in the bottle table
+ */
+app.post('/api/metrics/client', (req, res) => {
+  const { pipelineId, dataMessages = 0, reconnects = 0, bottlesTracked } = req.body || {};
+  const counts = { dataMessages, reconnects, bottlesTracked: bottlesTracked ?? 0 };
+  for (const [field, value] of Object.entries(counts)) {
+    if (!Number.isInteger(value) || value < 0 || value > MAX_CLIENT_COUNT) {
+      return res.status(400).json({ error: `${field} must be an integer from 0 to ${MAX_CLIENT_COUNT}` });
+    }
+  }
+
+  clientDataMessages.inc({}, dataMessages);
+  clientReconnects.inc({}, reconnects);
+  if (bottlesTracked != null && typeof pipelineId === 'string' && getSession(pipelineId)) {
+    bottlesBySession.set(pipelineId, bottlesTracked);
+  }
+  res.json({ ok: true });
+});
+
+/**
+ * POST /api/readings
+ *
+ * Stores processed bottle readings pushed by the frontend.
+ *
+ * Request body:
+ *   - readings: Array of { color, fill_level_percent, tracker_id, timestamp, camera? }
+ *
+ * Response:
+ *   - stored: number of readings written
+ */
+app.post('/api/readings', async (req, res) => {
+  try {
+    const input = req.body?.readings;
+    if (!Array.isArray(input)) {
+      return res.status(400).json({
+        error: 'Missing required field: readings must be an array'
+      });
+    }
+
+    const readings = input.map(normalizeReading);
+    const invalidIndex = readings.indexOf(null);
+    if (invalidIndex !== -1) {
+      return res.status(400).json({
+        error: `Invalid reading at index ${invalidIndex}: color and timestamp are required`
+      });
+    }
+
+    await addReadings(readings);
+    res.json({ stored: readings.length });
+
+  } catch (error) {
+    log.error('Error storing readings', { error });
+    res.status(500).json({ error: 'Failed to store readings' });
+  }
+});
+
+/**
+ * GET /api/readings?color=&camera=&from=&to=
+ *
+ * Returns stored readings, oldest first. `from` and `to` accept ISO
+ * timestamps or epoch milliseconds and are both inclusive.
+ *
+ * Response:
+ *   - readings: Array of { color, fill_level_percent, tracker_id, timestamp, camera? }
+ */
+app.get('/api/readings', async (req, res) => {
+  try {
+    const { color, camera, from, to } = req.query;
+    const fromTime = parseTimestamp(from);
+    const toTime = parseTimestamp(to);
+
+    if ((from && fromTime === null) || (to && toTime === null)) {
+      return res.status(400).json({
+        error: 'Invalid query: from and to must be ISO timestamps or epoch milliseconds'
+      });
+    }
+
+    const readings = await queryReadings({
+      color: color || undefined,
+      camera: camera || undefined,
+      from: fromTime,
+      to: toTime
+    });
+    res.json({ readings });
+
+  } catch (error) {
+    log.error('Error querying readings', { error });
+    res.status(500).json({ error: 'Failed to query readings' });
+  }
+});
+
+/**
+ * GET /api/profiles
+ *
+ * Response:
+ *   - profiles: { [color]: { color, displayName, owner, capacityLiters, updatedAt } }
+ */
+app.get('/api/profiles', async (req, res) => {
+  try {
+    res.json({ profiles: await listProfiles() });
+  } catch (error) {
+    log.error('Error loading profiles', { error });
+    res.status(500).json({ error: 'Failed to load profiles' });
+  }
+});
+
+/**
+ * PUT /api/profiles/:color
+ *
+ * Creates or updates the profile of a bottle color.
+ *
+ * Request body:
+ *   - capacityLiters: number
+ *   - displayName: string (optional, defaults to the color)
+ *   - owner: string (optional)
+ *   - curveId: string (optional, must name a stored calibration curve)
+ */
+app.put('/api/profiles/:color', async (req, res) => {
+  try {
+    const { profile, error } = validateProfile(req.params.color, req.body, await listCurves());
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    res.json({ profile: await saveProfile(profile) });
+  } catch (error) {
+    log.error('Error saving profile', { error });
+    res.status(500).json({ error: 'Failed to save profile' });
+  }
+});
+
+/**
+ * DELETE /api/profiles/:color
+ */
+app.delete('/api/profiles/:color', async (req, res) => {
+  try {
+    if (!await deleteProfile(req.params.color)) {
+      return res.status(404).json({ error: `No profile for color: ${req.params.color}` });
+    }
+    res.json({ deleted: req.params.color });
+  } catch (error) {
+    log.error('Error deleting profile', { error });
+    res.status(500).json({ error: 'Failed to delete profile' });
+  }
+});
+
+/**
+ * GET /api/curves
+ *
+ * Response:
+ *   - curves: { [id]: { id, name, points: [{ percent, liters }], updatedAt } }
+ */
+app.get('/api/curves', async (req, res) => {
+  try {
+    res.json({ curves: await listCurves() });
+  } catch (error) {
+    log.error('Error loading curves', { error });
+    res.status(500).json({ error: 'Failed to load calibration curves' });
+  }
+});
+
+/**
+ * PUT /api/curves/:id
+ *
+ * Creates a calibration curve, or replaces one with `?replace=1` (409 without it).
+ *
+ * Request body:
+ *   - name: string (optional, defaults to the id)
+ *   - points: Array of { percent (0-100), liters }, at least 2
+ */
+app.put('/api/curves/:id', async (req, res) => {
+  try {
+    const { curve, error } = validateCurve(req.params.id, req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const saved = await saveCurve(curve, { replace: req.query.replace === '1' });
+    if (!saved) {
+      return res.status(409).json({ error: `A calibration curve with the id "${curve.id}" already exists` });
+    }
+    res.json({ curve: saved });
+  } catch (error) {
+    log.error('Error saving curve', { error });
+    res.status(500).json({ error: 'Failed to save calibration curve' });
+  }
+});
+
+/**
+ * DELETE /api/curves/:id
+ */
+app.delete('/api/curves/:id', async (req, res) => {
+  try {
+    if (!await deleteCurve(req.params.id)) {
+      return res.status(404).json({ error: `No calibration curve: ${req.params.id}` });
+    }
+    res.json({ deleted: req.params.id });
+  } catch (error) {
+    log.error('Error deleting curve', { error });
+    res.status(500).json({ error: 'Failed to delete calibration curve' });
+  }
+});
+
+/**
+ * GET /api/workflow-presets
+ *
+ * Response:
+ *   - presets: { [id]: { id, name, spec, updatedAt } }
+ */
+app.get('/api/workflow-presets', async (req, res) => {
+  try {
+    res.json({ presets: await listPresets() });
+  } catch (error) {
+    log.error('Error loading workflow presets', { error });
+    res.status(500).json({ error: 'Failed to load workflow presets' });
+  }
+});
+
+/**
+ * PUT /api/workflow-presets/:id
+ *
+ * Creates or replaces a named workflow spec preset.
+ *
+ * Request body:
+ *   - name: string (optional, defaults to the id)
+ *   - spec: workflow specification with inputs, steps and outputs arrays
+ */
+app.put('/api/workflow-presets/:id', async (req, res) => {
+  try {
+    const { preset, error } = validatePreset(req.params.id, req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    res.json({ preset: await savePreset(preset) });
+  } catch (error) {
+    log.error('Error saving workflow preset', { error });
+    res.status(500).json({ error: 'Failed to save workflow preset' });
+  }
+});
+
+/**
+ * DELETE /api/workflow-presets/:id
+ */
+app.delete('/api/workflow-presets/:id', async (req, res) => {
+  try {
+    if (!await deletePreset(req.params.id)) {
+      return res.status(404).json({ error: `No workflow preset: ${req.params.id}` });
+    }
+    res.json({ deleted: req.params.id });
+  } catch (error) {
+    log.error('Error deleting workflow preset', { error });
+    res.status(500).json({ error: 'Failed to delete workflow preset' });
+  }
+});
+
+/**
+ * POST /api/recordings
+ *
+ * Stores a recorded data channel session.
+ *
+ * Request body (application/x-ndjson):
+ *   - one { t, data } JSON object per line
+ *
+ * Response:
+ *   - name: file name to fetch it back with
+ *   - messages: number of recorded messages
+ */
+app.post('/api/recordings', express.text({ type: ['application/x-ndjson', 'text/plain'], limit: '50mb' }), async (req, res) => {
+  try {
+    const text = typeof req.body === 'string' ? req.body : '';
+    const { messages, error } = validateRecording(text);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const name = await saveRecording(text);
+    log.info('Recording saved', { name, messages });
+    res.json({ name, messages });
+
+  } catch (error) {
+    log.error('Error saving recording', { error });
+    res.status(500).json({ error: 'Failed to save recording' });
+  }
+});
+
+/**
+ * GET /api/recordings
+ *
+ * Response:
+ *   - recordings: Array of { name, size, createdAt }, newest first
+ */
+app.get('/api/recordings', async (req, res) => {
+  try {
+    res.json({ recordings: await listRecordings() });
+  } catch (error) {
+    log.error('Error listing recordings', { error });
+    res.status(500).json({ error: 'Failed to list recordings' });
+  }
+});
+
+/**
+ * GET /api/recordings/:name
+ *
+ * Downloads a recording as JSONL.
+ */
+app.get('/api/recordings/:name', (req, res) => {
+  const file = recordingPath(req.params.name);
+  if (!file) {
+    return res.status(400).json({ error: 'Invalid recording name' });
+  }
+
+  res.type('application/x-ndjson').sendFile(file, (error) => {
+    if (error && !res.headersSent) {
+      res.status(error.statusCode === 404 ? 404 : 500).json({ error: `Recording not found: ${req.params.name}` });
+    }
+  });
+});
+
+/**
+ * GET /api/videos
+ *
+ * Lists the video files in data/videos/ that can be analyzed instead of a webcam.
+ *
+ * Response:
+ *   - videos: Array of { name, size, modifiedAt }
+ */
+app.get('/api/videos', async (req, res) => {
+  try {
+    res.json({ videos: await listVideos() });
+  } catch (error) {
+    log.error('Error listing videos', { error });
+    res.status(500).json({ error: 'Failed to list videos' });
+  }
+});
+
+/**
+ * GET /api/videos/:name
+ *
+ * Streams a video file (with range support, so the browser can seek).
+ */
+app.get('/api/videos/:name', (req, res) => {
+  const file = videoPath(req.params.name);
+  if (!file) {
+    return res.status(400).json({ error: 'Invalid video name' });
+  }
+
+  res.sendFile(file, (error) => {
+    if (error && !res.headersSent) {
+      res.status(error.statusCode === 404 ? 404 : 500).json({ error: `Video not found: ${req.params.name}` });
+    }
+  });
+});
+
+/**
+ * POST /api/clips
+ *
+ * Stores a recorded clip of the annotated output stream.
+ *
+ * Request body: the video (Content-Type video/webm or video/mp4)
+ * Query:
+ *   - kind: 'continuous' | 'events'
+ *   - events: comma separated `type:color` list, e.g. `sip:blue,refill:red`
+ *   - recordedAt: ISO timestamp or epoch milliseconds the clip started
+ *   - durationMs: clip length
+ *
+ * Response:
+ *   - clip: { name, kind, recordedAt, durationMs, events, size }
+ */
+app.post('/api/clips', async (req, res) => {
+  try {
+    if (!req.is(['video/webm', 'video/mp4'])) {
+      return res.status(400).json({ error: 'Request body must be a video/webm or video/mp4 clip' });
+    }
+
+    const { meta, error } = validateClipMeta(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    if (Number(req.get('Content-Length')) > MAX_CLIP_BYTES) {
+      return res.status(413).json({ error: `Clips are limited to ${MAX_CLIP_BYTES} bytes` });
+    }
+
+    // Streamed to disk rather than held in memory
+    const clip = await saveClip(req, req.is('video/mp4') ? 'video/mp4' : 'video/webm', meta, {
+      maxBytes: MAX_CLIP_BYTES
+    });
+    if (!clip) {
+      return res.status(400).json({ error: 'Request body must be a video/webm or video/mp4 clip' });
+    }
+    log.info('Stored clip', { name: clip.name, bytes: clip.size });
+    res.status(201).json({ clip });
+  } catch (error) {
+    if (error.status === 413) {
+      return res.status(413).json({ error: error.message });
+    }
+    log.error('Error storing clip', { error });
+    res.status(500).json({ error: 'Failed to store clip' });
+  }
+});
+
+/**
+ * GET /api/clips
+ *
+ * Response:
+ *   - clips: Array of { name, kind, recordedAt, durationMs, events, size }, newest first
+ */
+app.get('/api/clips', async (req, res) => {
+  try {
+    res.json({ clips: await listClips() });
+  } catch (error) {
+    log.error('Error listing clips', { error });
+    res.status(500).json({ error: 'Failed to list clips' });
+  }
+});
+
+/**
+ * GET /api/clips/:name
+ *
+ * Streams a clip; `?download=1` sends it as an attachment.
+ */
+app.get('/api/clips/:name', (req, res) => {
+  const file = clipPath(req.params.name);
+  if (!file) {
+    return res.status(400).json({ error: 'Invalid clip name' });
+  }
+
+  const onError = (error) => {
+    if (error && !res.headersSent) {
+      res.status(error.statusCode === 404 ? 404 : 500).json({ error: `Clip not found: ${req.params.name}` });
+    }
+  };
+
+  if (req.query.download) {
+    res.download(file, req.params.name, onError);
+  } else {
+    res.sendFile(file, onError);
+  }
+});
+
+/**
+ * DELETE /api/clips/:name
+ */
+app.delete('/api/clips/:name', async (req, res) => {
+  try {
+    if (!clipPath(req.params.name) || !await deleteClip(req.params.name)) {
+      return res.status(404).json({ error: `Clip not found: ${req.params.name}` });
+    }
+    res.json({ deleted: req.params.name });
+  } catch (error) {
+    log.error('Error deleting clip', { error });
+    res.status(500).json({ error: 'Failed to delete clip' });
+  }
+});
+
 // Setup Vite dev server or static files (AFTER API routes)
 if (isDev) {
   // In development, use Vite's middleware for HMR and module resolution
@@ -274,14 +1143,46 @@ if (isDev) {
 }
 
 // Start server
+// Terminate pipelines whose browser went away without stopping them
+startOrphanSweep({
+  heartbeatTimeoutMs: HEARTBEAT_TIMEOUT_MS,
+  terminate: session => terminatePipeline(session.pipelineId)
+});
+
+// Don't leave pipelines running when the server itself shuts down
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.once(signal, async () => {
+    const sessions = listSessions();
+    if (sessions.length > 0) {
+      log.info(`Terminating ${sessions.length} running session(s)`);
+      await Promise.allSettled(sessions.map(session => terminatePipeline(session.pipelineId)));
+    }
+    process.exit(0);
+  });
+}
+
 app.listen(PORT, () => {
-  console.log(`\n🚀 Roboflow WebRTC Proxy Server ${isDev ? '(Development)' : '(Production)'}`);
-  console.log(`   Local:    http://localhost:${PORT}`);
-  console.log(`   API:      http://localhost:${PORT}/api/init-webrtc`);
-  console.log(`   Health:   http://localhost:${PORT}/api/health`);
-  console.log(`   Serving:  ${isDev ? 'src/ (via Vite)' : 'public/'}\n`);
-
-  if (!process.env.ROBOFLOW_API_KEY) {
-    console.warn('⚠️  Warning: ROBOFLOW_API_KEY not set in .env file\n');
+  if (process.env.LOG_FORMAT === 'json') {
+    log.info('Server started', { port: Number(PORT), mode: isDev ? 'development' : 'production' });
+  } else {
+    console.log(`\n🚀 Roboflow WebRTC Proxy Server ${isDev ? '(Development)' : '(Production)'}`);
+    console.log(`   Local:    http://localhost:${PORT}`);
+    console.log(`   API:      http://localhost:${PORT}/api/init-webrtc`);
+    console.log(`   Health:   http://localhost:${PORT}/api/health`);
+    console.log(`   Serving:  ${isDev ? 'src/ (via Vite)' : 'public/'}\n`);
+  }
+
+  isAuthEnabled().then(enabled => {
+    if (!enabled) {
+      log.warn('No AUTH_TOKEN or users file, the dashboard and API are open to anyone');
+    } else if (!process.env.SESSION_SECRET) {
+      log.warn('SESSION_SECRET not set, logins end when the server restarts');
+    }
+  }).catch(error => log.error('Error reading users file', { error }));
+
+  if (mockInference) {
+    log.info('Mock inference enabled', { serverUrl: getInferenceTarget().serverUrl });
+  } else if (!process.env.ROBOFLOW_API_KEY) {
+    log.warn('ROBOFLOW_API_KEY not set in .env file');
   }
 });
@@ -0,0 +1,304 @@
+/**
+ * Threshold alerts
+ *
+ * Rules from config/alerts.json (or ALERTS_CONFIG) are checked against the
+ * bottle tables the browsers running sessions publish to /api/live, so they
+ * are only checked while such a page is open. Each publishing page is
+ * watched on its own. A rule fires once per bottle when its condition
+ * starts to hold and again only after it cleared and `cooldownMinutes`
+ * passed. Fired alerts are kept in
+ * data/alerts.json for the in-app list and POSTed as JSON to the configured
+ * webhooks, with retries.
+ */
+
+import fsp from 'node:fs/promises';
+import path from 'node:path';
+import { randomUUID } from 'node:crypto';
+import { createLogger } from './logger.js';
+import { readJson, writeJson } from './storage.js';
+
+const DEFAULT_CONFIG = 'config/alerts.json';
+const ALERTS_FILE = 'alerts.json';
+const MAX_STORED_ALERTS = 200;
+const RULE_TYPES = ['low_level', 'no_drink', 'bottle_lost'];
+
+const WEBHOOK_TIMEOUT_MS = 10000;
+// Waits before the 2nd, 3rd and 4th delivery attempt
+const RETRY_DELAYS_MS = [5000, 30000, 120000];
+
+const log = createLogger('Alerts');
+
+// Conditions currently holding per publisher:
+// publisher -> { seenAt, conditions: `${ruleId}:${bottleId}` -> fired alert id }
+const publishers = new Map();
+// When each condition last fired, `${publisher} ${ruleId}:${bottleId}` -> ms, for the cooldown
+const lastFiredAt = new Map();
+// A publisher silent for this long is forgotten (e.g. a page closed mid-session)
+const PUBLISHER_TIMEOUT_MS = 60 * 60 * 1000;
+
+let cachedConfig = null;
+let cachedMtime = 0;
+let alerts = null;
+let saving = Promise.resolve();
+
+/**
+ * Check one rule and fill in defaults.
+ * Returns { rule } or { error }.
+ */
+export function validateRule(input = {}) {
+  if (typeof input.id !== 'string' || !input.id) return { error: 'id is required' };
+  if (!RULE_TYPES.includes(input.type)) return { error: `type must be one of ${RULE_TYPES.join(', ')}` };
+  if (input.colors != null && !(Array.isArray(input.colors) && input.colors.every(c => typeof c === 'string'))) {
+    return { error: 'colors must be a list of bottle colors' };
+  }
+
+  const rule = { id: input.id, type: input.type, colors: input.colors || null };
+  if (input.type === 'low_level') {
+    if (!Number.isFinite(input.threshold) || input.threshold <= 0 || input.threshold >= 100) {
+      return { error: 'threshold must be a percentage between 0 and 100' };
+    }
+    rule.threshold = input.threshold;
+  } else if (input.type === 'no_drink') {
+    if (!Number.isFinite(input.minutes) || input.minutes <= 0) {
+      return { error: 'minutes must be a positive number' };
+    }
+    rule.minutes = input.minutes;
+  }
+  return { rule };
+}
+
+function validateWebhook(input) {
+  try {
+    const url = new URL(input?.url);
+    if (url.protocol !== 'https:' && url.protocol !== 'http:') return null;
+  } catch (error) {
+    return null;
+  }
+  return { url: input.url, headers: input.headers || {} };
+}
+
+/**
+ * Alert rules and webhooks. The file is re-read when it changes, so rules
+ * can be edited without a restart.
+ */
+export async function loadAlertConfig() {
+  const file = path.resolve(process.env.ALERTS_CONFIG || DEFAULT_CONFIG);
+  let stat;
+  try {
+    stat = await fsp.stat(file);
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+    return { rules: [], webhooks: [], cooldownMinutes: 0 };
+  }
+  if (cachedConfig && stat.mtimeMs === cachedMtime) return cachedConfig;
+
+  const parsed = JSON.parse(await fsp.readFile(file, 'utf8'));
+  const rules = [];
+  for (const entry of Array.isArray(parsed?.rules) ? parsed.rules : []) {
+    const { rule, error } = validateRule(entry);
+    if (error) {
+      log.warn(`Skipping alert rule ${entry?.id ?? '(no id)'}: ${error}`);
+    } else if (rules.some(existing => existing.id === rule.id)) {
+      log.warn(`Skipping duplicate alert rule id ${rule.id}`);
+    } else if (entry.enabled !== false) {
+      rules.push(rule);
+    }
+  }
+
+  const webhooks = [];
+  for (const entry of Array.isArray(parsed?.webhooks) ? parsed.webhooks : []) {
+    const webhook = validateWebhook(entry);
+    if (webhook) {
+      webhooks.push(webhook);
+    } else {
+      log.warn('Skipping webhook without a valid http(s) url');
+    }
+  }
+
+  cachedConfig = {
+    rules,
+    webhooks,
+    cooldownMinutes: Number.isFinite(parsed?.cooldownMinutes) ? parsed.cooldownMinutes : 10
+  };
+  cachedMtime = stat.mtimeMs;
+  return cachedConfig;
+}
+
+async function loadAlerts() {
+  if (!alerts) alerts = await readJson(ALERTS_FILE, []);
+  return alerts;
+}
+
+// Deliveries finish at the same time, so writes are queued rather than
+// racing on the same temp file
+function saveAlerts() {
+  saving = saving.catch(() => {}).then(() => {
+    alerts = alerts.slice(0, MAX_STORED_ALERTS);
+    return writeJson(ALERTS_FILE, alerts);
+  });
+  return saving;
+}
+
+/**
+ * Stored alerts, newest first
+ */
+export async function listAlerts() {
+  return loadAlerts();
+}
+
+/**
+ * Mark an alert as seen. Returns null for unknown ids.
+ */
+export async function acknowledgeAlert(id) {
+  const alert = (await loadAlerts()).find(entry => entry.id === id);
+  if (!alert) return null;
+  alert.acknowledged = true;
+  await saveAlerts();
+  return alert;
+}
+
+/**
+ * The message and value when `rule` holds for a bottle row, otherwise null
+ */
+function checkRule(rule, row) {
+  if (rule.type === 'low_level') {
+    if (row.lost || row.averagePercent === null || row.averagePercent >= rule.threshold) return null;
+    return {
+      value: row.averagePercent,
+      message: `${row.label} is at ${row.averagePercent.toFixed(1)}% (below ${rule.threshold}%)`
+    };
+  }
+  if (rule.type === 'no_drink') {
+    const minutes = row.msSinceLastDrink / 60000;
+    if (row.lost || row.msSinceLastDrink == null || minutes < rule.minutes) return null;
+    return { value: Math.floor(minutes), message: `Nothing drunk from ${row.label} for ${Math.floor(minutes)} min` };
+  }
+  if (rule.type === 'bottle_lost') {
+    return row.lost ? { value: null, message: `${row.label} is out of view` } : null;
+  }
+  return null;
+}
+
+function forgetPublisher(publisher) {
+  publishers.delete(publisher);
+  for (const key of lastFiredAt.keys()) {
+    if (key.startsWith(`${publisher} `)) lastFiredAt.delete(key);
+  }
+}
+
+/**
+ * Check the rules against a published bottle table
+ *
+ * @param {Object} state - Validated live state ({ active, bottles })
+ * @param {Object} source
+ * @param {?string} source.user - Logged in user that published it
+ * @param {string} source.publisher - Identifies the publishing page; its conditions are its own
+ * @returns {Promise<Array>} Alerts fired by this state
+ */
+export async function checkAlerts(state, { user, publisher }) {
+  const now = Date.now();
+  for (const [key, entry] of publishers) {
+    if (now - entry.seenAt > PUBLISHER_TIMEOUT_MS) forgetPublisher(key);
+  }
+
+  // A stopped session can't be watched; its conditions start over next time
+  if (!state.active) {
+    publishers.get(publisher)?.conditions.clear();
+    return [];
+  }
+
+  if (!publishers.has(publisher)) publishers.set(publisher, { seenAt: now, conditions: new Map() });
+  const entry = publishers.get(publisher);
+  entry.seenAt = now;
+  const activeConditions = entry.conditions;
+
+  const { rules, webhooks, cooldownMinutes } = await loadAlertConfig();
+  const holding = new Set();
+  const fired = [];
+
+  for (const rule of rules) {
+    for (const row of state.bottles) {
+      if (rule.colors && !rule.colors.includes(row.color)) continue;
+      const result = checkRule(rule, row);
+      if (!result) continue;
+
+      const key = `${rule.id}:${row.id}`;
+      holding.add(key);
+      if (activeConditions.has(key)) continue;
+      if (now - (lastFiredAt.get(`${publisher} ${key}`) || 0) < cooldownMinutes * 60000) {
+        activeConditions.set(key, null);
+        continue;
+      }
+
+      const alert = {
+        id: randomUUID(),
+        ruleId: rule.id,
+        type: rule.type,
+        bottleId: row.id,
+        color: row.color,
+        label: row.label,
+        message: result.message,
+        value: result.value,
+        triggeredAt: new Date(now).toISOString(),
+        publishedBy: user || null,
+        acknowledged: false,
+        deliveries: webhooks.map(webhook => ({ host: new URL(webhook.url).host, status: 'pending', attempts: 0 }))
+      };
+      activeConditions.set(key, alert.id);
+      lastFiredAt.set(`${publisher} ${key}`, now);
+      fired.push(alert);
+      log.info('Alert fired', { ruleId: rule.id, color: row.color, message: alert.message });
+    }
+  }
+
+  for (const key of activeConditions.keys()) {
+    if (!holding.has(key)) activeConditions.delete(key);
+  }
+
+  if (fired.length > 0) {
+    (await loadAlerts()).unshift(...fired.reverse());
+    await saveAlerts();
+    for (const alert of fired) {
+      webhooks.forEach((webhook, i) => deliver(webhook, alert, alert.deliveries[i]));
+    }
+  }
+  return fired;
+}
+
+function toPayload(alert) {
+  const { deliveries, acknowledged, ...payload } = alert;
+  return payload;
+}
+
+/**
+ * POST an alert to a webhook, retrying network errors, 5xx and 429 answers.
+ * Receivers can drop repeated deliveries by the X-Alert-Id header.
+ */
+async function deliver(webhook, alert, delivery) {
+  delivery.attempts++;
+  let status = null;
+  try {
+    const res = await fetch(webhook.url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-Alert-Id': alert.id, ...webhook.headers },
+      body: JSON.stringify(toPayload(alert)),
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+    });
+    status = res.status;
+    if (!res.ok) throw new Error(`Webhook answered ${res.status}`);
+    delivery.status = 'delivered';
+  } catch (error) {
+    // Network errors and timeouts have no status
+    const retry = status === null || status >= 500 || status === 429;
+    const delay = RETRY_DELAYS_MS[delivery.attempts - 1];
+    if (retry && delay) {
+      delivery.status = 'retrying';
+      log.warn('Webhook delivery failed, retrying', { host: delivery.host, attempt: delivery.attempts, error });
+      setTimeout(() => deliver(webhook, alert, delivery), delay).unref();
+    } else {
+      delivery.status = 'failed';
+      log.error('Webhook delivery failed', { host: delivery.host, attempts: delivery.attempts, error });
+    }
+  }
+  await saveAlerts().catch(error => log.error('Error storing alerts', { error }));
+}
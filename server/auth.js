@@ -0,0 +1,217 @@
+/**
+ * Dashboard authentication
+ *
+ * Two ways to log in, either or both can be configured:
+ *   - AUTH_TOKEN: a shared access token
+ *   - config/users.json (or USERS_FILE): local accounts with scrypt password
+ *     hashes, managed with `npm run add-user -- <username>`
+ * A successful login sets an HMAC-signed session cookie. Scripts can send the
+ * shared token as `Authorization: Bearer <token>` instead. With neither
+ * configured, authentication is off.
+ */
+
+import crypto from 'node:crypto';
+import fsp from 'node:fs/promises';
+import path from 'node:path';
+import readline from 'node:readline/promises';
+import { pathToFileURL } from 'node:url';
+import { promisify } from 'node:util';
+
+const scrypt = promisify(crypto.scrypt);
+
+const COOKIE_NAME = 'rf_session';
+const SESSION_TTL_MS = 12 * 60 * 60 * 1000;
+const KEY_LENGTH = 64;
+
+// Used to sign cookies when SESSION_SECRET isn't set; sessions then end on restart
+const fallbackSecret = crypto.randomBytes(32).toString('hex');
+
+// The users file is checked on every API request, so it's only re-read when it changes
+let cachedUsers = null;
+let cachedUsersKey = null;
+
+function usersFile() {
+  return path.resolve(process.env.USERS_FILE || 'config/users.json');
+}
+
+function sessionSecret() {
+  return process.env.SESSION_SECRET || fallbackSecret;
+}
+
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+/**
+ * Hash a password as `scrypt:<salt>:<hash>` (hex)
+ */
+export async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, KEY_LENGTH);
+  return `scrypt:${salt.toString('hex')}:${hash.toString('hex')}`;
+}
+
+export async function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored).split(':');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const actual = await scrypt(password, Buffer.from(salt, 'hex'), KEY_LENGTH);
+  return safeEqual(actual.toString('hex'), hash);
+}
+
+/**
+ * Local accounts as { [username]: passwordHash }; empty when there is no users file
+ */
+export async function loadUsers() {
+  const file = usersFile();
+  let stat;
+  try {
+    stat = await fsp.stat(file);
+  } catch (error) {
+    if (error.code === 'ENOENT') return {};
+    throw error;
+  }
+  const key = `${file}:${stat.mtimeMs}:${stat.size}`;
+  if (cachedUsers && key === cachedUsersKey) return cachedUsers;
+
+  const { users = [] } = JSON.parse(await fsp.readFile(file, 'utf8'));
+  cachedUsers = Object.fromEntries(users.map(user => [user.username, user.passwordHash]));
+  cachedUsersKey = key;
+  return cachedUsers;
+}
+
+/**
+ * Which login methods are configured: { token: boolean, password: boolean }
+ */
+export async function getAuthMethods() {
+  const users = await loadUsers();
+  return {
+    token: Boolean(process.env.AUTH_TOKEN),
+    password: Object.keys(users).length > 0
+  };
+}
+
+export async function isAuthEnabled() {
+  const methods = await getAuthMethods();
+  return methods.token || methods.password;
+}
+
+/**
+ * Check login credentials ({ username, password } or { token }).
+ * Returns the user name to put in the session, or null.
+ */
+export async function authenticate({ username, password, token } = {}) {
+  if (token && process.env.AUTH_TOKEN && safeEqual(token, process.env.AUTH_TOKEN)) {
+    return 'token';
+  }
+  if (typeof username === 'string' && typeof password === 'string') {
+    const users = await loadUsers();
+    if (users[username] && await verifyPassword(password, users[username])) {
+      return username;
+    }
+  }
+  return null;
+}
+
+function sign(value) {
+  return crypto.createHmac('sha256', sessionSecret()).update(value).digest('base64url');
+}
+
+/**
+ * Set the session cookie for a logged in user
+ */
+export function setSessionCookie(res, user) {
+  const value = `${Buffer.from(user).toString('base64url')}.${Date.now() + SESSION_TTL_MS}`;
+  res.cookie(COOKIE_NAME, `${value}.${sign(value)}`, {
+    httpOnly: true,
+    sameSite: 'strict',
+    secure: process.env.NODE_ENV === 'production' && process.env.INSECURE_COOKIES !== '1',
+    maxAge: SESSION_TTL_MS
+  });
+}
+
+export function clearSessionCookie(res) {
+  res.clearCookie(COOKIE_NAME);
+}
+
+function readCookie(req, name) {
+  for (const part of (req.headers.cookie || '').split(';')) {
+    const [key, ...rest] = part.trim().split('=');
+    if (key === name) return decodeURIComponent(rest.join('='));
+  }
+  return null;
+}
+
+/**
+ * The user a request is authenticated as (session cookie or bearer token), or null
+ */
+export function getRequestUser(req) {
+  const bearer = /^Bearer (.+)$/.exec(req.headers.authorization || '')?.[1];
+  if (bearer && process.env.AUTH_TOKEN && safeEqual(bearer, process.env.AUTH_TOKEN)) {
+    return 'token';
+  }
+
+  const cookie = readCookie(req, COOKIE_NAME);
+  const [encodedUser, expires, signature] = cookie?.split('.') || [];
+  if (!signature || !safeEqual(signature, sign(`${encodedUser}.${expires}`))) return null;
+  if (Number(expires) < Date.now()) return null;
+  return Buffer.from(encodedUser, 'base64url').toString();
+}
+
+/**
+ * Middleware rejecting unauthenticated requests with 401, except for the
+ * paths in `publicPaths`. Sets req.user when authentication is enabled.
+ */
+export function requireAuth({ publicPaths = [] } = {}) {
+  return async (req, res, next) => {
+    try {
+      if (publicPaths.includes(req.path) || !await isAuthEnabled()) return next();
+
+      req.user = getRequestUser(req);
+      if (!req.user) {
+        return res.status(401).json({ error: 'Login required' });
+      }
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+/**
+ * Add or replace a local account in the users file
+ */
+export async function addUser(username, password) {
+  let users = [];
+  try {
+    ({ users = [] } = JSON.parse(await fsp.readFile(usersFile(), 'utf8')));
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+
+  const passwordHash = await hashPassword(password);
+  users = [...users.filter(user => user.username !== username), { username, passwordHash }];
+  await fsp.mkdir(path.dirname(usersFile()), { recursive: true });
+  await fsp.writeFile(usersFile(), JSON.stringify({ users }, null, 2));
+}
+
+// `node server/auth.js add-user <username>` prompts for the password
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const [command, username] = process.argv.slice(2);
+  if (command !== 'add-user' || !username) {
+    console.error('Usage: node server/auth.js add-user <username>');
+    process.exit(1);
+  }
+
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  const password = await rl.question(`Password for ${username}: `);
+  rl.close();
+  if (password.length < 8) {
+    console.error('Password must be at least 8 characters');
+    process.exit(1);
+  }
+
+  await addUser(username, password);
+  console.log(`Saved user ${username} to ${usersFile()}`);
+}
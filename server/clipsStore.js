@@ -0,0 +1,139 @@
+/**
+ * Recorded video clips of the annotated output stream
+ *
+ * Clip files live in data/clips/ and their metadata (when they were recorded,
+ * which sip/refill events they show) in data/clips.json.
+ */
+
+import fs from 'node:fs';
+import fsp from 'node:fs/promises';
+import { Transform } from 'node:stream';
+import { pipeline } from 'node:stream/promises';
+import { dataPath, readJson, writeJson } from './storage.js';
+import { parseTimestamp } from './readingsStore.js';
+
+const CLIPS_DIR = 'clips';
+const CLIPS_FILE = 'clips.json';
+const NAME_PATTERN = /^clip-[\w-]+\.(webm|mp4)$/;
+const CLIP_KINDS = ['continuous', 'events'];
+const EVENT_TYPES = ['sip', 'refill'];
+const EXTENSIONS = { 'video/webm': 'webm', 'video/mp4': 'mp4' };
+
+// Clips of neighbouring segments are often uploaded at the same time,
+// so index updates are chained instead of racing on clips.json
+let indexQueue = Promise.resolve();
+
+function updateIndex(update) {
+  const result = indexQueue.then(async () => {
+    const clips = await readJson(CLIPS_FILE, []);
+    const { clips: next, value } = update(clips);
+    if (next) await writeJson(CLIPS_FILE, next);
+    return value;
+  });
+  indexQueue = result.catch(() => {});
+  return result;
+}
+
+/**
+ * Validate clip metadata from the upload's query string.
+ * `events` is a comma separated list of `type:color`, e.g. `sip:blue,refill:red`.
+ * Returns { meta } or { error }.
+ */
+export function validateClipMeta(query = {}) {
+  const kind = query.kind || 'continuous';
+  if (!CLIP_KINDS.includes(kind)) {
+    return { error: `kind must be one of: ${CLIP_KINDS.join(', ')}` };
+  }
+
+  const recordedAt = query.recordedAt ? parseTimestamp(query.recordedAt) : Date.now();
+  if (recordedAt === null) {
+    return { error: 'recordedAt must be an ISO timestamp or epoch milliseconds' };
+  }
+
+  const durationMs = query.durationMs != null ? Number(query.durationMs) : null;
+  if (durationMs !== null && (!Number.isFinite(durationMs) || durationMs < 0)) {
+    return { error: 'durationMs must be a non-negative number' };
+  }
+
+  const events = [];
+  for (const item of String(query.events || '').split(',').filter(Boolean)) {
+    const [type, color] = item.split(':');
+    if (!EVENT_TYPES.includes(type) || !color) {
+      return { error: `Invalid event "${item}", expected type:color with type ${EVENT_TYPES.join(' or ')}` };
+    }
+    events.push({ type, color });
+  }
+
+  return { meta: { kind, recordedAt: new Date(recordedAt).toISOString(), durationMs, events } };
+}
+
+/**
+ * Resolve a clip file, or null for names that aren't clip file names
+ */
+export function clipPath(name) {
+  return NAME_PATTERN.test(name) ? dataPath(CLIPS_DIR, name) : null;
+}
+
+/**
+ * Store a clip streamed from `input` (e.g. the upload request) and add it to
+ * the index. Returns the stored clip metadata, or null for an empty clip.
+ * Rejects with an error whose `status` is 413 once more than `maxBytes`
+ * arrived; nothing is stored then.
+ */
+export async function saveClip(input, contentType, meta, { maxBytes }) {
+  const extension = EXTENSIONS[contentType] || 'webm';
+  const name = `clip-${meta.recordedAt.replace(/[:.]/g, '-')}-${Math.random().toString(36).slice(2, 8)}.${extension}`;
+  const file = clipPath(name);
+  // Not a clip name, so a partial upload is never listed or served
+  const partial = `${file}.part`;
+
+  let size = 0;
+  const limit = new Transform({
+    transform(chunk, encoding, callback) {
+      size += chunk.length;
+      if (size <= maxBytes) return callback(null, chunk);
+      const error = new Error(`Clips are limited to ${maxBytes} bytes`);
+      error.status = 413;
+      callback(error);
+    }
+  });
+
+  await fsp.mkdir(dataPath(CLIPS_DIR), { recursive: true });
+  try {
+    await pipeline(input, limit, fs.createWriteStream(partial));
+    if (size === 0) {
+      await fsp.rm(partial, { force: true });
+      return null;
+    }
+    await fsp.rename(partial, file);
+  } catch (error) {
+    await fsp.rm(partial, { force: true });
+    throw error;
+  }
+
+  const clip = { name, ...meta, size };
+  return updateIndex(clips => ({ clips: [...clips, clip], value: clip }));
+}
+
+/**
+ * List clips, newest first
+ */
+export async function listClips() {
+  const clips = await readJson(CLIPS_FILE, []);
+  return clips.sort((a, b) => b.recordedAt.localeCompare(a.recordedAt));
+}
+
+/**
+ * Delete a clip file and its metadata. Returns false if it doesn't exist.
+ */
+export async function deleteClip(name) {
+  const deleted = await updateIndex(clips => {
+    const remaining = clips.filter(clip => clip.name !== name);
+    return remaining.length === clips.length
+      ? { value: false }
+      : { clips: remaining, value: true };
+  });
+
+  if (deleted) await fsp.rm(clipPath(name), { force: true });
+  return deleted;
+}
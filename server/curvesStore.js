@@ -0,0 +1,93 @@
+/**
+ * Volume calibration curves
+ *
+ * A curve maps the `fill_level_percent` reported by the workflow to the
+ * liters actually in the bottle, for one bottle shape. Curves are stored in
+ * data/curves.json and referenced from bottle profiles by `curveId`.
+ */
+
+import { readJson, writeJson } from './storage.js';
+
+const CURVES_FILE = 'curves.json';
+
+// Each save reads and rewrites the whole file, so updates are chained
+// instead of losing each other
+let curvesQueue = Promise.resolve();
+
+function updateCurves(update) {
+  const result = curvesQueue.then(async () => {
+    const curves = await listCurves();
+    const { curves: next, value } = update(curves);
+    if (next) await writeJson(CURVES_FILE, next);
+    return value;
+  });
+  curvesQueue = result.catch(() => {});
+  return result;
+}
+
+/**
+ * Validate a curve from the request body.
+ * Returns { curve } or { error }.
+ */
+export function validateCurve(id, input = {}) {
+  if (!Array.isArray(input.points) || input.points.length < 2) {
+    return { error: 'points must be an array with at least 2 entries' };
+  }
+
+  const points = input.points.map(p => ({ percent: Number(p?.percent), liters: Number(p?.liters) }));
+  if (points.some(p => !Number.isFinite(p.percent) || !Number.isFinite(p.liters) || p.liters < 0)) {
+    return { error: 'each point needs a numeric percent and a non-negative liters value' };
+  }
+  if (points.some(p => p.percent < 0 || p.percent > 100)) {
+    return { error: 'percent must be between 0 and 100' };
+  }
+
+  points.sort((a, b) => a.percent - b.percent);
+  for (let i = 1; i < points.length; i++) {
+    if (points[i].percent === points[i - 1].percent || points[i].liters < points[i - 1].liters) {
+      return { error: 'liters must increase with percent and percents must be distinct' };
+    }
+  }
+
+  if (input.name != null && typeof input.name !== 'string') {
+    return { error: 'name must be a string' };
+  }
+
+  return {
+    curve: {
+      id,
+      name: input.name?.trim() || id,
+      points
+    }
+  };
+}
+
+/**
+ * All curves, keyed by id
+ */
+export async function listCurves() {
+  return readJson(CURVES_FILE, {});
+}
+
+/**
+ * Store a curve. Returns null, leaving the stored one alone, when a curve
+ * with the same id exists and `replace` isn't set.
+ */
+export async function saveCurve(curve, { replace = false } = {}) {
+  return updateCurves(curves => {
+    if (curves[curve.id] && !replace) return { value: null };
+    const saved = { ...curve, updatedAt: new Date().toISOString() };
+    return { curves: { ...curves, [curve.id]: saved }, value: saved };
+  });
+}
+
+/**
+ * Remove a curve. Returns false when it didn't exist.
+ */
+export async function deleteCurve(id) {
+  return updateCurves(curves => {
+    if (!curves[id]) return { value: false };
+    const { [id]: deleted, ...rest } = curves;
+    return { curves: rest, value: true };
+  });
+}
@@ -0,0 +1,157 @@
+/**
+ * Live readings feed
+ *
+ * Browsers running a session publish their Bottle Consumption table and
+ * levels text here, and viewer pages follow along over Server-Sent Events.
+ * The latest state of each publishing page is kept, in memory; a viewer that
+ * connects gets them right away.
+ */
+
+const MAX_BOTTLES = 100;
+const MAX_TEXT_LENGTH = 500;
+// Comment lines keep proxies from closing idle event streams
+const KEEPALIVE_INTERVAL_MS = 25000;
+const MAX_PUBLISHERS = 50;
+// States not updated for this long are dropped, e.g. of pages closed mid-session
+const PUBLISHER_TIMEOUT_MS = 60 * 60 * 1000;
+
+const viewers = new Set();
+// publisher -> latest state, least recently updated first
+const states = new Map();
+let nextFeedId = 1;
+
+function isNumberOrNull(value) {
+  return value === null || Number.isFinite(value);
+}
+
+/**
+ * Validate a published state from the request body.
+ * Returns { state } or { error }.
+ */
+export function validateLiveState(input = {}) {
+  if (!Array.isArray(input.bottles) || input.bottles.length > MAX_BOTTLES) {
+    return { error: `bottles must be an array of at most ${MAX_BOTTLES} rows` };
+  }
+  if (input.levels != null && (typeof input.levels !== 'string' || input.levels.length > MAX_TEXT_LENGTH)) {
+    return { error: `levels must be a string of at most ${MAX_TEXT_LENGTH} characters` };
+  }
+  if (input.publisherId != null && (typeof input.publisherId !== 'string' || input.publisherId.length > 100)) {
+    return { error: 'publisherId must be a string of at most 100 characters' };
+  }
+
+  const bottles = [];
+  for (const row of input.bottles) {
+    if (typeof row?.label !== 'string' || row.label.length > MAX_TEXT_LENGTH) {
+      return { error: 'Each bottle needs a label' };
+    }
+    if (typeof row.color !== 'string' || row.color.length > MAX_TEXT_LENGTH) {
+      return { error: `Bottle ${row.label} needs a color` };
+    }
+    if (row.id != null && (typeof row.id !== 'string' || row.id.length > MAX_TEXT_LENGTH)) {
+      return { error: `Bottle ${row.label} has an invalid id` };
+    }
+    const numbers = ['averagePercent', 'consumedPercent', 'consumedLiters', 'msSinceLastDrink'];
+    if (!numbers.every(field => isNumberOrNull(row[field] ?? null)) || !Number.isInteger(row.refillCount)) {
+      return { error: `Bottle ${row.label} has invalid values` };
+    }
+    bottles.push({
+      // Tells same-colored bottles apart; tables from older pages only have the color
+      id: row.id ?? row.color,
+      color: row.color,
+      label: row.label,
+      lost: !!row.lost,
+      averagePercent: row.averagePercent ?? null,
+      refillCount: row.refillCount,
+      consumedPercent: row.consumedPercent ?? null,
+      consumedLiters: row.consumedLiters ?? null,
+      msSinceLastDrink: row.msSinceLastDrink ?? null
+    });
+  }
+
+  return {
+    state: {
+      active: input.active !== false,
+      publisherId: input.publisherId || null,
+      levels: input.levels || '',
+      bottles
+    }
+  };
+}
+
+function send(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+function broadcast(event, data) {
+  for (const res of viewers) send(res, event, data);
+}
+
+function dropStaleStates(now) {
+  for (const [publisher, state] of states) {
+    if (now - Date.parse(state.updatedAt) <= PUBLISHER_TIMEOUT_MS && states.size <= MAX_PUBLISHERS) break;
+    states.delete(publisher);
+    broadcast('removed', { id: state.id });
+  }
+}
+
+/**
+ * Store a page's state and push it to every viewer
+ *
+ * @param {Object} state - From validateLiveState()
+ * @param {Object} source
+ * @param {string} source.publisher - Publishing page, scoped to its user or client IP
+ * @param {?string} source.publishedBy - Logged in user, null without authentication
+ * @returns {Object} The state as sent to viewers, with an `id` per publishing page
+ */
+export function publishLiveState(state, { publisher, publishedBy }) {
+  const now = Date.now();
+  const previous = states.get(publisher);
+  states.delete(publisher);
+  const published = {
+    ...state,
+    id: previous?.id ?? String(nextFeedId++),
+    publishedBy: publishedBy || null,
+    updatedAt: new Date(now).toISOString()
+  };
+  states.set(publisher, published);
+  dropStaleStates(now);
+  broadcast('state', published);
+  return published;
+}
+
+/**
+ * Latest state of each publishing page, least recently updated first
+ */
+export function getLiveStates() {
+  dropStaleStates(Date.now());
+  return [...states.values()];
+}
+
+export function viewerCount() {
+  return viewers.size;
+}
+
+/**
+ * Turn a response into an event stream until the viewer disconnects: a
+ * `state` event per published state and a `removed` event ({ id }) when a
+ * page's state is dropped
+ */
+export function addViewer(req, res) {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    // Stop nginx from buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  viewers.add(res);
+  for (const state of getLiveStates()) send(res, 'state', state);
+
+  const keepalive = setInterval(() => res.write(': keepalive\n\n'), KEEPALIVE_INTERVAL_MS);
+  req.on('close', () => {
+    clearInterval(keepalive);
+    viewers.delete(res);
+  });
+}
@@ -0,0 +1,213 @@
+/**
+ * Server logging
+ *
+ * Leveled log lines, as text or one JSON object per line, tagged with the ID
+ * of the API request they belong to. The ID comes from the browser's
+ * X-Request-Id header (or is generated) and is sent back on the response, so
+ * a failed browser call can be matched with the SDK calls it made.
+ *
+ *   LOG_LEVEL      error | warn | info | debug | trace (default: debug in development, info in production)
+ *   LOG_FORMAT     text | json (default: text)
+ *   LOG_SDK_FETCH  1 to log the SDK's HTTP calls at debug level (default: on in development only)
+ *   LOG_BODIES     1 to also log their request and response bodies at trace level (redacted, truncated)
+ *
+ * Settings are read lazily because dotenv is loaded after module imports.
+ */
+
+import { AsyncLocalStorage } from 'node:async_hooks';
+import { randomUUID } from 'node:crypto';
+
+const LEVELS = { error: 0, warn: 1, info: 2, debug: 3, trace: 4 };
+const BODY_LIMIT = 4000;
+
+// Keys whose values never make it into a log line
+const SECRET_KEY = /api[_-]?key|authorization|cookie|credential|password|secret|token/i;
+// Secrets passed in query strings, e.g. ?api_key=...
+const SECRET_PARAM = /([?&](?:api[_-]?key|token|access_token)=)[^&\s"]+/gi;
+
+const context = new AsyncLocalStorage();
+
+function isProduction() {
+  return process.env.NODE_ENV === 'production';
+}
+
+function currentLevel() {
+  const level = process.env.LOG_LEVEL?.toLowerCase();
+  if (level in LEVELS) return LEVELS[level];
+  return isProduction() ? LEVELS.info : LEVELS.debug;
+}
+
+export function isLevelEnabled(level) {
+  return LEVELS[level] <= currentLevel();
+}
+
+/**
+ * Copy of `value` safe to log: secret fields masked (including the username
+ * of TURN servers), secrets in URLs removed, SDP blobs shortened and long
+ * strings truncated
+ */
+export function redact(value, key = '') {
+  if (value == null) return value;
+  if (SECRET_KEY.test(key)) return '***';
+
+  if (typeof value === 'string') {
+    if (key === 'sdp') return `<sdp, ${value.length} chars>`;
+    const text = value.replace(SECRET_PARAM, '$1***');
+    return text.length > BODY_LIMIT ? `${text.slice(0, BODY_LIMIT)}… (${text.length} chars)` : text;
+  }
+  if (value instanceof Error) return serializeError(value);
+  if (Array.isArray(value)) return value.map(item => redact(item));
+  if (typeof value === 'object') {
+    // An ICE server's username is issued with its credential and just as secret
+    const isIceServer = 'credential' in value;
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [
+      k,
+      isIceServer && k === 'username' ? '***' : redact(v, k)
+    ]));
+  }
+  return value;
+}
+
+function serializeError(error) {
+  const details = { name: error.name, message: error.message };
+  // SDK and fetch errors carry extra fields such as status or cause
+  for (const key of Object.keys(error)) details[key] = redact(error[key], key);
+  if (error.stack) details.stack = error.stack;
+  return details;
+}
+
+function formatText(level, scope, message, fields) {
+  const { error, ...rest } = fields;
+  // Extra error fields (status, cause, ...) go with the other fields, the stack below
+  const { name, message: errorMessage, stack, ...errorDetails } = error || {};
+  if (Object.keys(errorDetails).length > 0) rest.error = errorDetails;
+
+  let line = `${new Date().toISOString()} ${level.toUpperCase().padEnd(5)} [${scope}] ${message}`;
+  if (Object.keys(rest).length > 0) line += ` ${JSON.stringify(rest)}`;
+  if (error) line += `\n${stack || `${name}: ${errorMessage}`}`;
+  return line;
+}
+
+function write(level, scope, message, fields = {}) {
+  if (!isLevelEnabled(level)) return;
+
+  const requestId = context.getStore()?.requestId;
+  const safe = redact(fields);
+  if (requestId) safe.requestId = requestId;
+
+  const line = process.env.LOG_FORMAT === 'json'
+    ? JSON.stringify({ time: new Date().toISOString(), level, scope, message, ...safe })
+    : formatText(level, scope, message, safe);
+
+  if (LEVELS[level] <= LEVELS.warn) {
+    process.stderr.write(`${line}\n`);
+  } else {
+    process.stdout.write(`${line}\n`);
+  }
+}
+
+/**
+ * Logger for one part of the server
+ *
+ * @param {string} scope - Shown with every line, e.g. "Server" or "Sessions"
+ * @returns {{error, warn, info, debug, trace}} Each takes (message, fields); pass an
+ *     Error as `fields.error` to log its stack
+ */
+export function createLogger(scope) {
+  return Object.fromEntries(Object.keys(LEVELS).map(level => [
+    level,
+    (message, fields) => write(level, scope, message, fields)
+  ]));
+}
+
+const log = createLogger('HTTP');
+const sdkLog = createLogger('SDK');
+
+/**
+ * Middleware giving every request an ID (X-Request-Id) that the log lines
+ * written while handling it carry
+ */
+export function requestContext() {
+  return (req, res, next) => {
+    const incoming = req.get('X-Request-Id');
+    const requestId = incoming && /^[\w.-]{1,64}$/.test(incoming) ? incoming : randomUUID();
+    req.id = requestId;
+    res.set('X-Request-Id', requestId);
+
+    const startedAt = Date.now();
+    res.on('finish', () => context.run({ requestId }, () => {
+      log.debug(`${req.method} ${req.originalUrl} ${res.statusCode}`, { ms: Date.now() - startedAt });
+    }));
+    context.run({ requestId }, next);
+  };
+}
+
+function isSdkFetchLogged() {
+  if (process.env.LOG_SDK_FETCH) return process.env.LOG_SDK_FETCH === '1';
+  return !isProduction();
+}
+
+function headersOf(headers) {
+  if (!headers) return undefined;
+  return headers instanceof Headers ? Object.fromEntries(headers.entries()) : { ...headers };
+}
+
+let fetchPatched = false;
+
+/**
+ * The SDK client calls the global fetch and has no hook of its own, so
+ * fetch is wrapped once; calls outside traceSdk() pass straight through.
+ */
+function patchFetch() {
+  if (fetchPatched) return;
+  fetchPatched = true;
+
+  const realFetch = globalThis.fetch;
+  globalThis.fetch = async (url, options = {}) => {
+    if (!context.getStore()?.sdk) return realFetch(url, options);
+
+    const method = options.method || 'GET';
+    const target = redact(String(url));
+    const startedAt = Date.now();
+    sdkLog.debug(`${method} ${target}`, { headers: headersOf(options.headers) });
+    if (process.env.LOG_BODIES === '1' && typeof options.body === 'string') {
+      sdkLog.trace(`${method} ${target} request body`, { body: parseBody(options.body) });
+    }
+
+    let res;
+    try {
+      res = await realFetch(url, options);
+    } catch (error) {
+      sdkLog.warn(`${method} ${target} failed`, { error, ms: Date.now() - startedAt });
+      throw error;
+    }
+
+    sdkLog.debug(`${method} ${target} ${res.status}`, { ms: Date.now() - startedAt });
+    if (process.env.LOG_BODIES === '1' && isLevelEnabled('trace')) {
+      // Read a clone, the SDK consumes the body itself
+      const text = await res.clone().text().catch(error => `<unavailable: ${error}>`);
+      sdkLog.trace(`${method} ${target} response body`, { body: parseBody(text) });
+    }
+    return res;
+  };
+}
+
+function parseBody(text) {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return text;
+  }
+}
+
+/**
+ * Run an SDK call with its HTTP requests logged (when LOG_SDK_FETCH allows)
+ * under the current request ID
+ *
+ * @param {Function} call - () => Promise
+ */
+export function traceSdk(call) {
+  if (!isSdkFetchLogged() || !globalThis.fetch) return call();
+  patchFetch();
+  return context.run({ ...context.getStore(), sdk: true }, call);
+}
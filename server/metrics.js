@@ -0,0 +1,132 @@
+/**
+ * Prometheus metrics
+ *
+ * A small in-process registry of counters, gauges and histograms rendered in
+ * the Prometheus text exposition format. Values live in memory and reset
+ * when the server restarts, which Prometheus' rate() handles.
+ */
+
+const metrics = [];
+
+function labelKey(labelNames, labels = {}) {
+  return JSON.stringify(labelNames.map(name => String(labels[name] ?? '')));
+}
+
+function formatLabels(labelNames, key, extra = '') {
+  const values = JSON.parse(key);
+  const pairs = labelNames.map((name, i) => `${name}="${escapeLabel(values[i])}"`);
+  if (extra) pairs.push(extra);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+function escapeLabel(value) {
+  return value.replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function header(name, help, type) {
+  return [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`];
+}
+
+/**
+ * Counter, optionally split by labels
+ *
+ * @returns {{inc: Function}} inc(labels, amount = 1)
+ */
+export function createCounter(name, help, labelNames = []) {
+  const values = new Map();
+  // Without labels the single series exists from the start
+  if (labelNames.length === 0) values.set(labelKey(labelNames), 0);
+  metrics.push(() => [
+    ...header(name, help, 'counter'),
+    ...[...values].map(([key, value]) => `${name}${formatLabels(labelNames, key)} ${value}`)
+  ]);
+
+  return {
+    inc(labels, amount = 1) {
+      const key = labelKey(labelNames, labels);
+      values.set(key, (values.get(key) || 0) + amount);
+    }
+  };
+}
+
+/**
+ * Gauge whose values are read when metrics are scraped
+ *
+ * @param {Function} collect - () => [{ labels, value }]
+ */
+export function createGauge(name, help, labelNames, collect) {
+  metrics.push(() => [
+    ...header(name, help, 'gauge'),
+    ...collect().map(({ labels, value }) =>
+      `${name}${formatLabels(labelNames, labelKey(labelNames, labels))} ${value}`)
+  ]);
+}
+
+/**
+ * Histogram with fixed buckets, optionally split by labels
+ *
+ * @param {number[]} buckets - Upper bounds, ascending
+ * @returns {{observe: Function}} observe(labels, value)
+ */
+export function createHistogram(name, help, labelNames, buckets) {
+  const series = new Map();
+  metrics.push(() => {
+    const lines = header(name, help, 'histogram');
+    for (const [key, { counts, sum, count }] of series) {
+      buckets.forEach((bound, i) => {
+        lines.push(`${name}_bucket${formatLabels(labelNames, key, `le="${bound}"`)} ${counts[i]}`);
+      });
+      lines.push(`${name}_bucket${formatLabels(labelNames, key, 'le="+Inf"')} ${count}`);
+      lines.push(`${name}_sum${formatLabels(labelNames, key)} ${sum}`);
+      lines.push(`${name}_count${formatLabels(labelNames, key)} ${count}`);
+    }
+    return lines;
+  });
+
+  return {
+    observe(labels, value) {
+      const key = labelKey(labelNames, labels);
+      if (!series.has(key)) series.set(key, { counts: buckets.map(() => 0), sum: 0, count: 0 });
+      const entry = series.get(key);
+      buckets.forEach((bound, i) => {
+        if (value <= bound) entry.counts[i]++;
+      });
+      entry.sum += value;
+      entry.count++;
+    }
+  };
+}
+
+/**
+ * All metrics in the Prometheus text format
+ */
+export function renderMetrics() {
+  return `${metrics.flatMap(render => render()).join('\n')}\n`;
+}
+
+/**
+ * Outcome label for a finished request
+ */
+export function outcomeOf(statusCode) {
+  if (statusCode < 400) return 'success';
+  if (statusCode === 400) return 'invalid';
+  if (statusCode === 401 || statusCode === 403) return 'forbidden';
+  if (statusCode === 429) return 'rate_limited';
+  return 'error';
+}
+
+/**
+ * Middleware counting a route's requests and timing them by outcome,
+ * including the ones answered by earlier middleware such as rate limits
+ */
+export function observeRequests({ counter, histogram }) {
+  return (req, res, next) => {
+    const startedAt = process.hrtime.bigint();
+    res.on('finish', () => {
+      const outcome = outcomeOf(res.statusCode);
+      counter.inc({ outcome });
+      histogram.observe({ outcome }, Number(process.hrtime.bigint() - startedAt) / 1e9);
+    });
+    next();
+  };
+}
@@ -0,0 +1,278 @@
+/**
+ * Mock inference server
+ *
+ * A local stand-in for the Roboflow inference endpoints used by the SDK, so the
+ * app runs end to end without network access or an API key. It answers the
+ * WebRTC offer with werift, echoes the camera video back as the stream output
+ * and sends synthetic `water-project2` results on the "inference" data channel.
+ *
+ * Mounted in-process by server.js when MOCK_INFERENCE=1, or run standalone with
+ * `npm run mock` and point ROBOFLOW_SERVER_URL at it.
+ */
+
+import crypto from 'node:crypto';
+import { pathToFileURL } from 'node:url';
+import express from 'express';
+import { RTCPeerConnection } from 'werift';
+import { createLogger } from './logger.js';
+
+const FRAME_INTERVAL_MS = 200;
+const KEYFRAME_INTERVAL_MS = 2000;
+const FRAME_WIDTH = 640;
+const FRAME_HEIGHT = 480;
+
+const MOCK_BOTTLES = [
+  { color: 'blue', trackerId: 1, x: 160 },
+  { color: 'green', trackerId: 2, x: 320 },
+  { color: 'red', trackerId: 3, x: 480 }
+];
+
+const log = createLogger('Mock');
+const pipelines = new Map();
+
+function randomBetween(min, max) {
+  return min + Math.random() * (max - min);
+}
+
+/**
+ * Simulate bottles that get sipped from every 15-45 s and refilled when low
+ */
+function createBottleSimulation() {
+  const bottles = MOCK_BOTTLES.map(bottle => ({
+    ...bottle,
+    level: randomBetween(60, 95),
+    nextSipAt: Date.now() + randomBetween(15000, 45000)
+  }));
+
+  return function nextFrame(now) {
+    return bottles.map(bottle => {
+      if (now >= bottle.nextSipAt) {
+        bottle.level = bottle.level < 20 ? randomBetween(90, 98) : bottle.level - randomBetween(3, 8);
+        bottle.nextSipAt = now + randomBetween(15000, 45000);
+      }
+
+      return {
+        prediction: {
+          x: bottle.x,
+          y: FRAME_HEIGHT / 2,
+          width: 90,
+          height: 220,
+          confidence: Number(randomBetween(0.85, 0.97).toFixed(3)),
+          class: 'bottle',
+          class_id: 0,
+          detection_id: crypto.randomUUID(),
+          tracker_id: bottle.trackerId
+        },
+        percentage: JSON.stringify({
+          bottle_color: bottle.color,
+          fill_level_percent: Number((bottle.level + randomBetween(-1.5, 1.5)).toFixed(1))
+        })
+      };
+    });
+  };
+}
+
+/**
+ * Build one data channel message, keeping only the requested data outputs
+ */
+function buildMessage(frameId, frame, dataOutputs) {
+  const outputs = {
+    predictions: {
+      image: { width: FRAME_WIDTH, height: FRAME_HEIGHT },
+      predictions: frame.map(item => item.prediction)
+    },
+    percentage: frame.map(item => item.percentage)
+  };
+
+  const serialized = {};
+  for (const name of dataOutputs) {
+    if (name in outputs) serialized[name] = outputs[name];
+  }
+
+  return {
+    serialized_output_data: serialized,
+    video_metadata: {
+      frame_id: frameId,
+      received_at: new Date().toISOString(),
+      pts: null,
+      time_base: null,
+      declared_fps: null,
+      measured_fps: 1000 / FRAME_INTERVAL_MS,
+      comes_from_video_file: false
+    },
+    errors: []
+  };
+}
+
+/**
+ * Stream synthetic results on a data channel until the pipeline stops
+ */
+function startDataStream(pipeline, channel) {
+  const nextFrame = createBottleSimulation();
+  let frameId = 0;
+
+  channel.onMessage.subscribe(message => {
+    // The SDK reconfigures outputs with { stream_output, data_output }
+    try {
+      const { data_output: dataOutput } = JSON.parse(message.toString());
+      if (Array.isArray(dataOutput)) pipeline.dataOutputs = dataOutput;
+    } catch (error) {
+      log.warn(`Ignoring data channel message: ${error.message}`);
+    }
+  });
+
+  pipeline.timers.push(setInterval(() => {
+    if (channel.readyState !== 'open') return;
+    const message = buildMessage(++frameId, nextFrame(Date.now()), pipeline.dataOutputs);
+    channel.send(JSON.stringify(message));
+  }, FRAME_INTERVAL_MS));
+}
+
+/**
+ * Find the mids of the video sections the client only receives on
+ */
+function recvOnlyVideoMids(sdp) {
+  return sdp.split(/\r?\nm=/).slice(1)
+    .filter(section => section.startsWith('video') && /\r?\na=recvonly/.test(section))
+    .map(section => section.match(/a=mid:(\S+)/)?.[1]);
+}
+
+/**
+ * Echo the incoming camera track on the transceiver the client receives on
+ */
+function echoVideo(pipeline, pc, offer) {
+  const outputMids = recvOnlyVideoMids(offer.sdp);
+  const output = pc.getTransceivers().find(t => t.kind === 'video' && outputMids.includes(t.mid));
+  if (!output) return;
+
+  output.setDirection('sendonly');
+  output.sender.setStreams([{ id: `mock-${pipeline.id}` }]);
+
+  const relay = (input, track) => {
+    output.sender.replaceTrack(track);
+
+    // Ask the browser for keyframes so the echoed stream can start decoding
+    pipeline.timers.push(setInterval(() => {
+      if (track.ssrc) input.receiver.sendRtcpPLI(track.ssrc).catch(() => {});
+    }, KEYFRAME_INTERVAL_MS));
+  };
+
+  // Tracks announced with an ssrc in the offer already exist after setRemoteDescription
+  pc.getTransceivers()
+    .filter(t => t.kind === 'video' && t !== output)
+    .forEach(input => {
+      input.receiver.tracks.forEach(track => relay(input, track));
+      input.onTrack.subscribe(track => relay(input, track));
+    });
+}
+
+async function stopPipeline(id) {
+  const pipeline = pipelines.get(id);
+  if (!pipeline) return false;
+
+  pipelines.delete(id);
+  pipeline.timers.forEach(timer => clearInterval(timer));
+  await pipeline.pc.close();
+  log.info('Pipeline terminated', { pipelineId: id });
+  return true;
+}
+
+/**
+ * Create the router answering the inference server endpoints the SDK calls
+ */
+export function createMockInferenceRouter() {
+  const router = express.Router();
+  router.use(express.json({ limit: '5mb' }));
+
+  /**
+   * POST /initialise_webrtc_worker
+   *
+   * Request body (as sent by InferenceHTTPClient.initializeWebrtcWorker):
+   *   - webrtc_offer: { sdp, type }
+   *   - stream_output: string[]
+   *   - data_output: string[]
+   *
+   * Response:
+   *   - sdp, type: the WebRTC answer
+   *   - context: { request_id, pipeline_id }
+   */
+  router.post('/initialise_webrtc_worker', async (req, res) => {
+    try {
+      const { webrtc_offer: offer, data_output: dataOutput } = req.body;
+      if (!offer?.sdp || !offer?.type) {
+        return res.status(400).json({ error: 'Missing required field: webrtc_offer with sdp and type' });
+      }
+
+      const pipeline = {
+        id: crypto.randomUUID(),
+        pc: new RTCPeerConnection({ iceServers: [] }),
+        dataOutputs: Array.isArray(dataOutput) ? dataOutput : [],
+        timers: []
+      };
+      pipelines.set(pipeline.id, pipeline);
+
+      const { pc } = pipeline;
+      pc.onDataChannel.subscribe(channel => {
+        if (channel.label === 'inference') startDataStream(pipeline, channel);
+      });
+      pc.connectionStateChange.subscribe(state => {
+        if (state === 'failed' || state === 'closed') stopPipeline(pipeline.id);
+      });
+
+      await pc.setRemoteDescription(offer);
+      echoVideo(pipeline, pc, offer);
+      await pc.setLocalDescription(await pc.createAnswer());
+
+      log.info('Pipeline started', { pipelineId: pipeline.id, dataOutputs: pipeline.dataOutputs });
+      res.json({
+        sdp: pc.localDescription.sdp,
+        type: pc.localDescription.type,
+        context: { request_id: crypto.randomUUID(), pipeline_id: pipeline.id }
+      });
+    } catch (error) {
+      log.error('Error answering WebRTC offer', { error });
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * POST /inference_pipelines/:id/terminate
+   */
+  router.post('/inference_pipelines/:id/terminate', async (req, res) => {
+    const stopped = await stopPipeline(req.params.id);
+    res.status(stopped ? 200 : 404).json({ status: stopped ? 'terminated' : 'not found' });
+  });
+
+  /**
+   * GET /webrtc_turn_config
+   *
+   * The mock runs on the local network, so no TURN relay is needed.
+   */
+  router.get('/webrtc_turn_config', (req, res) => {
+    res.json({ iceServers: [] });
+  });
+
+  return router;
+}
+
+/**
+ * Fetch the TURN config from a mock server.
+ * InferenceHTTPClient.fetchTurnConfig only queries Roboflow's hosted servers.
+ */
+export async function fetchMockTurnConfig(serverUrl) {
+  const res = await fetch(`${serverUrl}/webrtc_turn_config`);
+  if (!res.ok) throw new Error(`Mock TURN config request failed (${res.status})`);
+  const { iceServers } = await res.json();
+  return iceServers;
+}
+
+// Standalone mode: `node server/mockInference.js`
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const port = process.env.MOCK_PORT || 9001;
+  express()
+    .use(createMockInferenceRouter())
+    .listen(port, () => {
+      console.log(`\n🧪 Mock inference server on http://localhost:${port}`);
+      console.log(`   Run the app with MOCK_INFERENCE=1 ROBOFLOW_SERVER_URL=http://localhost:${port}\n`);
+    });
+}
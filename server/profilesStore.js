@@ -0,0 +1,81 @@
+/**
+ * Bottle profile registry
+ *
+ * Profiles are keyed by `bottle_color` and stored in data/profiles.json.
+ */
+
+import { readJson, writeJson } from './storage.js';
+
+const PROFILES_FILE = 'profiles.json';
+const MAX_CAPACITY_LITERS = 20;
+
+// Each save reads and rewrites the whole file, so updates are chained
+// instead of losing each other
+let profilesQueue = Promise.resolve();
+
+function updateProfiles(update) {
+  const result = profilesQueue.then(async () => {
+    const profiles = await listProfiles();
+    const { profiles: next, value } = update(profiles);
+    if (next) await writeJson(PROFILES_FILE, next);
+    return value;
+  });
+  profilesQueue = result.catch(() => {});
+  return result;
+}
+
+/**
+ * Validate a profile from the request body against the stored curves
+ * (`curveId` must name one of them).
+ * Returns { profile } or { error }.
+ */
+export function validateProfile(color, input = {}, curves = {}) {
+  const capacityLiters = Number(input.capacityLiters);
+  if (!Number.isFinite(capacityLiters) || capacityLiters <= 0 || capacityLiters > MAX_CAPACITY_LITERS) {
+    return { error: `capacityLiters must be a number between 0 and ${MAX_CAPACITY_LITERS}` };
+  }
+
+  for (const field of ['displayName', 'owner', 'curveId']) {
+    if (input[field] != null && typeof input[field] !== 'string') {
+      return { error: `${field} must be a string` };
+    }
+  }
+  if (input.curveId && !curves[input.curveId]) {
+    return { error: `No calibration curve: ${input.curveId}` };
+  }
+
+  return {
+    profile: {
+      color,
+      displayName: input.displayName?.trim() || color,
+      owner: input.owner?.trim() || '',
+      capacityLiters,
+      curveId: input.curveId || null
+    }
+  };
+}
+
+/**
+ * All profiles, keyed by color
+ */
+export async function listProfiles() {
+  return readJson(PROFILES_FILE, {});
+}
+
+export async function saveProfile(profile) {
+  return updateProfiles(profiles => {
+    const saved = { ...profiles[profile.color], ...profile, updatedAt: new Date().toISOString() };
+    return { profiles: { ...profiles, [profile.color]: saved }, value: saved };
+  });
+}
+
+/**
+ * Remove a profile. Returns false when it didn't exist.
+ */
+export async function deleteProfile(color) {
+  return updateProfiles(profiles => {
+    if (!profiles[color]) return { value: false };
+    const { [color]: deleted, ...rest } = profiles;
+    return { profiles: rest, value: true };
+  });
+}
@@ -0,0 +1,74 @@
+/**
+ * In-memory rate limiting
+ *
+ * Sliding window counters per key (user name or client IP). Counts are kept
+ * in this process only, so they reset on restart.
+ */
+
+/**
+ * Create a limiter allowing `limit` hits per key within `windowMs`
+ *
+ * @returns {{check: Function, hit: Function}} check(key) returns
+ *     { allowed, retryAfterSeconds } for one more hit; hit(key) does the same
+ *     and records the hit when it is allowed
+ */
+export function createRateLimiter({ limit, windowMs }) {
+  const hits = new Map();
+
+  // Drop keys whose hits are all outside the window
+  const sweep = setInterval(() => {
+    const cutoff = Date.now() - windowMs;
+    for (const [key, times] of hits) {
+      if (times[times.length - 1] <= cutoff) hits.delete(key);
+    }
+  }, windowMs);
+  sweep.unref();
+
+  function recentHits(key, now) {
+    const times = (hits.get(key) || []).filter(time => time > now - windowMs);
+    if (times.length > 0) hits.set(key, times);
+    else hits.delete(key);
+    return times;
+  }
+
+  return {
+    check(key) {
+      const now = Date.now();
+      const times = recentHits(key, now);
+      if (times.length >= limit) {
+        return { allowed: false, retryAfterSeconds: Math.ceil((times[0] + windowMs - now) / 1000) };
+      }
+      return { allowed: true, retryAfterSeconds: 0 };
+    },
+
+    hit(key) {
+      const result = this.check(key);
+      if (result.allowed) hits.set(key, [...(hits.get(key) || []), Date.now()]);
+      return result;
+    }
+  };
+}
+
+/**
+ * Middleware applying one or more limiters. Each entry's `key(req)` picks
+ * what to count (return null to skip); over any limit answers 429. Hits are
+ * only recorded once every limiter allows the request, so a rejected request
+ * doesn't use up the other limits.
+ */
+export function rateLimit(limits, message = 'Too many requests') {
+  return (req, res, next) => {
+    const applied = limits
+      .map(({ limiter, key }) => ({ limiter, value: key(req) }))
+      .filter(({ value }) => value != null);
+
+    for (const { limiter, value } of applied) {
+      const { allowed, retryAfterSeconds } = limiter.check(value);
+      if (!allowed) {
+        res.set('Retry-After', String(retryAfterSeconds));
+        return res.status(429).json({ error: `${message}, try again in ${retryAfterSeconds} s` });
+      }
+    }
+    applied.forEach(({ limiter, value }) => limiter.hit(value));
+    next();
+  };
+}
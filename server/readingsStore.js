@@ -0,0 +1,76 @@
+/**
+ * Bottle readings history
+ *
+ * Each processed reading pushed by the frontend is appended to
+ * data/readings.jsonl and can be queried back by color, camera and time
+ * range. Readings from the camera grid carry the tile's camera name; the
+ * main dashboard's readings have none.
+ */
+
+import { appendLines, readLines } from './storage.js';
+
+const READINGS_FILE = 'readings.jsonl';
+
+/**
+ * Parse a timestamp given as ISO string or epoch milliseconds.
+ * Returns epoch milliseconds, or null when the value is not a valid time.
+ */
+export function parseTimestamp(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const asNumber = Number(value);
+  const time = Number.isFinite(asNumber) ? asNumber : Date.parse(value);
+  return Number.isFinite(time) ? time : null;
+}
+
+/**
+ * Validate and normalize a reading from the request body.
+ * Returns null when the reading can't be stored.
+ */
+export function normalizeReading(input) {
+  if (!input || typeof input !== 'object') return null;
+
+  const color = typeof input.color === 'string' ? input.color.trim() : '';
+  const time = parseTimestamp(input.timestamp);
+  if (!color || time === null) return null;
+
+  const percent = Number(input.fill_level_percent);
+  const trackerId = input.tracker_id ?? null;
+  const camera = typeof input.camera === 'string' ? input.camera.trim() : '';
+
+  return {
+    color,
+    fill_level_percent: input.fill_level_percent !== null && Number.isFinite(percent) ? percent : null,
+    tracker_id: typeof trackerId === 'number' || typeof trackerId === 'string' ? trackerId : null,
+    timestamp: new Date(time).toISOString(),
+    ...(camera ? { camera } : {})
+  };
+}
+
+/**
+ * Append readings to the history file
+ */
+export async function addReadings(readings) {
+  await appendLines(READINGS_FILE, readings);
+}
+
+/**
+ * Query the history, oldest first
+ *
+ * @param {Object} query
+ * @param {string} [query.color] - Only readings for this bottle color
+ * @param {string} [query.camera] - Only readings from this grid camera
+ * @param {number} [query.from] - Inclusive lower bound (epoch ms)
+ * @param {number} [query.to] - Inclusive upper bound (epoch ms)
+ */
+export async function queryReadings({ color, camera, from, to } = {}) {
+  const results = [];
+  for await (const reading of readLines(READINGS_FILE)) {
+    if (color && reading.color !== color) continue;
+    if (camera && reading.camera !== camera) continue;
+    const time = Date.parse(reading.timestamp);
+    if (from != null && time < from) continue;
+    if (to != null && time > to) continue;
+    results.push(reading);
+  }
+  return results;
+}
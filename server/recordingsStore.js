@@ -0,0 +1,70 @@
+/**
+ * Data channel session recordings
+ *
+ * JSONL files of `{ t, data }` lines (epoch ms + raw onData payload) uploaded
+ * by the frontend and kept under data/recordings/ for replay.
+ */
+
+import fsp from 'node:fs/promises';
+import { dataPath } from './storage.js';
+
+const RECORDINGS_DIR = 'recordings';
+const NAME_PATTERN = /^[\w.-]+\.jsonl$/;
+
+/**
+ * Check that a recording body is JSONL with `t` and `data` on every line.
+ * Returns { messages } or { error }.
+ */
+export function validateRecording(text) {
+  const lines = text.split('\n').filter(line => line.trim());
+  if (lines.length === 0) {
+    return { error: 'Recording is empty' };
+  }
+
+  for (let i = 0; i < lines.length; i++) {
+    let entry;
+    try {
+      entry = JSON.parse(lines[i]);
+    } catch (error) {
+      return { error: `Line ${i + 1} is not valid JSON` };
+    }
+    if (!Number.isFinite(entry?.t) || typeof entry.data !== 'object') {
+      return { error: `Line ${i + 1} must have a numeric "t" and a "data" object` };
+    }
+  }
+
+  return { messages: lines.length };
+}
+
+/**
+ * Resolve a recording file, or null for names that aren't plain file names
+ */
+export function recordingPath(name) {
+  return NAME_PATTERN.test(name) ? dataPath(RECORDINGS_DIR, name) : null;
+}
+
+export async function saveRecording(text) {
+  const name = `session-${new Date().toISOString().replace(/[:.]/g, '-')}.jsonl`;
+  await fsp.mkdir(dataPath(RECORDINGS_DIR), { recursive: true });
+  await fsp.writeFile(recordingPath(name), text);
+  return name;
+}
+
+/**
+ * List recordings, newest first
+ */
+export async function listRecordings() {
+  let names;
+  try {
+    names = await fsp.readdir(dataPath(RECORDINGS_DIR));
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const recordings = await Promise.all(names.filter(name => NAME_PATTERN.test(name)).map(async name => {
+    const stats = await fsp.stat(recordingPath(name));
+    return { name, size: stats.size, createdAt: stats.mtime.toISOString() };
+  }));
+  return recordings.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
@@ -0,0 +1,163 @@
+/**
+ * Registry of running inference pipelines
+ *
+ * Every pipeline started through /api/init-webrtc is tracked here until it
+ * is terminated, reaches its processing timeout, or its browser stops
+ * sending heartbeats. Kept in memory: after a restart the pipelines still
+ * end through their processing timeout.
+ */
+
+import { createLogger } from './logger.js';
+
+const log = createLogger('Sessions');
+const sessions = new Map();
+
+// Starts that passed the concurrency check but haven't registered yet
+let pendingStarts = 0;
+
+// Sessions whose cap-exempt renewal is being started
+const renewalClaims = new Set();
+
+/**
+ * Claim a slot for a new session. Returns false when `max` sessions are
+ * already running or starting (a max of 0 means no limit); otherwise the
+ * caller must call releaseSlot() once the start finished or failed.
+ * Sessions that were replaced by a renewal don't count.
+ */
+export function reserveSlot(max) {
+  let running = 0;
+  for (const session of sessions.values()) {
+    if (!session.replacedBy) running++;
+  }
+  if (max > 0 && running + pendingStarts >= max) return false;
+  pendingStarts++;
+  return true;
+}
+
+export function releaseSlot() {
+  pendingStarts = Math.max(0, pendingStarts - 1);
+}
+
+/**
+ * Claim the one renewal of a session that may start without a slot. Returns
+ * the session, or null unless it was started by the same user (or, without
+ * authentication, the same client IP), ends within `windowMs` and hasn't
+ * been renewed yet. The caller must call releaseRenewal() once the start
+ * finished or failed; registering the replacement marks the session as
+ * renewed for good.
+ *
+ * @param {string} pipelineId
+ * @param {Object} requester
+ * @param {?string} requester.user
+ * @param {string} requester.ip
+ * @param {number} requester.windowMs
+ */
+export function claimRenewal(pipelineId, { user, ip, windowMs }) {
+  const session = sessions.get(pipelineId);
+  if (!session || !session.expiresAt || session.replacedBy || renewalClaims.has(pipelineId)) return null;
+  const owned = session.user ? session.user === user : session.ip === ip;
+  if (!owned || Date.parse(session.expiresAt) - Date.now() > windowMs) return null;
+  renewalClaims.add(pipelineId);
+  return session;
+}
+
+export function releaseRenewal(pipelineId) {
+  renewalClaims.delete(pipelineId);
+}
+
+/**
+ * Track a started pipeline
+ *
+ * @param {Object} session
+ * @param {string} session.pipelineId
+ * @param {?string} session.user - Logged in user, null without authentication
+ * @param {string} session.ip - Client IP that started it
+ * @param {string} session.workflow - Catalog id, or "custom spec"
+ * @param {?string} session.plan
+ * @param {?string} session.region
+ * @param {?number} session.processingTimeout - Seconds until the pipeline ends on its own
+ * @param {?string} [session.renews] - Pipeline this one replaces before its timeout; it
+ *     stops counting against the cap
+ */
+export function registerSession({ pipelineId, user, ip, workflow, plan, region, processingTimeout, renews }) {
+  const now = Date.now();
+  const session = {
+    pipelineId,
+    user: user || null,
+    ip,
+    workflow,
+    plan: plan || null,
+    region: region || null,
+    renews: renews || null,
+    replacedBy: null,
+    startedAt: new Date(now).toISOString(),
+    expiresAt: processingTimeout ? new Date(now + processingTimeout * 1000).toISOString() : null,
+    lastHeartbeatAt: new Date(now).toISOString()
+  };
+  sessions.set(pipelineId, session);
+  const renewed = renews && sessions.get(renews);
+  if (renewed) renewed.replacedBy = pipelineId;
+  return session;
+}
+
+/**
+ * Running sessions, oldest first
+ */
+export function listSessions() {
+  return [...sessions.values()].sort((a, b) => a.startedAt.localeCompare(b.startedAt));
+}
+
+export function getSession(pipelineId) {
+  return sessions.get(pipelineId) || null;
+}
+
+/**
+ * Record a heartbeat. Returns false for sessions that aren't running.
+ */
+export function touchSession(pipelineId) {
+  const session = sessions.get(pipelineId);
+  if (!session) return false;
+  session.lastHeartbeatAt = new Date().toISOString();
+  return true;
+}
+
+export function removeSession(pipelineId) {
+  const session = sessions.get(pipelineId);
+  if (!session) return false;
+  sessions.delete(pipelineId);
+  // A replacement that ended early leaves the old pipeline counting again
+  const renewed = session.renews && sessions.get(session.renews);
+  if (renewed?.replacedBy === pipelineId) renewed.replacedBy = null;
+  return true;
+}
+
+/**
+ * Periodically drop sessions past their processing timeout and hand
+ * sessions without a heartbeat for `heartbeatTimeoutMs` to `terminate`.
+ *
+ * @param {Object} options
+ * @param {number} options.heartbeatTimeoutMs
+ * @param {Function} options.terminate - async (session) => void
+ * @returns {Function} Stops the sweep
+ */
+export function startOrphanSweep({ heartbeatTimeoutMs, terminate }) {
+  const timer = setInterval(() => {
+    const now = Date.now();
+    for (const session of listSessions()) {
+      if (session.expiresAt && Date.parse(session.expiresAt) <= now) {
+        log.info('Session reached its processing timeout', { pipelineId: session.pipelineId });
+        removeSession(session.pipelineId);
+      } else if (Date.parse(session.lastHeartbeatAt) + heartbeatTimeoutMs <= now) {
+        log.warn('No heartbeat, terminating session', { pipelineId: session.pipelineId });
+        removeSession(session.pipelineId);
+        terminate(session).catch(error => {
+          // Still running: keep it listed, the next sweep tries again
+          log.error('Failed to terminate session', { pipelineId: session.pipelineId, error });
+          if (!sessions.has(session.pipelineId)) sessions.set(session.pipelineId, session);
+        });
+      }
+    }
+  }, Math.min(heartbeatTimeoutMs / 2, 15000));
+  timer.unref();
+  return () => clearInterval(timer);
+}
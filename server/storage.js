@@ -0,0 +1,80 @@
+/**
+ * Local file storage helpers
+ *
+ * Everything the server persists lives under DATA_DIR (default: ./data).
+ * Paths are resolved lazily because dotenv is loaded after module imports.
+ */
+
+import fs from 'node:fs';
+import fsp from 'node:fs/promises';
+import path from 'node:path';
+import readline from 'node:readline';
+import { createLogger } from './logger.js';
+
+const log = createLogger('Storage');
+
+// Tells apart the temp files of writes running at the same time
+let tmpCounter = 0;
+
+/**
+ * Resolve a path inside the data directory
+ */
+export function dataPath(...segments) {
+  return path.resolve(process.env.DATA_DIR || 'data', ...segments);
+}
+
+/**
+ * Read a JSON document, returning `fallback` when the file doesn't exist yet
+ */
+export async function readJson(name, fallback) {
+  try {
+    const text = await fsp.readFile(dataPath(name), 'utf8');
+    return JSON.parse(text);
+  } catch (error) {
+    if (error.code === 'ENOENT') return fallback;
+    throw error;
+  }
+}
+
+/**
+ * Write a JSON document atomically (temp file + rename)
+ */
+export async function writeJson(name, value) {
+  const file = dataPath(name);
+  await fsp.mkdir(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.${++tmpCounter}.tmp`;
+  await fsp.writeFile(tmp, JSON.stringify(value, null, 2));
+  await fsp.rename(tmp, file);
+}
+
+/**
+ * Append records to a JSONL file, one JSON object per line
+ */
+export async function appendLines(name, records) {
+  if (records.length === 0) return;
+  const file = dataPath(name);
+  await fsp.mkdir(path.dirname(file), { recursive: true });
+  await fsp.appendFile(file, records.map(r => JSON.stringify(r)).join('\n') + '\n');
+}
+
+/**
+ * Stream the records of a JSONL file, skipping lines that don't parse
+ */
+export async function* readLines(name) {
+  const file = dataPath(name);
+  if (!fs.existsSync(file)) return;
+
+  const lines = readline.createInterface({
+    input: fs.createReadStream(file, { encoding: 'utf8' }),
+    crlfDelay: Infinity
+  });
+
+  for await (const line of lines) {
+    if (!line.trim()) continue;
+    try {
+      yield JSON.parse(line);
+    } catch (error) {
+      log.warn('Skipping malformed line', { file: name });
+    }
+  }
+}
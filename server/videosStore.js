@@ -0,0 +1,39 @@
+/**
+ * Video files for offline analysis
+ *
+ * Footage recorded earlier (e.g. at a customer site) is dropped into
+ * data/videos/ and streamed to the browser, which plays it into the same
+ * WebRTC pipeline as a live camera.
+ */
+
+import fsp from 'node:fs/promises';
+import { dataPath } from './storage.js';
+
+const VIDEOS_DIR = 'videos';
+const NAME_PATTERN = /^[\w.-]+\.(mp4|webm|mov|m4v|ogv)$/i;
+
+/**
+ * Resolve a video file, or null for names that aren't plain video file names
+ */
+export function videoPath(name) {
+  return NAME_PATTERN.test(name) ? dataPath(VIDEOS_DIR, name) : null;
+}
+
+/**
+ * List video files by name
+ */
+export async function listVideos() {
+  let names;
+  try {
+    names = await fsp.readdir(dataPath(VIDEOS_DIR));
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const videos = await Promise.all(names.filter(name => NAME_PATTERN.test(name)).map(async name => {
+    const stats = await fsp.stat(videoPath(name));
+    return { name, size: stats.size, modifiedAt: stats.mtime.toISOString() };
+  }));
+  return videos.sort((a, b) => a.name.localeCompare(b.name));
+}
@@ -0,0 +1,107 @@
+/**
+ * Workflow catalog
+ *
+ * The stored Roboflow workflows this server is willing to run with its API
+ * key, read from config/workflows.json (or WORKFLOWS_CONFIG). The browser
+ * only picks a catalog id; the workspace and workflow names stay here.
+ */
+
+import fsp from 'node:fs/promises';
+import path from 'node:path';
+import { createLogger } from './logger.js';
+
+const DEFAULT_CATALOG = 'config/workflows.json';
+const log = createLogger('Catalog');
+
+function isStringList(value) {
+  return Array.isArray(value) && value.every(item => typeof item === 'string' && item);
+}
+
+/**
+ * Check one catalog entry and fill in defaults.
+ * Returns { workflow } or { error }.
+ */
+export function validateWorkflowEntry(entry) {
+  for (const field of ['id', 'workspaceName', 'workflowId']) {
+    if (typeof entry?.[field] !== 'string' || !entry[field]) {
+      return { error: `${field} must be a non-empty string` };
+    }
+  }
+  for (const field of ['streamOutputNames', 'dataOutputNames']) {
+    if (entry[field] != null && !isStringList(entry[field])) {
+      return { error: `${field} must be an array of names` };
+    }
+  }
+  for (const field of ['parameters', 'outputSchema']) {
+    if (entry[field] != null && (typeof entry[field] !== 'object' || Array.isArray(entry[field]))) {
+      return { error: `${field} must be an object` };
+    }
+  }
+
+  return {
+    workflow: {
+      id: entry.id,
+      label: typeof entry.label === 'string' && entry.label ? entry.label : entry.id,
+      workspaceName: entry.workspaceName,
+      workflowId: entry.workflowId,
+      imageInputName: typeof entry.imageInputName === 'string' && entry.imageInputName ? entry.imageInputName : 'image',
+      streamOutputNames: entry.streamOutputNames || [],
+      dataOutputNames: entry.dataOutputNames || [],
+      parameters: entry.parameters || {},
+      // Shape of serialized_output_data, checked by the dashboard's payload diagnostics
+      outputSchema: entry.outputSchema || null
+    }
+  };
+}
+
+/**
+ * Read the catalog. It is re-read on every call so edits apply without a
+ * restart; invalid entries are skipped with a warning.
+ */
+export async function loadWorkflows() {
+  const file = path.resolve(process.env.WORKFLOWS_CONFIG || DEFAULT_CATALOG);
+  let parsed;
+  try {
+    parsed = JSON.parse(await fsp.readFile(file, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      log.warn('No workflow catalog', { file });
+      return [];
+    }
+    throw error;
+  }
+
+  const workflows = [];
+  for (const entry of Array.isArray(parsed?.workflows) ? parsed.workflows : []) {
+    const { workflow, error } = validateWorkflowEntry(entry);
+    if (error) {
+      log.warn(`Skipping workflow ${entry?.id ?? '(no id)'}: ${error}`);
+    } else if (workflows.some(existing => existing.id === workflow.id)) {
+      log.warn(`Skipping duplicate workflow id ${workflow.id}`);
+    } else {
+      workflows.push(workflow);
+    }
+  }
+  return workflows;
+}
+
+/**
+ * Find the catalog entry a request refers to: by catalog id, or by its
+ * workspace and workflow names. Returns null when it isn't in the catalog.
+ */
+export async function findWorkflow({ catalogId, workspaceName, workflowId }) {
+  const workflows = await loadWorkflows();
+  if (catalogId) {
+    return workflows.find(workflow => workflow.id === catalogId) || null;
+  }
+  return workflows.find(workflow =>
+    workflow.workspaceName === workspaceName && workflow.workflowId === workflowId
+  ) || null;
+}
+
+/**
+ * The catalog as sent to the browser, without workspace and workflow names
+ */
+export function toPublicWorkflow({ id, label, imageInputName, streamOutputNames, dataOutputNames, parameters, outputSchema }) {
+  return { id, label, imageInputName, streamOutputNames, dataOutputNames, parameters, outputSchema };
+}
@@ -0,0 +1,80 @@
+/**
+ * Named workflow spec presets
+ *
+ * Workflow specifications written in the custom workflow editor, stored in
+ * data/workflow-presets.json by id so they can be reused across sessions.
+ */
+
+import { readJson, writeJson } from './storage.js';
+
+const PRESETS_FILE = 'workflow-presets.json';
+
+// Each save reads and rewrites the whole file, so updates are chained
+// instead of losing each other
+let presetsQueue = Promise.resolve();
+
+function updatePresets(update) {
+  const result = presetsQueue.then(async () => {
+    const presets = await listPresets();
+    const { presets: next, value } = update(presets);
+    if (next) await writeJson(PRESETS_FILE, next);
+    return value;
+  });
+  presetsQueue = result.catch(() => {});
+  return result;
+}
+
+/**
+ * Validate a preset from the request body.
+ * Only the top-level shape is checked here; the editor checks the wiring.
+ * Returns { preset } or { error }.
+ */
+export function validatePreset(id, input = {}) {
+  const spec = input.spec;
+  if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+    return { error: 'spec must be a workflow specification object' };
+  }
+
+  for (const field of ['inputs', 'steps', 'outputs']) {
+    if (!Array.isArray(spec[field])) {
+      return { error: `spec.${field} must be an array` };
+    }
+  }
+
+  if (input.name != null && typeof input.name !== 'string') {
+    return { error: 'name must be a string' };
+  }
+
+  return {
+    preset: {
+      id,
+      name: input.name?.trim() || id,
+      spec
+    }
+  };
+}
+
+/**
+ * All presets, keyed by id
+ */
+export async function listPresets() {
+  return readJson(PRESETS_FILE, {});
+}
+
+export async function savePreset(preset) {
+  return updatePresets(presets => {
+    const saved = { ...preset, updatedAt: new Date().toISOString() };
+    return { presets: { ...presets, [preset.id]: saved }, value: saved };
+  });
+}
+
+/**
+ * Remove a preset. Returns false when it didn't exist.
+ */
+export async function deletePreset(id) {
+  return updatePresets(presets => {
+    if (!presets[id]) return { value: false };
+    const { [id]: deleted, ...rest } = presets;
+    return { presets: rest, value: true };
+  });
+}
@@ -0,0 +1,94 @@
+/**
+ * Alerts panel
+ *
+ * Lists the alerts the server fired for the published bottle table (low
+ * level, nothing drunk for a while, bottle out of view) with their webhook
+ * deliveries, and acknowledges them.
+ */
+
+import {getJson, postJson} from "./api.js";
+import {escapeHtml} from "./html.js";
+
+const panelEl = document.getElementById("alertsPanel");
+const listEl = document.getElementById("alertList");
+const statusEl = document.getElementById("alertsStatus");
+const countEl = document.getElementById("alertCount");
+const refreshBtn = document.getElementById("refreshAlertsBtn");
+
+// Enough for a day of alerts; older ones stay on the server
+const SHOWN_ALERTS = 50;
+
+function setStatus(text) {
+    statusEl.textContent = text;
+}
+
+function describeDeliveries(deliveries) {
+    return deliveries.map(delivery => {
+        const retries = delivery.attempts > 1 ? `, ${delivery.attempts} attempts` : "";
+        return `${delivery.host}: ${delivery.status}${retries}`;
+    }).join(" · ");
+}
+
+function renderAlerts(alerts) {
+    const unacknowledged = alerts.filter(alert => !alert.acknowledged).length;
+    countEl.textContent = unacknowledged;
+    countEl.hidden = unacknowledged === 0;
+
+    if (alerts.length === 0) {
+        listEl.innerHTML = '<div class="empty-hint">No alerts yet</div>';
+        return;
+    }
+
+    listEl.innerHTML = alerts.slice(0, SHOWN_ALERTS).map(alert => `
+      <div class="profile-row${alert.acknowledged ? '' : ' alert-new'}">
+        <div>
+          <div><strong>${escapeHtml(alert.message)}</strong></div>
+          <div class="profile-meta">${escapeHtml(new Date(alert.triggeredAt).toLocaleString())}${alert.deliveries.length > 0 ? ` · ${escapeHtml(describeDeliveries(alert.deliveries))}` : ''}</div>
+        </div>
+        ${alert.acknowledged ? '' : `<button type="button" data-action="ack" data-alert="${escapeHtml(alert.id)}">Acknowledge</button>`}
+      </div>
+    `).join('');
+}
+
+/**
+ * Reload the alert list
+ */
+export async function refreshAlertsPanel() {
+    try {
+        const {alerts, rules, webhooks} = await getJson("/api/alerts");
+        renderAlerts(alerts);
+        setStatus(rules.length > 0
+            ? `${rules.length} rule(s), ${webhooks} webhook(s)`
+            : "No alert rules configured on the server");
+    } catch (err) {
+        console.error("[Alerts] Failed to load alerts:", err);
+        listEl.innerHTML = '<div class="empty-hint">Failed to load alerts</div>';
+    }
+}
+
+async function handleListClick(e) {
+    const button = e.target.closest("button[data-action='ack']");
+    if (!button) return;
+
+    try {
+        await postJson(`/api/alerts/${encodeURIComponent(button.dataset.alert)}/ack`, {});
+    } catch (err) {
+        console.error("[Alerts] Acknowledge failed:", err);
+        setStatus(`Error: ${err.message}`);
+    }
+    await refreshAlertsPanel();
+}
+
+/**
+ * Attach the panel's event handlers and load the list
+ */
+export function initAlertsPanel() {
+    listEl.addEventListener("click", handleListClick);
+    refreshBtn.addEventListener("click", refreshAlertsPanel);
+    window.addEventListener("alerts-triggered", (e) => {
+        e.detail.forEach(alert => console.warn("[Alerts]", alert.message));
+        panelEl.classList.add("open");
+        refreshAlertsPanel();
+    });
+    refreshAlertsPanel();
+}
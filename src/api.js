@@ -0,0 +1,46 @@
+/**
+ * JSON helpers for the proxy server's API
+ */
+
+/**
+ * Fetch a JSON endpoint and throw on non-2xx responses. The error carries
+ * the HTTP status and the server's request ID (to find its log lines); a
+ * 401 also fires an "auth-required" event on window.
+ */
+export async function requestJson(url, options = {}) {
+    const res = await fetch(url, {
+        ...options,
+        headers: {
+            "Content-Type": "application/json",
+            ...options.headers
+        }
+    });
+
+    const body = await res.json().catch(() => null);
+    if (!res.ok) {
+        const error = new Error(body?.error || `Request failed (${res.status})`);
+        error.status = res.status;
+        error.requestId = res.headers.get("X-Request-Id");
+        if (res.status === 401) {
+            window.dispatchEvent(new CustomEvent("auth-required"));
+        }
+        throw error;
+    }
+    return body;
+}
+
+export function getJson(url) {
+    return requestJson(url);
+}
+
+export function postJson(url, data) {
+    return requestJson(url, {method: "POST", body: JSON.stringify(data)});
+}
+
+export function putJson(url, data) {
+    return requestJson(url, {method: "PUT", body: JSON.stringify(data)});
+}
+
+export function deleteJson(url) {
+    return requestJson(url, {method: "DELETE"});
+}
@@ -1,11 +1,46 @@
 /**
  * Roboflow WebRTC Secure Streaming - Frontend
  *
- * This example uses connectors.withProxyUrl() to keep your API key secure.
+ * This example connects through the proxy server (see proxyConnector.js) to keep your API key secure.
  * All communication with Roboflow is proxied through the backend server.
  */
 
-import {connectors, streams, webrtc} from '@roboflow/inference-sdk';
+import {streams, webrtc} from '@roboflow/inference-sdk';
+import {initAlertsPanel} from "./alertsPanel.js";
+import {initAuthPanel} from "./authPanel.js";
+import {attachIdentityActions, renderBottleTable, toBottleRows} from "./bottleTable.js";
+import {createBottleTracker} from "./bottleTracker.js";
+import {volumeFor} from "./calibration.js";
+import {initCalibrationPanel, refreshCalibrationColors} from "./calibrationPanel.js";
+import {endGridSessionsOnUnload, initCameraGrid, recalculateGrid, setGridEstimator} from "./cameraGrid.js";
+import {countDataMessage, countReconnect, startMetricsReporting, stopMetricsReporting} from "./clientMetrics.js";
+import {initClipsPanel, notifyClipEvent, startClipRecording, stopClipRecording} from "./clipsPanel.js";
+import {initDiagnosticsPanel, inspectPayload, resetDiagnostics, setPayloadSchema} from "./diagnosticsPanel.js";
+import {initEstimationPanel, showEstimatorComparison} from "./estimationPanel.js";
+import {escapeHtml} from "./html.js";
+import {initLevelChart} from "./levelChart.js";
+import {createLevelHistory} from "./levelHistory.js";
+import {endLivePublishing, publishLiveState} from "./livePublisher.js";
+import {loadState, saveState} from "./offlineStore.js";
+import {initOverlayPanel, isOverlayMode} from "./overlayPanel.js";
+import {
+    initPredictionOverlay,
+    setOverlayStyle,
+    setOverlayVisible,
+    toOverlayFrame,
+    updateOverlay
+} from "./predictionOverlay.js";
+import {initProfilesPanel, notifyColorSeen, refreshProfilesPanel} from "./profilesPanel.js";
+import {createProxyConnector} from "./proxyConnector.js";
+import {loadTodaysReadings, queueReadings, restorePendingReadings, stopReadingsSync} from "./readingsSync.js";
+import {initRecordingPanel, recordMessage, setReplayAvailable} from "./recordingPanel.js";
+import {endSession, endSessionOnUnload, startHeartbeat, stopHeartbeat} from "./sessionHeartbeat.js";
+import {replaySession} from "./sessionRecording.js";
+import {initSessionsPanel, refreshSessionsPanel} from "./sessionsPanel.js";
+import {createStreamSession, RENEW_LEAD_MS} from "./streamSession.js";
+import {createVideoFileStream, listServerVideos, serverVideoUrl} from "./videoSource.js";
+import {getCatalogWorkflow, loadWorkflowCatalog} from "./workflowCatalog.js";
+import {getWorkflowSpec, initWorkflowSpecPanel} from "./workflowSpecPanel.js";
 
 const startBtn = document.getElementById("startBtn");
 const stopBtn = document.getElementById("stopBtn");
@@ -15,17 +50,21 @@ const dataPreviewEl = document.getElementById("dataPreview");
 const dataCountEl = document.getElementById("dataCount");
 
 const levelsTextEl = document.getElementById("levelsText");
-const scoreByTrack = new Map(); // track_id -> last known score (number)
 const bottleTableBodyEl = document.getElementById("bottleTableBody");
+const sessionSummaryEl = document.getElementById("sessionSummary");
+const sessionTimerEl = document.getElementById("sessionTimer");
 
 
-const bottlesByColor = new Map();
-const BOTTLE_CAPACITY_LITERS = 1.0;
-const HISTORY_SIZE = 10; // Number of recent values to make average
+const tracker = createBottleTracker({
+    volumeAt: volumeFor
+});
+// Raw and filtered levels over the session, for the chart
+const levelHistory = createLevelHistory();
 
 let dataMessageCount = 0;
 
 const configInputs = {
+    workflowSelect: document.getElementById("workflowSelect"),
     imageInputName: document.getElementById("imageInputName"),
     streamOutputNames: document.getElementById("streamOutputNames"),
     dataOutputNames: document.getElementById("dataOutputNames")
@@ -41,6 +80,7 @@ const serverInputs = {
 // Tab elements
 const tabBtns = document.querySelectorAll(".tab-btn");
 const tabContents = document.querySelectorAll(".tab-content");
+const customWorkflowNotice = document.getElementById("customWorkflowNotice");
 
 // Current workflow mode: "workflow_defined" or "local_defined"
 let workflowMode = "workflow_defined";
@@ -53,9 +93,43 @@ const cameraInputs = {
     cameraCaps: document.getElementById("cameraCaps")
 };
 
-// Track active connection
+// Config inputs - Video source
+const sourceInputs = {
+    sourceType: document.getElementById("sourceType"),
+    videoFile: document.getElementById("videoFile"),
+    serverVideo: document.getElementById("serverVideo"),
+    videoFileField: document.getElementById("videoFileField"),
+    serverVideoField: document.getElementById("serverVideoField"),
+    cameraFields: document.getElementById("cameraSourceFields")
+};
+
+// Track the active session, which reconnects when the stream drops,
+// and its current connection (null while reconnecting)
+let activeSession = null;
 let activeConnection = null;
 
+// Track the stream feeding the active session (camera or video file)
+let activeSource = null;
+
+// Highlight the pipeline countdown this long before the renewal starts
+const TIMER_WARNING_MS = 60000;
+
+// Data output the overlay draws boxes from
+const OVERLAY_DATA_OUTPUT = "predictions";
+
+// Bottle state kept in IndexedDB for reloads without the server, saved at most this often
+const SNAPSHOT_KEY = "tracker";
+const SNAPSHOT_DELAY_MS = 1000;
+let snapshotTimer = null;
+
+// Track active recording replay
+let activeReplay = null;
+
+// Track the video file feeding the active connection, if any
+let activeVideoFile = null;
+// Whether the running session shows the local video with the prediction overlay
+let overlayActive = false;
+
 // Store camera capabilities
 let cameraCapabilities = null;
 
@@ -72,21 +146,25 @@ function getServerConfig() {
 
 /**
  * Get current workflow configuration based on selected mode
+ * @throws {Error} When no stored workflow is selected, or in local_defined
+ *     mode when the spec editor holds no valid spec
  */
 function getConfig() {
     const serverConfig = getServerConfig();
     console.log("Selected mode: ", workflowMode)
-    const workspaceName = "workspace-hh1bb";
-    const workflowId = "water-project2";
+    const catalogId = configInputs.workflowSelect.value;
+    if (workflowMode === "workflow_defined" && !catalogId) {
+        throw new Error("No stored workflow selected");
+    }
 
     return {
-        mode: "custom",
-        workspaceName,
-        workflowId,
+        mode: workflowMode,
+        catalogId,
+        workflowSpec: workflowMode === "local_defined" ? getWorkflowSpec() : null,
         imageInputName: configInputs.imageInputName?.value?.trim() || "image",
         streamOutputNames: (configInputs.streamOutputNames?.value?.trim() || "output_image")
             .split(",").map(s => s.trim()).filter(Boolean),
-        dataOutputNames: (configInputs.dataOutputNames?.value?.trim() || "percentage")
+        dataOutputNames: (configInputs.dataOutputNames?.value?.trim() || "percentage, predictions")
             .split(",").map(s => s.trim()).filter(Boolean),
         ...serverConfig
     };
@@ -96,11 +174,50 @@ function getConfig() {
  * Switch workflow tab
  */
 function switchTab(tabName) {
-    workflowMode = tabName;
+    workflowMode = tabName === "custom" ? "local_defined" : "workflow_defined";
     tabBtns.forEach(btn => btn.classList.toggle("active", btn.dataset.tab === tabName));
     tabContents.forEach(content => content.classList.toggle("active", content.id === `tab-${tabName}`));
 }
 
+/**
+ * Fill the I/O mapping fields with a catalog workflow's defaults
+ */
+function applyWorkflowDefaults() {
+    const workflow = getCatalogWorkflow(configInputs.workflowSelect.value);
+    if (!workflow) return;
+
+    configInputs.imageInputName.value = workflow.imageInputName;
+    configInputs.streamOutputNames.value = workflow.streamOutputNames.join(", ");
+    configInputs.dataOutputNames.value = workflow.dataOutputNames.join(", ");
+}
+
+/**
+ * Check incoming payloads against the selected workflow's declared output
+ * schema (the built-in one for custom specs and workflows without one)
+ */
+function applyPayloadSchema() {
+    const workflow = workflowMode === "workflow_defined" ? getCatalogWorkflow(configInputs.workflowSelect.value) : null;
+    setPayloadSchema(workflow?.outputSchema || null, workflow?.label);
+}
+
+/**
+ * Populate the stored workflow list from the server's catalog
+ */
+async function loadWorkflows() {
+    try {
+        const {workflows, customWorkflows} = await loadWorkflowCatalog();
+        configInputs.workflowSelect.innerHTML = workflows.length === 0
+            ? '<option value="">No workflows in the catalog</option>'
+            : workflows.map(w => `<option value="${escapeHtml(w.id)}">${escapeHtml(w.label)}</option>`).join('');
+        applyWorkflowDefaults();
+
+        customWorkflowNotice.hidden = customWorkflows;
+    } catch (err) {
+        console.error("[Workflow] Failed to load workflow catalog:", err);
+        configInputs.workflowSelect.innerHTML = '<option value="">Failed to load workflows</option>';
+    }
+}
+
 /**
  * Get current camera configuration from form inputs
  */
@@ -116,6 +233,55 @@ function getCameraConfig() {
     };
 }
 
+/**
+ * Get the selected video source: the camera, a local file or a server video
+ */
+function getSourceConfig() {
+    const type = sourceInputs.sourceType?.value || "camera";
+    if (type === "file") {
+        return {type, file: sourceInputs.videoFile.files[0] || null};
+    }
+    if (type === "server") {
+        const name = sourceInputs.serverVideo.value;
+        return {type, name, url: name ? serverVideoUrl(name) : null};
+    }
+    return {type: "camera"};
+}
+
+/**
+ * Show the fields of the selected video source
+ */
+function updateSourceFields() {
+    const {type} = getSourceConfig();
+    sourceInputs.videoFileField.hidden = type !== "file";
+    sourceInputs.serverVideoField.hidden = type !== "server";
+    sourceInputs.cameraFields.hidden = type !== "camera";
+    startBtn.textContent = type === "camera" ? "Start Camera" : "Analyze Video";
+
+    if (type === "server") {
+        loadServerVideos();
+    }
+}
+
+/**
+ * Populate the server video list
+ */
+async function loadServerVideos() {
+    try {
+        const videos = await listServerVideos();
+        const selected = sourceInputs.serverVideo.value;
+        sourceInputs.serverVideo.innerHTML = videos.length === 0
+            ? '<option value="">No videos in data/videos/</option>'
+            : videos.map(v => `<option value="${escapeHtml(v.name)}">${escapeHtml(v.name)} (${(v.size / 1048576).toFixed(1)} MB)</option>`).join('');
+        if (videos.some(v => v.name === selected)) {
+            sourceInputs.serverVideo.value = selected;
+        }
+    } catch (err) {
+        console.error("[Video] Failed to list server videos:", err);
+        sourceInputs.serverVideo.innerHTML = '<option value="">Failed to load videos</option>';
+    }
+}
+
 /**
  * Enumerate available video input devices (cameras)
  */
@@ -315,9 +481,6 @@ function setDefaultCameraOptions() {
 }
 
 
-// Workflow specification
-const WORKFLOW_SPEC = {}
-
 /**
  * Update status display
  */
@@ -337,51 +500,46 @@ function toNumberOrNull(v) {
  * Connect to Roboflow WebRTC streaming using secure proxy
  *
  * @param {Object} options - Connection options
- * @param {Object} [options.workflowSpec] - Workflow specification
+ * @param {MediaStream} [options.source] - Stream to process instead of the camera (e.g. a video file)
  * @param {Function} [options.onData] - Callback for data channel messages
+ * @param {string} [options.renewsPipelineId] - Pipeline this one replaces before its processing timeout
+ * @param {boolean} [options.overlay] - Request data outputs only, for the prediction overlay
+ *     (defaults to the running session's display mode)
  * @returns {Promise<RFWebRTCConnection>} WebRTC connection object
  */
 async function connectWebcamToRoboflowWebRTC(options = {}) {
-    const {onData} = options;
+    const {source, onData, renewsPipelineId, overlay = overlayActive} = options;
     const config = getConfig();
-    const cameraConfig = getCameraConfig();
 
     console.log("[Config] Workflow:", config);
-    console.log("[Config] Camera:", cameraConfig);
 
-    const connector = connectors.withProxyUrl('/api/init-webrtc', {
+    const connector = createProxyConnector('/api/init-webrtc', {
         turnConfigUrl: '/api/turn-config'
     });
-    const videoConstraints = {
-        width: {ideal: cameraConfig.width},
-        height: {ideal: cameraConfig.height},
-        frameRate: {ideal: cameraConfig.frameRate, max: cameraConfig.frameRate}
-    };
-    if (cameraConfig.deviceId) {
-        videoConstraints.deviceId = {exact: cameraConfig.deviceId};
-    } else {
-        videoConstraints.facingMode = {ideal: "environment"};
-    }
 
+    // The overlay is drawn from the predictions. An empty streamOutputNames
+    // doesn't turn the returned video off (the server falls back to its
+    // default output), it just isn't shown.
+    const dataOutputNames = overlay && !config.dataOutputNames.includes(OVERLAY_DATA_OUTPUT)
+        ? [...config.dataOutputNames, OVERLAY_DATA_OUTPUT]
+        : config.dataOutputNames;
     const baseParams = {
         imageInputName: config.imageInputName,
-        streamOutputNames: config.streamOutputNames,
-        dataOutputNames: config.dataOutputNames,
+        streamOutputNames: overlay ? [] : config.streamOutputNames,
+        dataOutputNames,
         requestedRegion: config.requestedRegion,
         requestedPlan: config.requestedPlan,
-        processingTimeout: config.processingTimeout
+        processingTimeout: config.processingTimeout,
+        renewsPipelineId
     };
 
     // local_defined, workflow_defined
     const wrtcParams = config.mode === "local_defined"
-        ? {...baseParams, workflowSpec: WORKFLOW_SPEC}
-        : {...baseParams, workspaceName: "workspace-hh1bb", workflowId: "water-project2"};
+        ? {...baseParams, workflowSpec: config.workflowSpec}
+        : {...baseParams, catalogId: config.catalogId};
 
     const connection = await webrtc.useStream({
-        source: await streams.useCamera({
-            video: videoConstraints,
-            audio: false
-        }),
+        source: source || await openCameraStream(),
         connector: connector,
         wrtcParams: wrtcParams,
         onData: onData,
@@ -394,301 +552,572 @@ async function connectWebcamToRoboflowWebRTC(options = {}) {
 }
 
 /**
- * Calculate average with outlier removal
- * Returns { average, filteredHistory, removedCount }
+ * Open a camera, by default the one selected in the Camera Settings panel
+ *
+ * @param {Object} [cameraConfig] - { deviceId, width, height, frameRate }, see getCameraConfig()
+ * @returns {Promise<MediaStream>}
  */
-function calculateFilteredAverage(history) {
-    const n = history.length;
-    if (n === 0) {
-        return {average: null, filteredHistory: [], removedCount: 0};
-    }
-    if (n < 10) {
-        const average = history.reduce((a, b) => a + b, 0) / n;
-        return {average, filteredHistory: history, removedCount: 0};
+async function openCameraStream(cameraConfig = getCameraConfig()) {
+    console.log("[Config] Camera:", cameraConfig);
+
+    const videoConstraints = {
+        width: {ideal: cameraConfig.width},
+        height: {ideal: cameraConfig.height},
+        frameRate: {ideal: cameraConfig.frameRate, max: cameraConfig.frameRate}
+    };
+    if (cameraConfig.deviceId) {
+        videoConstraints.deviceId = {exact: cameraConfig.deviceId};
+    } else {
+        videoConstraints.facingMode = {ideal: "environment"};
     }
 
-    const mean = history.reduce((s, v) => s + v, 0) / n;
-    const stdDev = Math.sqrt(
-        history.reduce((s, v) => s + (v - mean) ** 2, 0) / n
-    );
-    const threshold = 2 * stdDev;
-    const filteredHistory = history.filter(
-        v => Math.abs(v - mean) <= threshold
-    );
+    return streams.useCamera({
+        video: videoConstraints,
+        audio: false
+    });
+}
 
-    const removedCount = n - filteredHistory.length;
-    const average =
-        filteredHistory.length === 0
-            ? null
-            : filteredHistory.reduce((s, v) => s + v, 0) / filteredHistory.length;
-    return {average, filteredHistory, removedCount};
+function saveBottleSnapshot() {
+    clearTimeout(snapshotTimer);
+    snapshotTimer = null;
+    saveState(SNAPSHOT_KEY, {savedAt: Date.now(), tracker: tracker.exportState()})
+        .catch(err => console.warn("[Offline] Failed to save bottle state:", err));
 }
 
+function scheduleBottleSnapshot() {
+    if (!snapshotTimer) snapshotTimer = setTimeout(saveBottleSnapshot, SNAPSHOT_DELAY_MS);
+}
 
 /**
- * Update the bottle consumption table
+ * Today's bottle state as saved by the last live session, or null
  */
-function updateBottleTable() {
-    if (!bottleTableBodyEl) return;
+async function loadBottleSnapshot() {
+    try {
+        const startOfDay = new Date();
+        startOfDay.setHours(0, 0, 0, 0);
+        const snapshot = await loadState(SNAPSHOT_KEY);
+        return snapshot && snapshot.savedAt >= startOfDay.getTime() ? snapshot : null;
+    } catch (err) {
+        console.warn("[Offline] Failed to load bottle state:", err);
+        return null;
+    }
+}
 
-    if (bottlesByColor.size === 0) {
-        bottleTableBodyEl.innerHTML = `
-        <tr>
-          <td colspan="4" style="text-align: center; opacity: 0.5; padding: 20px;">
-            Waiting for data...
-          </td>
-        </tr>
-      `;
+/**
+ * Rebuild bottle state from today's stored readings and the ones still
+ * waiting to be sent. Without the server, the saved snapshot is used.
+ */
+async function rehydrateBottles() {
+    try {
+        const {readings, unsent} = await loadTodaysReadings();
+        tracker.restore(readings);
+        console.log(`[Readings] Rehydrated ${readings.length} reading(s) from history, ${unsent} not sent yet`);
+    } catch (err) {
+        console.warn("[Readings] Failed to load history:", err);
+        const snapshot = await loadBottleSnapshot();
+        if (snapshot) {
+            tracker.importState(snapshot.tracker);
+            console.log(`[Offline] Restored bottle state from ${new Date(snapshot.savedAt).toLocaleTimeString()}`);
+        }
+    }
+    tracker.getBottles().forEach(bottle => notifyColorSeen(bottle.color));
+    updateBottleTable();
+}
+
+/**
+ * Log the values behind a bottle's current percentage
+ */
+function logBottleAverage(bottle) {
+    const history = bottle.percentHistory;
+    if (history.length === 0) {
+        console.log(`[Average] ${bottle.color} bottle ${bottle.id} - No valid data (unknown)`);
         return;
     }
 
-    // sorting for having always the same list...
-    const sortedBottles = Array.from(bottlesByColor.entries()).sort((a, b) =>
-        a[0].localeCompare(b[0])
-    );
+    const filteredResult = bottle.estimate;
+    const historyFormatted = history.map(v => v.toFixed(1)).join(', ');
+    const filterInfo = filteredResult.removedCount > 0
+        ? ` (filtered: removed ${filteredResult.removedCount} outlier(s))`
+        : '';
+    const filteredFormatted = filteredResult.filteredHistory.map(v => v.toFixed(1)).join(', ');
 
-    bottleTableBodyEl.innerHTML = sortedBottles.map(([color, bottle]) => {
-        const history = bottle.percentHistory.filter(v => typeof v === 'number' && !isNaN(v));
-        const hasValidData = history.length > 0;
-        const filteredResult = hasValidData ? calculateFilteredAverage(history) : {
-            average: null,
-            filteredHistory: [],
-            removedCount: 0
-        };
-        const avgCurrentPercent = filteredResult.average;
-
-        // Log the values being averaged
-        if (hasValidData) {
-            const maxAvgInfo = bottle.maxAvgPercent !== null
-                ? ` | Max Avg (10+ values): ${bottle.maxAvgPercent.toFixed(1)}%`
-                : ` | Max Avg: Not available yet (need ${HISTORY_SIZE} values)`;
-
-            const historyFormatted = history.map(v => v.toFixed(1)).join(', ');
-            const filterInfo = filteredResult.removedCount > 0
-                ? ` (filtered: removed ${filteredResult.removedCount} outlier(s) from first 8, kept last 2)`
-                : '';
-            const filteredFormatted = filteredResult.filteredHistory.map(v => v.toFixed(1)).join(', ');
-
-            console.log(`[Average] ${color} bottle - Last ${history.length} values:`, historyFormatted);
-            if (filteredResult.removedCount > 0) {
-                console.log(`  - After filtering (${filteredResult.filteredHistory.length} values):`, filteredFormatted);
-            }
-            console.log(`  - Average: ${avgCurrentPercent.toFixed(1)}%${filterInfo}${maxAvgInfo}`);
-        } else {
-            console.log(`[Average] ${color} bottle - No valid data (unknown)`);
-        }
+    console.log(`[Average] ${bottle.color} bottle ${bottle.id} - Last ${history.length} values:`, historyFormatted);
+    if (filteredResult.removedCount > 0) {
+        console.log(`  - After filtering (${filteredResult.filteredHistory.length} values):`, filteredFormatted);
+    }
+    console.log(`  - Average: ${filteredResult.average.toFixed(1)}%${filterInfo} | Sips: ${bottle.sipCount} | Refills: ${bottle.refillCount}`);
+}
+
+/**
+ * Update the bottle consumption table, and the viewer pages while a session runs
+ */
+function updateBottleTable() {
+    if (!bottleTableBodyEl) return;
+
+    const bottles = tracker.getBottles();
+    bottles.forEach(logBottleAverage);
 
-        // Percentage consumed is based on max average when we have at least 10 values
-        let consumedPercent = null;
-        let consumedLiters = null;
-        if (hasValidData && bottle.maxAvgPercent !== null) {
-            consumedPercent = Math.max(0, bottle.maxAvgPercent - avgCurrentPercent);
-            consumedLiters = (consumedPercent / 100) * bottle.capacity;
+    const rows = toBottleRows(bottles);
+    renderBottleTable(bottleTableBodyEl, rows, {identityActions: true});
+    if (activeSession) {
+        publishLiveState({levels: levelsTextEl.textContent, bottles: rows});
+    }
+}
+
+/**
+ * Process one data channel message: update levels text, bottle state and preview
+ *
+ * @param {Object} data - onData payload
+ * @param {number} t - Epoch milliseconds the message arrived (or was recorded)
+ * @param {Object} [options]
+ * @param {boolean} [options.persist=true] - Push readings to the server history and keep them offline
+ */
+function handleData(data, t, {persist = true} = {}) {
+    // console.log("[Data]", data);
+    inspectPayload(data, t);
+
+    const preds = data?.serialized_output_data?.predictions?.predictions || [];
+    const scores = data?.serialized_output_data?.percentage || [];
+    const fill = data?.serialized_output_data?.fill_level_model || [];
+
+    // console.log("[Data]", preds, scores, fill);
+    const parts = [];
+    for (let i = 0; i < preds.length; i++) {
+        const trackId = preds[i]?.tracker_id;
+        const score = scores[i];
+        if (trackId != null && score != null) {
+            parts.push(`#${trackId}=${score}`);
         }
+    }
+
+    const el = document.getElementById("levelsText");
+
+    if (el && parts.length > 0) {
+        el.textContent = parts.join(", ");
+    }
+
+    const readings = tracker.ingestPayload(data, new Date(t).toISOString());
+    readings.forEach(reading => levelHistory.addReading(reading, tracker.getBottle(reading.bottle_id)));
+    if (overlayActive) updateOverlay(toOverlayFrame(data, readings, tracker.getBottle));
+    if (persist) {
+        queueReadings(readings);
+        scheduleBottleSnapshot();
+    }
+    updateBottleTable();
 
-        return `
-        <tr>
-          <td class="bottle-color">${color}</td>
-          <td class="percentage">${hasValidData ? avgCurrentPercent.toFixed(1) + '%' : 'unknown'}</td>
-          <td class="percentage consumed">${consumedPercent !== null ? consumedPercent.toFixed(1) + '%' : 'unknown'}</td>
-          <td class="percentage consumed">${consumedLiters !== null ? consumedLiters.toFixed(3) + ' L' : 'unknown'}</td>
-        </tr>
-      `;
-    }).join('');
+    dataMessageCount++;
+    dataCountEl.textContent = dataMessageCount;
+    dataPreviewEl.textContent = JSON.stringify(data, null, 2);
 }
 
 /**
  * Start WebRTC streaming with Roboflow
  */
 async function start() {
-    if (activeConnection) {
+    if (activeSession || activeReplay) {
         console.warn("Already connected");
         return;
     }
 
-    startBtn.disabled = true;
-    setStatus("Connecting...");
-
-    try {
-        const connection = await connectWebcamToRoboflowWebRTC({
-
-            onData: (data) => {
-                // console.log("[Data]", data);
-
-                const preds = data?.serialized_output_data?.predictions?.predictions || [];
-                const scores = data?.serialized_output_data?.percentage || [];
-                const fill = data?.serialized_output_data?.fill_level_model || [];
-
-                // console.log("[Data]", preds, scores, fill);
-                const parts = [];
-                for (let i = 0; i < preds.length; i++) {
-                    const trackId = preds[i]?.tracker_id;
-                    const score = scores[i];
-                    if (trackId != null && score != null) {
-                        parts.push(`#${trackId}=${score}`);
-                    }
-                }
-
-                const el = document.getElementById("levelsText");
-
-                if (el && parts.length > 0) {
-                    el.textContent = parts.join(", ");
-                }
-
-                for (let i = 0; i < scores.length; i++) {
-                    const scoreItem = scores[i];
-                    let bottleData = null;
-
-                    // Handle both string (JSON) and object formats
-                    if (typeof scoreItem === 'string') {
-                        try {
-                            bottleData = JSON.parse(scoreItem);
-                        } catch (e) {
-                            console.warn("[Data] Failed to parse score item:", scoreItem, e);
-                            continue;
-                        }
-                    } else if (typeof scoreItem === 'object' && scoreItem !== null) {
-                        bottleData = scoreItem;
-                    } else {
-                        continue;
-                    }
-
-                    const color = bottleData.bottle_color;
-                    const currentPercentRaw = bottleData.fill_level_percent;
-
-                    const currentPercent = typeof currentPercentRaw === 'number' ? currentPercentRaw : Number(currentPercentRaw);
-                    const isValidPercent = currentPercent != null && !isNaN(currentPercent);
-
-                    if (color != null) {
-                        if (!bottlesByColor.has(color)) {
-                            // new bottle!
-                            bottlesByColor.set(color, {
-                                percentHistory: isValidPercent ? [currentPercent] : [],
-                                initialPercent: isValidPercent ? currentPercent : null,
-                                maxAvgPercent: null,
-                                capacity: BOTTLE_CAPACITY_LITERS
-                            });
-                        } else {
-                            // Bottle exists! we update history
-                            const bottle = bottlesByColor.get(color);
-
-                            if (isValidPercent) {
-                                // Valid reading: add to history
-                                bottle.percentHistory.push(currentPercent);
-
-                                if (bottle.percentHistory.length > HISTORY_SIZE) {
-                                    bottle.percentHistory.shift();
-                                }
-
-                                // Calculate average when we have at least 10 values (with outlier filtering)
-                                // Filter out any non-numeric values for safety
-                                const validHistory = bottle.percentHistory.filter(v => typeof v === 'number' && !isNaN(v));
-                                if (validHistory.length >= HISTORY_SIZE) {
-                                    const filteredResult = calculateFilteredAverage(validHistory);
-                                    const avgPercent = filteredResult.average;
-                                    if (avgPercent !== null && (bottle.maxAvgPercent === null || avgPercent > bottle.maxAvgPercent)) {
-                                        bottle.maxAvgPercent = avgPercent;
-                                    }
-                                }
-
-                                const maxPercent = Math.max(...bottle.percentHistory);
-                                if (maxPercent > bottle.initialPercent) {
-                                    bottle.initialPercent = maxPercent; // Bottle was refilled
-                                }
-                            } else {
-                                // This prevents bad values from staying forever... removing them each time.
-                                if (bottle.percentHistory.length > 0) {
-                                    bottle.percentHistory.shift();
-                                }
-
-                                const validHistory = bottle.percentHistory.filter(v => typeof v === 'number' && !isNaN(v));
-                                if (validHistory.length >= HISTORY_SIZE) {
-                                    const avgPercent = validHistory.reduce((a, b) => a + b, 0) / validHistory.length;
-                                    if (bottle.maxAvgPercent === null || avgPercent > bottle.maxAvgPercent) {
-                                        bottle.maxAvgPercent = avgPercent;
-                                    }
-                                } else if (validHistory.length < HISTORY_SIZE) {
-                                    bottle.maxAvgPercent = null;
-                                }
-                            }
-                        }
-                    }
-                }
-                updateBottleTable();
-
-                dataMessageCount++;
-                dataCountEl.textContent = dataMessageCount;
-                dataPreviewEl.textContent = JSON.stringify(data, null, 2);
-            }
-
+    const sourceConfig = getSourceConfig();
+    const fromFile = sourceConfig.type !== "camera";
+    if (fromFile && !sourceConfig.file && !sourceConfig.url) {
+        setStatus("Choose a video file first");
+        return;
+    }
 
-        });
+    startBtn.disabled = true;
+    setReplayAvailable(false);
+    sessionSummaryEl.hidden = true;
+    tracker.reset();
+    levelHistory.reset();
+    resetDiagnostics();
+    // Fixed for the whole session, renewals included
+    applyPayloadSchema();
+    overlayActive = isOverlayMode();
+    setOverlayVisible(overlayActive);
+
+    // Footage from a file was recorded earlier, so it neither continues
+    // today's history nor gets added to it
+    if (fromFile) {
+        updateBottleTable();
+    } else {
+        setStatus("Loading history...");
+        await rehydrateBottles();
+    }
 
+    let videoFile = null;
+    let source = null;
 
-        activeConnection = connection;
-        const remoteStream = await connection.remoteStream();
-        videoEl.srcObject = remoteStream;
-        videoEl.controls = false;
+    // Reconnections and renewals reuse the same source, and the tracker keeps
+    // its bottles, so consumption totals carry on across pipelines
+    const session = createStreamSession({
+        connect: ({onData, renews}) => connectWebcamToRoboflowWebRTC({
+            source,
+            onData,
+            renewsPipelineId: renews?.pipelineId
+        }),
+        onData: (data) => {
+            const t = Date.now();
+            recordMessage(data, t);
+            countDataMessage();
+            handleData(data, t, {persist: !fromFile});
+        },
+        lifetimeMs: getServerConfig().processingTimeout * 1000,
+        // The overlay shows the source, not the pipeline's video
+        videoOutput: !overlayActive,
+        onConnected: attachConnection,
+        onDropped: detachConnection,
+        onRetired: retireConnection,
+        onReconnecting: (attempt, delayMs) => {
+            setStatus(`Reconnecting (attempt ${attempt}) in ${Math.ceil(delayMs / 1000)} s...`);
+        },
+        onRenewing: () => setStatus("Starting a replacement pipeline..."),
+        onGiveUp: (err) => {
+            stop().then(() => setStatus(`Error: Reconnecting failed - ${err.message}`));
+        }
+    });
+    activeSession = session;
 
-        try {
-            await videoEl.play();
-            console.log("[UI] Video playing");
-        } catch (err) {
-            console.warn("[UI] Autoplay failed:", err);
+    try {
+        if (fromFile) {
+            setStatus("Loading video...");
+            videoFile = await createVideoFileStream(sourceConfig.file || sourceConfig.url, {
+                frameRate: getCameraConfig().frameRate
+            });
+            source = videoFile.stream;
+        } else {
+            source = await openCameraStream();
         }
+        activeSource = source;
+        activeVideoFile = videoFile;
+
+        setStatus("Connecting...");
+        await session.start();
 
-        setStatus("Connected - Processing video");
         stopBtn.disabled = false;
+        // Viewers get the (rehydrated) table right away, not only with the first data
+        updateBottleTable();
+        startMetricsReporting(() => ({
+            pipelineId: activeConnection?.pipelineId ?? null,
+            bottlesTracked: tracker.getBottles().length
+        }));
+
+        if (videoFile) {
+            videoFile.ended.then(() => {
+                if (activeVideoFile === videoFile) stop({keepSummary: true});
+            });
+            await videoFile.play();
+            setStatus(`Connected - Analyzing ${sourceConfig.file?.name || sourceConfig.name}`);
+        } else {
+            setStatus("Connected - Processing video");
+        }
 
         console.log("[UI] Successfully connected!");
 
     } catch (err) {
-        console.error("[UI] Connection failed:", err);
-        if (err.message.includes('API key')) {
+        console.error(`[UI] Connection failed${err.requestId ? ` (request ${err.requestId})` : ""}:`, err);
+        if (err.status === 401) {
+            setStatus("Error: Login required - log in and start again");
+        } else if (err.message.includes('API key')) {
             setStatus("Error: Server API key not configured");
             alert("Server configuration error. Please check that ROBOFLOW_API_KEY is set in the .env file.");
         } else {
             setStatus(`Error: ${err.message}`);
         }
 
+        const connection = session.stop();
+        videoFile?.stop();
+        stopClipRecording();
+        stopMetricsReporting();
+        endLivePublishing();
+        if (connection) {
+            if (connection.pipelineId) {
+                stopHeartbeat(connection.pipelineId);
+                endSession(connection.pipelineId).catch(endErr => console.error("[UI] Failed to end session:", endErr));
+            }
+            connection.cleanup().catch(cleanupErr => console.error("[UI] Cleanup error:", cleanupErr));
+        }
+        streams.stopStream(source);
+
         startBtn.disabled = false;
+        setReplayAvailable(true);
+        activeSession = null;
         activeConnection = null;
+        activeSource = null;
+        activeVideoFile = null;
+        overlayActive = false;
+        setOverlayVisible(false);
+    }
+}
+
+/**
+ * Show a (re)established connection: heartbeat, output video and clip recording
+ *
+ * @param {RFWebRTCConnection} connection
+ * @param {Object} options
+ * @param {boolean} options.reconnected - Whether this replaces a dropped connection
+ * @param {boolean} options.renewed - Whether this replaces a connection about to time out
+ */
+async function attachConnection(connection, {reconnected, renewed}) {
+    activeConnection = connection;
+    if (connection.pipelineId) {
+        startHeartbeat(connection.pipelineId, {
+            onTerminated: () => {
+                if (activeConnection !== connection) return;
+                console.warn("[UI] Session was terminated on the server");
+                stop().then(() => setStatus("Session terminated on the server"));
+            }
+        });
+        refreshSessionsPanel();
+    }
+
+    // In overlay mode the pipeline's video isn't used: show (and clip) the source instead
+    const displayStream = overlayActive ? activeSource : await connection.remoteStream();
+    if (renewed) {
+        // Close the clip of the old stream before it goes away
+        await stopClipRecording();
+    }
+    videoEl.srcObject = displayStream;
+    videoEl.controls = false;
+    startClipRecording(displayStream);
+
+    try {
+        await videoEl.play();
+        console.log("[UI] Video playing");
+    } catch (err) {
+        console.warn("[UI] Autoplay failed:", err);
+    }
+
+    if (reconnected) {
+        countReconnect();
+        await activeVideoFile?.play();
+        setStatus(activeVideoFile ? "Reconnected - Analyzing video" : "Reconnected - Processing video");
+    } else if (renewed) {
+        setStatus(activeVideoFile ? "Pipeline renewed - Analyzing video" : "Pipeline renewed - Processing video");
+    }
+}
+
+/**
+ * End a connection that was replaced by a renewal (or wasn't needed after all)
+ *
+ * @param {RFWebRTCConnection} connection
+ */
+async function retireConnection(connection) {
+    if (connection.pipelineId) {
+        stopHeartbeat(connection.pipelineId);
+        await endSession(connection.pipelineId)
+            .catch(err => console.error("[UI] Failed to end session:", err));
     }
+    // cleanup() would also stop the source, which the current connection uses
+    connection.peerConnection.close();
+    refreshSessionsPanel();
+}
+
+/**
+ * Show how long the current pipeline has left; the last minutes before the
+ * replacement is due are highlighted
+ */
+function updateSessionTimer() {
+    const expiresAt = activeSession?.expiresAt;
+    sessionTimerEl.hidden = !expiresAt;
+    if (!expiresAt) return;
+
+    const remaining = Math.max(0, expiresAt - Date.now());
+    const minutes = Math.floor(remaining / 60000);
+    const seconds = String(Math.floor(remaining / 1000) % 60).padStart(2, "0");
+    const warning = remaining <= RENEW_LEAD_MS + TIMER_WARNING_MS;
+    sessionTimerEl.classList.toggle("warning", warning);
+    sessionTimerEl.textContent = warning
+        ? `Pipeline ends in ${minutes}:${seconds} - renewing`
+        : `Pipeline ends in ${minutes}:${seconds}`;
+}
+
+/**
+ * Tear down a connection that dropped, keeping its source for the next one
+ *
+ * @param {RFWebRTCConnection} connection
+ * @returns {Promise<boolean>} false when the session was terminated on the
+ *     server, which ends the session instead of reconnecting
+ */
+async function detachConnection(connection) {
+    if (activeConnection === connection) activeConnection = null;
+    if (connection.pipelineId) stopHeartbeat(connection.pipelineId);
+    // Don't let footage go by unprocessed while reconnecting
+    activeVideoFile?.pause();
+    await stopClipRecording();
+
+    let wasRunning = true;
+    if (connection.pipelineId) {
+        wasRunning = await endSession(connection.pipelineId).catch(err => {
+            console.error("[UI] Failed to end session:", err);
+            return true;
+        });
+    }
+    // cleanup() would also stop the source, which the next connection reuses
+    connection.peerConnection.close();
+    refreshSessionsPanel();
+
+    if (!wasRunning) {
+        console.warn("[UI] Session was terminated on the server");
+        stop().then(() => setStatus("Session terminated on the server"));
+    }
+    return wasRunning;
+}
+
+/**
+ * Replay a recorded session through the same data path, without starting a pipeline
+ *
+ * @param {Array} entries - Parsed `{ t, data }` recording entries
+ * @param {number} speed - Playback speed multiplier, 0 for as fast as possible
+ */
+function startReplay(entries, speed) {
+    if (activeSession || activeReplay) {
+        console.warn("Already running");
+        return;
+    }
+
+    startBtn.disabled = true;
+    stopBtn.disabled = false;
+    setReplayAvailable(false);
+    resetDataView();
+    resetDiagnostics();
+    applyPayloadSchema();
+
+    const speedLabel = speed > 0 ? `${speed}x` : "max speed";
+    setStatus(`Replaying ${entries.length} messages (${speedLabel})`);
+
+    activeReplay = replaySession(entries, {
+        speed,
+        // Replayed readings must not end up in the consumption history
+        onData: (data, t) => handleData(data, t, {persist: false}),
+        onProgress: (index, total) => {
+            if (index % 50 === 0) statusEl.textContent = `Replaying (${speedLabel}) - ${index}/${total} messages`;
+        },
+        onEnd: () => {
+            activeReplay = null;
+            startBtn.disabled = false;
+            stopBtn.disabled = true;
+            setReplayAvailable(true);
+            setStatus("Replay finished");
+        }
+    });
+}
+
+/**
+ * Clear the data preview and bottle state
+ */
+function resetDataView() {
+    sessionSummaryEl.hidden = true;
+    dataMessageCount = 0;
+    dataCountEl.textContent = "0";
+    dataPreviewEl.textContent = "";
+    tracker.reset();
+    levelHistory.reset();
+    updateBottleTable();
+}
+
+/**
+ * Show the totals of a finished video file analysis below the bottle table
+ *
+ * @param {number} durationSeconds - Length of the analyzed footage
+ */
+function showSessionSummary(durationSeconds) {
+    const bottles = tracker.getBottles();
+    const totalLiters = bottles.reduce((sum, bottle) => sum + bottle.consumedLiters, 0);
+    const sips = bottles.reduce((sum, bottle) => sum + bottle.sipCount, 0);
+    const refills = bottles.reduce((sum, bottle) => sum + bottle.refillCount, 0);
+    const minutes = Math.floor(durationSeconds / 60);
+    const seconds = String(Math.round(durationSeconds % 60)).padStart(2, "0");
+
+    sessionSummaryEl.textContent = `Video finished after ${minutes}:${seconds} of footage - ` +
+        `${bottles.length} bottle(s), ${totalLiters.toFixed(3)} L consumed in ${sips} sip(s), ${refills} refill(s)`;
+    sessionSummaryEl.hidden = false;
 }
 
 /**
  * Stop video processing and cleanup
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.keepSummary=false] - Keep the bottle table and show a final summary
  */
-async function stop() {
-    if (!activeConnection) {
+async function stop({keepSummary = false} = {}) {
+    if (activeReplay) {
+        // Keep the replayed table around for inspection
+        activeReplay.stop();
+        return;
+    }
+    if (!activeSession) {
         return;
     }
 
     stopBtn.disabled = true;
     setStatus("Stopping...");
 
+    const videoFile = activeVideoFile;
+    const footageSeconds = videoFile?.currentTime || 0;
+    const source = activeSource;
+
+    // No reconnecting from here on, and no second stop() while this one runs
+    const connection = activeSession.stop();
+    activeSession = null;
+
     try {
-        await activeConnection.cleanup();
+        // Finish the last clip while the remote stream is still alive
+        await stopClipRecording();
+        await stopReadingsSync();
+        // The table is cleared below; save what a reload should show first
+        if (snapshotTimer) saveBottleSnapshot();
+        await stopMetricsReporting();
+        await endLivePublishing();
+        if (connection) {
+            // The proxy connector has no API key, so the server terminates the pipeline
+            if (connection.pipelineId) {
+                stopHeartbeat(connection.pipelineId);
+                await endSession(connection.pipelineId)
+                    .catch(err => console.error("[UI] Failed to end session:", err));
+            }
+            await connection.cleanup();
+        }
         console.log("[UI] Cleanup complete");
     } catch (err) {
         console.error("[UI] Cleanup error:", err);
     } finally {
+        // The source outlives connections, cleanup() only stops it if one was up
+        streams.stopStream(source);
+        videoFile?.stop();
         activeConnection = null;
+        activeSource = null;
+        activeVideoFile = null;
+        overlayActive = false;
+        setOverlayVisible(false);
         videoEl.srcObject = null;
         startBtn.disabled = false;
         stopBtn.disabled = true;
-        setStatus("Idle");
-        dataMessageCount = 0;
-        dataCountEl.textContent = "0";
-        dataPreviewEl.textContent = "";
-        bottlesByColor.clear();
-        updateBottleTable();
+        setReplayAvailable(true);
+        refreshSessionsPanel();
+
+        if (keepSummary) {
+            setStatus("Video finished");
+            showSessionSummary(footageSeconds);
+        } else {
+            setStatus("Idle");
+            resetDataView();
+        }
     }
 }
 
+// Login, when the server requires one. Panels loaded their data before the
+// login, so reload the page unless a session is already running.
+initAuthPanel({
+    onLogin: () => {
+        if (!activeSession) window.location.reload();
+    }
+});
+
 // Attach event listeners
 startBtn.addEventListener("click", start);
-stopBtn.addEventListener("click", stop);
+stopBtn.addEventListener("click", () => stop());
 
 // Tab switching
 tabBtns.forEach(btn => {
@@ -697,6 +1126,19 @@ tabBtns.forEach(btn => {
     });
 });
 
+// Stored workflows from the server's catalog
+configInputs.workflowSelect.addEventListener("change", applyWorkflowDefaults);
+loadWorkflows();
+
+// Custom workflow spec editor fills the shared I/O mapping fields
+initWorkflowSpecPanel({
+    onDetectedIo: ({imageInputName, streamOutputNames, dataOutputNames}) => {
+        configInputs.imageInputName.value = imageInputName;
+        configInputs.streamOutputNames.value = streamOutputNames.join(", ");
+        configInputs.dataOutputNames.value = dataOutputNames.join(", ");
+    }
+});
+
 // Camera selection change handler
 cameraInputs.cameraSelect.addEventListener("change", async (e) => {
     const deviceId = e.target.value;
@@ -705,24 +1147,136 @@ cameraInputs.cameraSelect.addEventListener("change", async (e) => {
     }
 });
 
+// Video source selection
+sourceInputs.sourceType.addEventListener("change", updateSourceFields);
+updateSourceFields();
+
+// Annotated stream or local video with the prediction overlay
+initPredictionOverlay();
+initOverlayPanel({onStyleChange: setOverlayStyle});
+
+// Data quality of the incoming payloads
+initDiagnosticsPanel();
+
+// Record & replay
+initRecordingPanel({onReplay: startReplay, onCompare: showEstimatorComparison});
+
+// Level estimator for the table, the chart and sip/refill detection
+initEstimationPanel({
+    onChange: (config) => {
+        tracker.setEstimator(config);
+        setGridEstimator(config);
+        updateBottleTable();
+    },
+    volumeAt: volumeFor
+});
+
+// More cameras next to the main session, each with its own pipeline; they
+// always get the annotated stream back
+initCameraGrid({
+    connect: (options) => connectWebcamToRoboflowWebRTC({...options, overlay: false}),
+    openCamera: openCameraStream,
+    getLifetimeMs: () => getServerConfig().processingTimeout * 1000,
+    onSessionsChanged: refreshSessionsPanel,
+    onColorSeen: notifyColorSeen
+});
+
+// Pipeline countdown until its processing timeout
+setInterval(updateSessionTimer, 1000);
+
+// Pipelines running on the server
+initSessionsPanel({getOwnPipelineId: () => activeConnection?.pipelineId || null});
+
+// Alerts fired for the published bottle table
+initAlertsPanel();
+
+// Output clips around sips and refills
+initClipsPanel();
+tracker.on("sip", notifyClipEvent);
+tracker.on("refill", notifyClipEvent);
+
+// Fill level chart under the bottle table
+initLevelChart(levelHistory);
+tracker.on("refill", event => levelHistory.addRefill(event));
+tracker.on("bottle-merged", event => levelHistory.merge(event));
+tracker.on("bottle-split", event => levelHistory.split(event, tracker.getBottle(event.splitId)));
+
+// Fixing bottle identities from the table
+attachIdentityActions(bottleTableBodyEl, {
+    onMerge: (sourceId, targetId) => {
+        tracker.merge(sourceId, targetId);
+        updateBottleTable();
+    },
+    onSplit: (bottleId) => {
+        tracker.split(bottleId);
+        updateBottleTable();
+    }
+});
+
 // Initialize camera enumeration on load
 enumerateCameras();
 
 // Initialize bottle table
 updateBottleTable();
 
-// Cleanup on page unload
-window.addEventListener("pagehide", () => {
-    if (activeConnection) {
-        activeConnection.cleanup();
-    }
+// Offline use: pick up readings an earlier page couldn't send, and show the
+// bottle state it saved until a session starts
+restorePendingReadings();
+loadBottleSnapshot().then(snapshot => {
+    if (!snapshot || activeSession || activeReplay) return;
+    tracker.importState(snapshot.tracker);
+    updateBottleTable();
 });
 
-window.addEventListener("beforeunload", () => {
+// The service worker caches the built app shell; the dev server's modules change too often
+if (import.meta.env.PROD && "serviceWorker" in navigator) {
+    navigator.serviceWorker.register("/sw.js")
+        .catch(err => console.warn("[Offline] Service worker registration failed:", err));
+}
+
+// Log bottle events
+["sip", "refill", "bottle-appeared", "bottle-lost", "bottle-reidentified", "bottle-merged", "bottle-split"].forEach(type => {
+    tracker.on(type, event => console.log(`[Tracker] ${type}`, event));
+});
+
+// Bottle profiles and calibration curves: prompt for unknown colors,
+// re-apply capacity and curves when they change
+function handleVolumeSettingsChange(color) {
+    tracker.recalculate(color);
+    recalculateGrid(color);
+    refreshProfilesPanel();
+    updateBottleTable();
+}
+
+tracker.on("bottle-appeared", event => {
+    notifyColorSeen(event.color);
+    refreshCalibrationColors();
+});
+initProfilesPanel({onChange: handleVolumeSettingsChange});
+initCalibrationPanel({
+    getColors: () => [...new Set(tracker.getBottles().map(bottle => bottle.color))].sort(),
+    getLevel: (color) => {
+        // With several bottles of a color, the one seen last is the one being filled
+        const bottle = tracker.getBottles()
+            .filter(candidate => candidate.color === color)
+            .sort((a, b) => b.lastSeen - a.lastSeen)[0];
+        return bottle && tracker.hasFullWindow(bottle.id) ? bottle.estimate.average : null;
+    },
+    onChange: handleVolumeSettingsChange
+}).then(refreshProfilesPanel);
+
+// Cleanup on page unload. The beacon ends the pipeline on the server even when
+// cleanup() can't finish; if neither gets out, the missing heartbeat ends it.
+function endActiveSessionOnUnload() {
     if (activeConnection) {
+        if (activeConnection.pipelineId) endSessionOnUnload(activeConnection.pipelineId);
         activeConnection.cleanup();
     }
-});
+    endGridSessionsOnUnload();
+}
+
+window.addEventListener("pagehide", endActiveSessionOnUnload);
+window.addEventListener("beforeunload", endActiveSessionOnUnload);
 
 // Check server health on load
 fetch('/api/health')
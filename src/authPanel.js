@@ -0,0 +1,98 @@
+/**
+ * Login overlay
+ *
+ * Shown when the server requires a login and there is no session yet, or
+ * when any API call answers 401. Offers the configured login methods: a
+ * local account, the shared access token, or both.
+ */
+
+import {getJson, postJson} from "./api.js";
+
+const overlayEl = document.getElementById("loginOverlay");
+const formEl = document.getElementById("loginForm");
+const errorEl = document.getElementById("loginError");
+const loginInputs = {
+    passwordFields: document.getElementById("loginPasswordFields"),
+    username: document.getElementById("loginUsername"),
+    password: document.getElementById("loginPassword"),
+    tokenField: document.getElementById("loginTokenField"),
+    token: document.getElementById("loginToken"),
+    loginBtn: document.getElementById("loginBtn")
+};
+const userInfoEl = document.getElementById("userInfo");
+const userNameEl = document.getElementById("userName");
+const logoutBtn = document.getElementById("logoutBtn");
+
+let methods = {token: false, password: false};
+let onLogin = () => {};
+
+function showUser(user) {
+    userInfoEl.hidden = !user;
+    userNameEl.textContent = user === "token" ? "Logged in with access token" : `Logged in as ${user}`;
+}
+
+function showLogin() {
+    loginInputs.passwordFields.hidden = !methods.password;
+    loginInputs.tokenField.hidden = !methods.token;
+    errorEl.textContent = "";
+    overlayEl.hidden = false;
+    (methods.password ? loginInputs.username : loginInputs.token).focus();
+}
+
+async function handleSubmit(e) {
+    e.preventDefault();
+    const credentials = loginInputs.token.value
+        ? {token: loginInputs.token.value}
+        : {username: loginInputs.username.value.trim(), password: loginInputs.password.value};
+
+    loginInputs.loginBtn.disabled = true;
+    try {
+        const {user} = await postJson("/api/login", credentials);
+        loginInputs.password.value = "";
+        loginInputs.token.value = "";
+        overlayEl.hidden = true;
+        showUser(user);
+        onLogin(user);
+    } catch (err) {
+        errorEl.textContent = err.message;
+    } finally {
+        loginInputs.loginBtn.disabled = false;
+    }
+}
+
+async function handleLogout() {
+    try {
+        await postJson("/api/logout", {});
+    } catch (err) {
+        console.error("[Auth] Logout failed:", err);
+    }
+    showUser(null);
+    showLogin();
+}
+
+/**
+ * Check the session and show the login overlay when needed
+ *
+ * @param {Object} [options]
+ * @param {Function} [options.onLogin] - Called with the user name after logging in,
+ *     e.g. to reload data that failed with 401
+ */
+export async function initAuthPanel(options = {}) {
+    onLogin = options.onLogin || onLogin;
+    formEl.addEventListener("submit", handleSubmit);
+    logoutBtn.addEventListener("click", handleLogout);
+    window.addEventListener("auth-required", () => {
+        if (overlayEl.hidden) showLogin();
+    });
+
+    try {
+        const me = await getJson("/api/me");
+        methods = me.methods;
+        if (me.authEnabled && !me.user) {
+            showLogin();
+        }
+        showUser(me.authEnabled ? me.user : null);
+    } catch (err) {
+        console.error("[Auth] Failed to check login:", err);
+    }
+}
@@ -0,0 +1,125 @@
+/**
+ * Bottle Consumption table
+ *
+ * Bottle state is turned into plain rows, which is also what the live feed
+ * carries, so the dashboard and the viewer page render the same table. The
+ * dashboard adds merge and split controls for fixing bottle identities.
+ */
+
+import {escapeHtml} from "./html.js";
+import {labelFor} from "./profiles.js";
+
+/**
+ * Display name of a tracked bottle: its profile label, numbered from the
+ * second bottle of the same color on
+ *
+ * @param {{color: string, ordinal: number}} bottle
+ */
+export function bottleLabel({color, ordinal}) {
+    return ordinal > 1 ? `${labelFor(color)} ${ordinal}` : labelFor(color);
+}
+
+/**
+ * Table rows for tracked bottles, sorted by color and number so the order stays put
+ *
+ * @param {Array} bottles - From tracker.getBottles()
+ * @param {number} [now] - Epoch ms the rows are made at
+ * @returns {Array<{id, color, label, trackId, trackCount, lost, averagePercent, refillCount, consumedPercent,
+ *     consumedLiters, msSinceLastDrink}>} msSinceLastDrink counts from the last sip, or from when the bottle
+ *     was first seen
+ */
+export function toBottleRows(bottles, now = Date.now()) {
+    return [...bottles]
+        .sort((a, b) => a.color.localeCompare(b.color) || a.ordinal - b.ordinal)
+        .map(bottle => {
+            // Consumption is only known once a full history window gave a level
+            const hasLevel = bottle.referencePercent !== null;
+            const lastDrinkAt = bottle.sips.at(-1)?.timestamp ?? bottle.firstSeen;
+            return {
+                id: bottle.id,
+                color: bottle.color,
+                label: bottleLabel(bottle),
+                trackId: bottle.trackId,
+                trackCount: bottle.tracks.length,
+                lost: !!bottle.lost,
+                averagePercent: bottle.estimate.average,
+                refillCount: bottle.refillCount,
+                consumedPercent: hasLevel ? bottle.consumedPercent : null,
+                consumedLiters: hasLevel ? bottle.consumedLiters : null,
+                msSinceLastDrink: Math.max(0, now - lastDrinkAt)
+            };
+        });
+}
+
+function renderIdentityCell(row, rows) {
+    const others = rows.filter(other => other.id !== row.id);
+    return `
+          <td>
+            <div class="bottle-identity">
+              <select data-action="merge" data-bottle="${escapeHtml(row.id)}" ${others.length === 0 ? 'disabled' : ''}>
+                <option value="">Merge into...</option>
+                ${others.map(other => `<option value="${escapeHtml(other.id)}">${escapeHtml(other.label)}</option>`).join('')}
+              </select>
+              <button type="button" data-action="split" data-bottle="${escapeHtml(row.id)}" ${row.trackCount > 1 ? '' : 'disabled'}
+                      title="Make the latest track a bottle of its own">Split</button>
+            </div>
+          </td>`;
+}
+
+/**
+ * Render rows into the table body
+ *
+ * @param {HTMLElement} tbodyEl
+ * @param {Array} rows - From toBottleRows()
+ * @param {Object} [options]
+ * @param {boolean} [options.identityActions=false] - Add a column with merge and split controls
+ */
+export function renderBottleTable(tbodyEl, rows, {identityActions = false} = {}) {
+    // Rows are redrawn with every message, which would close an open merge menu
+    if (identityActions && document.activeElement?.tagName === "SELECT" && tbodyEl.contains(document.activeElement)) {
+        return;
+    }
+
+    if (rows.length === 0) {
+        tbodyEl.innerHTML = `
+        <tr>
+          <td colspan="${identityActions ? 6 : 5}" style="text-align: center; opacity: 0.5; padding: 20px;">
+            Waiting for data...
+          </td>
+        </tr>
+      `;
+        return;
+    }
+
+    tbodyEl.innerHTML = rows.map(row => `
+        <tr>
+          <td class="bottle-color">${escapeHtml(row.label)}${row.lost ? ' (lost)' : ''}${row.trackId != null ? ` <span class="track-id">#${escapeHtml(String(row.trackId))}</span>` : ''}</td>
+          <td class="percentage">${row.averagePercent !== null ? row.averagePercent.toFixed(1) + '%' : 'unknown'}</td>
+          <td class="percentage">${row.refillCount}</td>
+          <td class="percentage consumed">${row.consumedPercent !== null ? row.consumedPercent.toFixed(1) + '%' : 'unknown'}</td>
+          <td class="percentage consumed">${row.consumedLiters !== null ? row.consumedLiters.toFixed(3) + ' L' : 'unknown'}</td>${identityActions ? renderIdentityCell(row, rows) : ''}
+        </tr>
+      `).join('');
+}
+
+/**
+ * Handle the merge and split controls of a table rendered with identityActions
+ *
+ * @param {HTMLElement} tbodyEl
+ * @param {Object} handlers
+ * @param {Function} handlers.onMerge - Called with (sourceId, targetId)
+ * @param {Function} handlers.onSplit - Called with (bottleId)
+ */
+export function attachIdentityActions(tbodyEl, {onMerge, onSplit}) {
+    tbodyEl.addEventListener("change", (e) => {
+        const select = e.target.closest("select[data-action='merge']");
+        if (!select || !select.value) return;
+        const targetId = select.value;
+        select.blur();
+        onMerge(select.dataset.bottle, targetId);
+    });
+    tbodyEl.addEventListener("click", (e) => {
+        const button = e.target.closest("button[data-action='split']");
+        if (button) onSplit(button.dataset.bottle);
+    });
+}
@@ -0,0 +1,607 @@
+/**
+ * Bottle event tracker
+ *
+ * Turns bottle readings into `sip`, `refill`, `bottle-appeared` and
+ * `bottle-lost` events. It has no DOM dependencies, so it can be driven by
+ * recorded data channel payloads as well as the live stream.
+ *
+ * Bottles are identified by the workflow's `tracker_id`, so two bottles of
+ * the same color stay apart; the color is only a label. When a track ends
+ * and a new one starts (a hand in front of the bottle, a missed frame), the
+ * new track is re-identified with a bottle of the same color that wasn't
+ * in that frame and whose level is close. Wrong guesses are fixed by hand
+ * with merge() and split().
+ */
+
+import {DEFAULT_ESTIMATOR, estimateLevel, normalizeEstimator} from "./estimators.js";
+
+export const DEFAULT_CAPACITY_LITERS = 1.0;
+
+const DEFAULT_OPTIONS = {
+    estimator: DEFAULT_ESTIMATOR, // how a window of readings becomes a level, see estimators.js
+    sipThresholdPercent: 2, // smallest level drop counted as a sip
+    refillThresholdPercent: 10, // smallest level rise counted as a refill
+    stableStdDevPercent: 3, // window must be this steady before comparing levels
+    lostAfterMs: 10000, // bottle is lost when unseen for this long
+    reidentifyMaxDeltaPercent: 20, // a new track only continues a bottle whose level is this close
+    // Liters in the bottle at a given fill level
+    volumeAt: (color, percent) => (percent / 100) * DEFAULT_CAPACITY_LITERS
+};
+
+/**
+ * Parse a score given as JSON text. Python's json.dumps writes NaN and
+ * Infinity, which aren't JSON; those levels become null.
+ */
+function parseScore(text) {
+    try {
+        return JSON.parse(text);
+    } catch (err) {
+        return JSON.parse(text.replace(/(?<![\w"])-?(?:NaN|Infinity)(?![\w"])/g, "null"));
+    }
+}
+
+/**
+ * Find the detection a score belongs to: the one it names by detection_id
+ * or tracker_id if it carries either, otherwise the one at its index. Index
+ * pairing also holds when the lists differ in length, e.g. a detection
+ * without a score at the end.
+ */
+function matchDetection(score, index, detections) {
+    if (score.detection_id != null) {
+        return detections.find(detection => detection?.detection_id === score.detection_id) || null;
+    }
+    if (score.tracker_id != null) return {tracker_id: score.tracker_id};
+    return detections[index] || null;
+}
+
+/**
+ * Read one item of the `percentage` output, given as JSON text or an object.
+ * Returns { color, fill_level_percent, score } with the parsed item as
+ * `score` and null for levels that aren't numbers, or null for malformed
+ * items and items without a color.
+ */
+export function readScore(scoreItem) {
+    let bottleData = null;
+
+    // Handle both string (JSON) and object formats
+    if (typeof scoreItem === 'string') {
+        try {
+            bottleData = parseScore(scoreItem);
+        } catch (e) {
+            return null;
+        }
+    } else if (typeof scoreItem === 'object' && scoreItem !== null) {
+        bottleData = scoreItem;
+    } else {
+        return null;
+    }
+
+    const color = bottleData?.bottle_color;
+    if (color == null) return null;
+
+    const currentPercentRaw = bottleData.fill_level_percent;
+    const currentPercent = typeof currentPercentRaw === 'number' ? currentPercentRaw : Number(currentPercentRaw);
+    return {
+        color,
+        fill_level_percent: currentPercentRaw != null && !isNaN(currentPercent) ? currentPercent : null,
+        score: bottleData
+    };
+}
+
+/**
+ * Turn a data channel message into bottle readings
+ * Returns [{ color, fill_level_percent, tracker_id, timestamp }]
+ *
+ * Malformed scores are skipped; payloadDiagnostics.js counts them.
+ */
+export function extractReadings(data, timestamp) {
+    const preds = data?.serialized_output_data?.predictions?.predictions || [];
+    const scores = data?.serialized_output_data?.percentage || [];
+    const readings = [];
+    if (!Array.isArray(scores)) return readings;
+    const detections = Array.isArray(preds) ? preds : [];
+
+    for (let i = 0; i < scores.length; i++) {
+        const read = readScore(scores[i]);
+        if (!read) continue;
+
+        readings.push({
+            color: read.color,
+            fill_level_percent: read.fill_level_percent,
+            tracker_id: matchDetection(read.score, i, detections)?.tracker_id ?? null,
+            timestamp
+        });
+    }
+
+    return readings;
+}
+
+function standardDeviation(values) {
+    const mean = values.reduce((s, v) => s + v, 0) / values.length;
+    return Math.sqrt(values.reduce((s, v) => s + (v - mean) ** 2, 0) / values.length);
+}
+
+function toTime(timestamp) {
+    return typeof timestamp === 'number' ? timestamp : Date.parse(timestamp);
+}
+
+/**
+ * Readings without a tracker_id (older workflows, older stored readings)
+ * get one track per color, which is how bottles were told apart before
+ */
+function trackKeyOf(reading) {
+    return reading.tracker_id != null ? `track:${reading.tracker_id}` : `color:${reading.color}`;
+}
+
+/**
+ * Create a tracker holding per-bottle state
+ *
+ * @param {Object} [options]
+ * @param {Object} [options.estimator] - Estimator config; its window is the number of readings per level
+ * @param {number} [options.sipThresholdPercent] - Smallest drop counted as a sip
+ * @param {number} [options.refillThresholdPercent] - Smallest rise counted as a refill
+ * @param {number} [options.stableStdDevPercent] - Max spread of a window used for detection
+ * @param {number} [options.lostAfterMs] - Unseen time before a bottle is lost
+ * @param {number} [options.reidentifyMaxDeltaPercent] - Max level difference for continuing a bottle on a new track
+ * @param {Function} [options.volumeAt] - (color, percent) => liters in the bottle
+ */
+export function createBottleTracker(options = {}) {
+    const settings = {...DEFAULT_OPTIONS, ...options};
+    settings.estimator = normalizeEstimator(settings.estimator);
+    // bottle id -> bottle
+    const bottles = new Map();
+    // track key -> bottle id, for the track each bottle is currently seen on
+    const tracks = new Map();
+    // color -> ordinal of the last bottle created with it
+    const ordinals = new Map();
+    const listeners = new Map();
+    let nextId = 1;
+    let silent = false;
+
+    function on(type, listener) {
+        if (!listeners.has(type)) listeners.set(type, new Set());
+        listeners.get(type).add(listener);
+        return () => off(type, listener);
+    }
+
+    function off(type, listener) {
+        listeners.get(type)?.delete(listener);
+    }
+
+    function emit(type, detail) {
+        if (silent) return;
+        listeners.get(type)?.forEach(listener => {
+            try {
+                listener({type, ...detail});
+            } catch (err) {
+                console.error(`[Tracker] ${type} listener failed:`, err);
+            }
+        });
+    }
+
+    function volumeBetween(color, fromPercent, toPercent) {
+        return settings.volumeAt(color, fromPercent) - settings.volumeAt(color, toPercent);
+    }
+
+    /**
+     * Compare the averaged level against the level at the last event
+     */
+    function detectEvents(bottle, timestamp) {
+        const level = bottle.levelPercent;
+        const reference = bottle.referencePercent;
+
+        if (reference === null) {
+            bottle.referencePercent = level;
+            return;
+        }
+
+        if (level - reference >= settings.refillThresholdPercent) {
+            bottle.refillCount++;
+            bottle.refills.push({timestamp, fromPercent: reference, toPercent: level});
+            bottle.referencePercent = level;
+            emit("refill", {
+                bottleId: bottle.id,
+                color: bottle.color,
+                timestamp,
+                fromPercent: reference,
+                toPercent: level,
+                volumePercent: level - reference,
+                volumeLiters: volumeBetween(bottle.color, level, reference),
+                refillCount: bottle.refillCount
+            });
+        } else if (reference - level >= settings.sipThresholdPercent) {
+            const volumePercent = reference - level;
+            const volumeLiters = volumeBetween(bottle.color, reference, level);
+            bottle.sipCount++;
+            bottle.sips.push({timestamp, fromPercent: reference, toPercent: level});
+            bottle.consumedPercent += volumePercent;
+            bottle.consumedLiters += volumeLiters;
+            bottle.referencePercent = level;
+            emit("sip", {
+                bottleId: bottle.id,
+                color: bottle.color,
+                timestamp,
+                fromPercent: reference,
+                toPercent: level,
+                volumePercent,
+                volumeLiters,
+                consumedLiters: bottle.consumedLiters
+            });
+        } else if (level > reference) {
+            // Small rises are noise settling, not refills: follow the max level
+            bottle.referencePercent = level;
+        }
+    }
+
+    function createBottle(color, timestamp) {
+        const ordinal = (ordinals.get(color) || 0) + 1;
+        ordinals.set(color, ordinal);
+        const bottle = {
+            id: `b${nextId++}`,
+            color,
+            // Tells same-colored bottles apart in labels: 1 for the first one
+            ordinal,
+            trackId: null,
+            // Tracks the bottle was seen on, with its levels when each one took over
+            tracks: [],
+            percentHistory: [],
+            estimate: estimateLevel([]),
+            levelPercent: null,
+            referencePercent: null,
+            refillCount: 0,
+            refills: [],
+            sipCount: 0,
+            sips: [],
+            consumedPercent: 0,
+            consumedLiters: 0,
+            firstSeen: timestamp,
+            lastSeen: timestamp,
+            lost: false
+        };
+        bottles.set(bottle.id, bottle);
+        return bottle;
+    }
+
+    /**
+     * Move a bottle onto a track, releasing the one it was seen on before
+     */
+    function attachTrack(bottle, reading, timestamp) {
+        const trackKey = trackKeyOf(reading);
+        tracks.forEach((bottleId, key) => {
+            if (bottleId === bottle.id) tracks.delete(key);
+        });
+        tracks.set(trackKey, bottle.id);
+        bottle.trackId = reading.tracker_id ?? null;
+        bottle.tracks.push({
+            trackKey,
+            trackId: bottle.trackId,
+            since: timestamp,
+            levelPercent: bottle.levelPercent,
+            referencePercent: bottle.referencePercent
+        });
+    }
+
+    /**
+     * Bottle a new track continues: same color, not seen in this frame, and
+     * with the closest level (the most recently seen one on a tie)
+     */
+    function findReidentification(reading, timestamp) {
+        const percent = reading.fill_level_percent;
+        let best = null;
+        let bestDelta = Infinity;
+        bottles.forEach(bottle => {
+            if (bottle.color !== reading.color || bottle.lastSeen >= timestamp) return;
+            const level = bottle.estimate.average;
+            const delta = typeof percent === 'number' && level !== null ? Math.abs(percent - level) : 0;
+            if (delta > settings.reidentifyMaxDeltaPercent) return;
+            if (delta < bestDelta || (delta === bestDelta && bottle.lastSeen > best.lastSeen)) {
+                best = bottle;
+                bestDelta = delta;
+            }
+        });
+        return best;
+    }
+
+    /**
+     * Bottle a reading belongs to, re-identifying or creating one for new tracks
+     */
+    function resolveBottle(reading, timestamp) {
+        const trackKey = trackKeyOf(reading);
+        const known = bottles.get(tracks.get(trackKey));
+        // Track ids start over with each pipeline, so an id seen with another color is a new track
+        if (known && known.color === reading.color) return known;
+        tracks.delete(trackKey);
+
+        const {color} = reading;
+        let bottle = findReidentification(reading, timestamp);
+        if (bottle) {
+            const previousTrackId = bottle.trackId;
+            attachTrack(bottle, reading, timestamp);
+            emit("bottle-reidentified", {bottleId: bottle.id, color, timestamp, trackId: bottle.trackId, previousTrackId});
+        } else {
+            bottle = createBottle(color, timestamp);
+            attachTrack(bottle, reading, timestamp);
+            emit("bottle-appeared", {bottleId: bottle.id, color, timestamp, returning: false});
+        }
+        return bottle;
+    }
+
+    /**
+     * Apply one reading ({ color, fill_level_percent, tracker_id, timestamp }).
+     * Returns the bottle it was applied to.
+     */
+    function ingest(reading) {
+        const timestamp = toTime(reading.timestamp);
+        const currentPercent = reading.fill_level_percent;
+        const isValidPercent = typeof currentPercent === 'number' && !isNaN(currentPercent);
+
+        const bottle = resolveBottle(reading, timestamp);
+        if (bottle.lost) {
+            // Level may have changed while out of view: start a fresh average
+            bottle.lost = false;
+            bottle.percentHistory = [];
+            emit("bottle-appeared", {bottleId: bottle.id, color: bottle.color, timestamp, returning: true});
+        }
+        bottle.lastSeen = timestamp;
+
+        if (isValidPercent) {
+            bottle.percentHistory.push(currentPercent);
+            if (bottle.percentHistory.length > settings.estimator.window) {
+                bottle.percentHistory.shift();
+            }
+        } else if (bottle.percentHistory.length > 0) {
+            // This prevents bad values from staying forever... removing them each time.
+            bottle.percentHistory.shift();
+        }
+        bottle.estimate = estimateLevel(bottle.percentHistory, settings.estimator);
+
+        // Events are only derived from a full, steady history window, so a
+        // level change is reported once it has settled instead of step by step
+        if (bottle.percentHistory.length >= settings.estimator.window) {
+            const {average, filteredHistory} = bottle.estimate;
+            if (average !== null && standardDeviation(filteredHistory) <= settings.stableStdDevPercent) {
+                bottle.levelPercent = average;
+                detectEvents(bottle, timestamp);
+            }
+        }
+        return bottle;
+    }
+
+    /**
+     * Mark bottles unseen for `lostAfterMs` as lost
+     */
+    function sweep(timestamp) {
+        const now = toTime(timestamp);
+        bottles.forEach(bottle => {
+            if (!bottle.lost && now - bottle.lastSeen > settings.lostAfterMs) {
+                bottle.lost = true;
+                emit("bottle-lost", {
+                    bottleId: bottle.id,
+                    color: bottle.color,
+                    timestamp: now,
+                    lastSeen: bottle.lastSeen,
+                    levelPercent: bottle.levelPercent
+                });
+            }
+        });
+    }
+
+    /**
+     * Apply every reading of a data channel message, then sweep for lost bottles.
+     * Returns the readings, each with the `bottle_id` it was applied to.
+     */
+    function ingestPayload(data, timestamp) {
+        const readings = extractReadings(data, timestamp);
+        // Known tracks go first, so a new track is never re-identified with a
+        // bottle that is still in this frame on its own track
+        const known = readings.filter(reading => tracks.has(trackKeyOf(reading)));
+        const unknown = readings.filter(reading => !tracks.has(trackKeyOf(reading)));
+        [...known, ...unknown].forEach(reading => {
+            reading.bottle_id = ingest(reading).id;
+        });
+        sweep(timestamp);
+        return readings;
+    }
+
+    /**
+     * Rebuild state from stored readings without emitting events. Their
+     * track ids belong to earlier pipelines, so they are released afterwards
+     * and new tracks get re-identified by color and level.
+     */
+    function restore(readings, now = Date.now()) {
+        silent = true;
+        try {
+            readings.forEach(ingest);
+            sweep(now);
+            tracks.clear();
+        } finally {
+            silent = false;
+        }
+    }
+
+    /**
+     * Bottles and counters as plain data, e.g. to keep in IndexedDB. Tracks
+     * are left out: their ids belong to the running pipeline.
+     */
+    function exportState() {
+        return {
+            nextId,
+            ordinals: [...ordinals],
+            bottles: Array.from(bottles.values(), ({estimate, ...bottle}) => structuredClone(bottle))
+        };
+    }
+
+    /**
+     * Replace all bottles with a snapshot from exportState(), without
+     * emitting events. New tracks get re-identified by color and level.
+     */
+    function importState(state, now = Date.now()) {
+        reset();
+        nextId = state.nextId;
+        state.ordinals.forEach(([color, ordinal]) => ordinals.set(color, ordinal));
+        state.bottles.forEach(snapshot => {
+            const bottle = structuredClone(snapshot);
+            bottle.percentHistory = bottle.percentHistory.slice(-settings.estimator.window);
+            bottle.estimate = estimateLevel(bottle.percentHistory, settings.estimator);
+            bottles.set(bottle.id, bottle);
+        });
+        silent = true;
+        try {
+            sweep(now);
+        } finally {
+            silent = false;
+        }
+    }
+
+    /**
+     * Set a bottle's consumption totals from its sips
+     */
+    function sumSips(bottle) {
+        bottle.sipCount = bottle.sips.length;
+        bottle.consumedPercent = bottle.sips.reduce((sum, sip) => sum + sip.fromPercent - sip.toPercent, 0);
+        bottle.consumedLiters = bottle.sips.reduce(
+            (sum, sip) => sum + volumeBetween(bottle.color, sip.fromPercent, sip.toPercent), 0
+        );
+    }
+
+    /**
+     * Recompute consumed liters after `volumeAt` changed (e.g. a new capacity)
+     */
+    function recalculate(color) {
+        bottles.forEach(bottle => {
+            if (color !== undefined && bottle.color !== color) return;
+            sumSips(bottle);
+        });
+    }
+
+    /**
+     * Merge bottle `sourceId` into `targetId`, e.g. after a re-identification
+     * was missed. Sips, refills and tracks are combined; the bottle seen more
+     * recently carries on its level and track.
+     *
+     * @returns {boolean} Whether both bottles existed
+     */
+    function merge(sourceId, targetId) {
+        const source = bottles.get(sourceId);
+        const target = bottles.get(targetId);
+        if (!source || !target || source === target) return false;
+
+        const byTime = (a, b) => a.timestamp - b.timestamp;
+        target.sips = [...target.sips, ...source.sips].sort(byTime);
+        target.refills = [...target.refills, ...source.refills].sort(byTime);
+        target.refillCount += source.refillCount;
+        target.tracks = [...target.tracks, ...source.tracks].sort((a, b) => a.since - b.since);
+        target.firstSeen = Math.min(target.firstSeen, source.firstSeen);
+        if (source.lastSeen > target.lastSeen) {
+            ['trackId', 'percentHistory', 'estimate', 'levelPercent', 'referencePercent', 'lastSeen', 'lost']
+                .forEach(field => {
+                    target[field] = source[field];
+                });
+        }
+        sumSips(target);
+
+        tracks.forEach((bottleId, key) => {
+            if (bottleId === sourceId) tracks.set(key, targetId);
+        });
+        bottles.delete(sourceId);
+        emit("bottle-merged", {bottleId: targetId, mergedId: sourceId, color: target.color, timestamp: target.lastSeen});
+        return true;
+    }
+
+    /**
+     * Undo the latest re-identification or merge of a bottle: its newest
+     * track becomes a bottle of its own, taking the sips and refills since
+     * that track took over and the current level. The original bottle goes
+     * back to its level from before and counts as lost.
+     *
+     * @returns {?Object} The new bottle, or null if the bottle has a single track
+     */
+    function split(bottleId) {
+        const bottle = bottles.get(bottleId);
+        if (!bottle || bottle.tracks.length < 2) return null;
+
+        const segment = bottle.tracks.at(-1);
+        const part = createBottle(bottle.color, segment.since);
+        Object.assign(part, {
+            trackId: segment.trackId,
+            tracks: [segment],
+            percentHistory: bottle.percentHistory,
+            estimate: bottle.estimate,
+            levelPercent: bottle.levelPercent,
+            referencePercent: bottle.referencePercent,
+            sips: bottle.sips.filter(sip => sip.timestamp >= segment.since),
+            refills: bottle.refills.filter(refill => refill.timestamp >= segment.since),
+            lastSeen: bottle.lastSeen,
+            lost: bottle.lost
+        });
+        part.refillCount = part.refills.length;
+        sumSips(part);
+
+        const previous = bottle.tracks.at(-2);
+        const sips = bottle.sips.filter(sip => sip.timestamp < segment.since);
+        const refills = bottle.refills.filter(refill => refill.timestamp < segment.since);
+        // A merged-in track didn't know this bottle's level: fall back to its last event
+        const lastEvent = [...sips, ...refills].sort((a, b) => a.timestamp - b.timestamp).at(-1);
+        Object.assign(bottle, {
+            trackId: previous.trackId,
+            tracks: bottle.tracks.slice(0, -1),
+            percentHistory: [],
+            estimate: estimateLevel([]),
+            levelPercent: segment.levelPercent ?? lastEvent?.toPercent ?? null,
+            referencePercent: segment.referencePercent ?? lastEvent?.toPercent ?? null,
+            sips,
+            refills,
+            lastSeen: Math.min(bottle.lastSeen, segment.since),
+            lost: true
+        });
+        bottle.refillCount = bottle.refills.length;
+        sumSips(bottle);
+
+        tracks.forEach((id, key) => {
+            if (id === bottleId && key === segment.trackKey) tracks.set(key, part.id);
+        });
+        emit("bottle-split", {bottleId, splitId: part.id, color: bottle.color, timestamp: segment.since});
+        return part;
+    }
+
+    /**
+     * Switch the estimator. Windows are cut to the new size and re-estimated;
+     * events already reported stay as they are.
+     */
+    function setEstimator(config) {
+        settings.estimator = normalizeEstimator(config);
+        bottles.forEach(bottle => {
+            bottle.percentHistory = bottle.percentHistory.slice(-settings.estimator.window);
+            bottle.estimate = estimateLevel(bottle.percentHistory, settings.estimator);
+        });
+    }
+
+    function reset() {
+        bottles.clear();
+        tracks.clear();
+        ordinals.clear();
+    }
+
+    return {
+        on,
+        off,
+        ingest,
+        ingestPayload,
+        sweep,
+        restore,
+        exportState,
+        importState,
+        recalculate,
+        merge,
+        split,
+        setEstimator,
+        reset,
+        getEstimator: () => settings.estimator,
+        /**
+         * True once a bottle's window is full, i.e. its estimate is what events are based on
+         */
+        hasFullWindow: bottleId => (bottles.get(bottleId)?.percentHistory.length ?? 0) >= settings.estimator.window,
+        getBottle: bottleId => bottles.get(bottleId),
+        getBottles: () => Array.from(bottles.values())
+    };
+}
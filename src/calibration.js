@@ -0,0 +1,76 @@
+/**
+ * Volume calibration curves
+ *
+ * Bottles taper at the neck and base, so fill percent isn't proportional to
+ * volume. A curve is a list of { percent, liters } points recorded while
+ * filling a bottle in known increments; volumes in between are interpolated
+ * piecewise-linearly.
+ */
+
+import {deleteJson, getJson, putJson} from "./api.js";
+import {capacityFor, getProfile} from "./profiles.js";
+
+let curves = {};
+
+export async function loadCurves() {
+    ({curves} = await getJson("/api/curves"));
+    return curves;
+}
+
+export function getCurves() {
+    return Object.values(curves).sort((a, b) => a.name.localeCompare(b.name));
+}
+
+export function getCurve(id) {
+    return curves[id] || null;
+}
+
+/**
+ * Save a curve ({ id, name, points }); the id defaults to a slug of the name.
+ * An existing curve is only replaced with `replace` set, otherwise the
+ * request fails with status 409.
+ */
+export async function saveCurve({id, name, points, replace = false}) {
+    const curveId = id || slugify(name);
+    const query = replace ? "?replace=1" : "";
+    const {curve} = await putJson(`/api/curves/${encodeURIComponent(curveId)}${query}`, {name, points});
+    curves[curveId] = curve;
+    return curve;
+}
+
+export async function deleteCurve(id) {
+    await deleteJson(`/api/curves/${encodeURIComponent(id)}`);
+    delete curves[id];
+}
+
+export function slugify(name) {
+    return String(name).toLowerCase().trim().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "") || "curve";
+}
+
+/**
+ * Interpolate liters for a fill percent along sorted curve points.
+ * Outside the recorded range the nearest segment is extended, never below 0.
+ */
+export function volumeAtPercent(points, percent) {
+    if (points.length === 1) return points[0].liters;
+
+    let upper = points.findIndex(p => p.percent >= percent);
+    if (upper <= 0) upper = upper === -1 ? points.length - 1 : 1;
+
+    const a = points[upper - 1];
+    const b = points[upper];
+    const t = (percent - a.percent) / (b.percent - a.percent);
+    return Math.max(0, a.liters + t * (b.liters - a.liters));
+}
+
+/**
+ * Liters in a bottle at a fill percent, through its profile's curve when it
+ * has one, otherwise as a fraction of the profile capacity
+ */
+export function volumeFor(color, percent) {
+    const curve = getCurve(getProfile(color)?.curveId);
+    if (curve && curve.points.length > 0) {
+        return volumeAtPercent(curve.points, percent);
+    }
+    return (percent / 100) * capacityFor(color);
+}
@@ -0,0 +1,226 @@
+/**
+ * Calibration settings panel
+ *
+ * Guides the user through filling a bottle in known increments, recording
+ * the fill percent reported by the workflow at each step, and saves the
+ * resulting curve for the bottle's shape.
+ */
+
+import {deleteCurve, getCurves, loadCurves, saveCurve} from "./calibration.js";
+import {escapeHtml} from "./html.js";
+import {capacityFor, getProfile, saveProfile} from "./profiles.js";
+
+const calibrationInputs = {
+    color: document.getElementById("calibrationColor"),
+    stepLiters: document.getElementById("calibrationStep"),
+    name: document.getElementById("calibrationName"),
+    assign: document.getElementById("calibrationAssign"),
+    startBtn: document.getElementById("startCalibrationBtn"),
+    recordBtn: document.getElementById("recordStepBtn"),
+    undoBtn: document.getElementById("undoStepBtn"),
+    saveBtn: document.getElementById("saveCurveBtn")
+};
+const pointsEl = document.getElementById("calibrationPoints");
+const curveListEl = document.getElementById("curveList");
+const statusEl = document.getElementById("calibrationStatus");
+
+// Points recorded in the current calibration run
+let points = [];
+let calibrating = false;
+
+let panelOptions = {
+    getColors: () => [],
+    getLevel: () => null,
+    onChange: () => {}
+};
+
+function setStatus(text) {
+    statusEl.textContent = text;
+}
+
+function stepLiters() {
+    return parseFloat(calibrationInputs.stepLiters.value) || 0;
+}
+
+function updateButtons() {
+    calibrationInputs.recordBtn.disabled = !calibrating;
+    calibrationInputs.undoBtn.disabled = !calibrating || points.length === 0;
+    calibrationInputs.saveBtn.disabled = !calibrating || points.length < 2;
+}
+
+function renderPoints() {
+    if (points.length === 0) {
+        pointsEl.innerHTML = calibrating
+            ? '<div class="empty-hint">Start with the bottle empty and record the first step</div>'
+            : '';
+        return;
+    }
+    pointsEl.innerHTML = points.map((point, index) => `
+      <div class="profile-meta">#${index + 1} · ${point.liters.toFixed(3)} L → ${point.percent.toFixed(1)}%</div>
+    `).join('');
+}
+
+function renderCurves() {
+    const curves = getCurves();
+    if (curves.length === 0) {
+        curveListEl.innerHTML = '<div class="empty-hint">No calibration curves yet</div>';
+        return;
+    }
+    curveListEl.innerHTML = curves.map(curve => `
+      <div class="profile-row">
+        <div>
+          <div><strong>${escapeHtml(curve.name)}</strong></div>
+          <div class="profile-meta">${curve.points.length} points · up to ${curve.points[curve.points.length - 1].liters.toFixed(2)} L</div>
+        </div>
+        <button type="button" data-action="delete-curve" data-curve="${escapeHtml(curve.id)}">Delete</button>
+      </div>
+    `).join('');
+}
+
+/**
+ * Refresh the bottle color options from the colors currently tracked
+ */
+function renderColorOptions() {
+    const selected = calibrationInputs.color.value;
+    const colors = panelOptions.getColors();
+    calibrationInputs.color.innerHTML = colors.length === 0
+        ? '<option value="">No bottles detected yet</option>'
+        : colors.map(color => `<option value="${escapeHtml(color)}">${escapeHtml(color)}</option>`).join('');
+    if (colors.includes(selected)) calibrationInputs.color.value = selected;
+}
+
+function handleStart() {
+    const color = calibrationInputs.color.value;
+    if (!color) {
+        setStatus("Start the camera so the bottle is detected first");
+        return;
+    }
+    if (stepLiters() <= 0) {
+        setStatus("Step volume must be greater than 0");
+        return;
+    }
+
+    points = [];
+    calibrating = true;
+    if (!calibrationInputs.name.value.trim()) {
+        calibrationInputs.name.value = `${color} bottle`;
+    }
+    setStatus(`Calibrating ${color}: record, then add ${stepLiters()} L and record again`);
+    renderPoints();
+    updateButtons();
+}
+
+function handleRecord() {
+    const color = calibrationInputs.color.value;
+    const percent = panelOptions.getLevel(color);
+    if (percent === null) {
+        setStatus("Waiting for a steady reading of this bottle...");
+        return;
+    }
+
+    const liters = points.length * stepLiters();
+    if (points.length > 0 && percent <= points[points.length - 1].percent) {
+        setStatus(`Reading ${percent.toFixed(1)}% is not above the previous step; wait for the level to settle`);
+        return;
+    }
+
+    points.push({percent, liters});
+    setStatus(`Recorded ${liters.toFixed(3)} L at ${percent.toFixed(1)}%. Add ${stepLiters()} L for the next step.`);
+    renderPoints();
+    updateButtons();
+}
+
+function handleUndo() {
+    points.pop();
+    renderPoints();
+    updateButtons();
+}
+
+async function handleSave() {
+    const color = calibrationInputs.color.value;
+    const name = calibrationInputs.name.value.trim() || `${color} bottle`;
+
+    calibrationInputs.saveBtn.disabled = true;
+    try {
+        let curve;
+        try {
+            curve = await saveCurve({name, points});
+        } catch (err) {
+            if (err.status !== 409 || !confirm(`A curve named like "${name}" exists. Replace it?`)) throw err;
+            curve = await saveCurve({name, points, replace: true});
+        }
+
+        if (calibrationInputs.assign.checked) {
+            const profile = getProfile(color);
+            await saveProfile({
+                color,
+                displayName: profile?.displayName || color,
+                owner: profile?.owner || "",
+                capacityLiters: profile?.capacityLiters ?? Math.max(capacityFor(color), points[points.length - 1].liters),
+                curveId: curve.id
+            });
+        }
+
+        calibrating = false;
+        points = [];
+        setStatus(`Saved curve "${curve.name}"`);
+        renderPoints();
+        renderCurves();
+        panelOptions.onChange(color);
+    } catch (err) {
+        console.error("[Calibration] Failed to save curve:", err);
+        setStatus(`Error: ${err.message}`);
+    } finally {
+        updateButtons();
+    }
+}
+
+async function handleDeleteCurve(id) {
+    try {
+        await deleteCurve(id);
+        setStatus(`Deleted curve ${id}`);
+        renderCurves();
+        panelOptions.onChange();
+    } catch (err) {
+        console.error("[Calibration] Failed to delete curve:", err);
+        setStatus(`Error: ${err.message}`);
+    }
+}
+
+/**
+ * Load curves and attach the panel's event handlers
+ *
+ * @param {Object} options
+ * @param {Function} options.getColors - Bottle colors currently tracked
+ * @param {Function} options.getLevel - (color) => steady fill percent, or null
+ * @param {Function} [options.onChange] - Called after curves or profiles changed
+ */
+export async function initCalibrationPanel(options) {
+    panelOptions = {...panelOptions, ...options};
+
+    calibrationInputs.color.addEventListener("focus", renderColorOptions);
+    calibrationInputs.startBtn.addEventListener("click", handleStart);
+    calibrationInputs.recordBtn.addEventListener("click", handleRecord);
+    calibrationInputs.undoBtn.addEventListener("click", handleUndo);
+    calibrationInputs.saveBtn.addEventListener("click", handleSave);
+    curveListEl.addEventListener("click", (e) => {
+        if (e.target.dataset.action === "delete-curve") handleDeleteCurve(e.target.dataset.curve);
+    });
+
+    try {
+        await loadCurves();
+    } catch (err) {
+        console.error("[Calibration] Failed to load curves:", err);
+        setStatus("Failed to load calibration curves");
+    }
+    renderColorOptions();
+    renderCurves();
+    updateButtons();
+}
+
+/**
+ * Keep the color list current as bottles appear
+ */
+export function refreshCalibrationColors() {
+    if (document.activeElement !== calibrationInputs.color) renderColorOptions();
+}
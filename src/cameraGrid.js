@@ -0,0 +1,584 @@
+/**
+ * Camera grid
+ *
+ * Watches several desks at once. Each tile has its own camera or video
+ * file, its own pipeline connection (reconnecting and renewing like the
+ * main session, see streamSession.js), its own bottle tracker and table,
+ * and starts and stops on its own. Tiles use the dashboard's workflow and
+ * server settings as they are when the tile starts. A summary table adds
+ * up consumption over all tiles.
+ *
+ * Readings of camera tiles go to the consumption history under the tile's
+ * name, so a tile started again continues its desk's day. Camera and server
+ * video tiles are kept in this browser's localStorage.
+ */
+
+import {streams} from '@roboflow/inference-sdk';
+import {attachIdentityActions, renderBottleTable, toBottleRows} from "./bottleTable.js";
+import {createBottleTracker} from "./bottleTracker.js";
+import {volumeFor} from "./calibration.js";
+import {escapeHtml} from "./html.js";
+import {flushReadings, loadTodaysReadings, queueReadings} from "./readingsSync.js";
+import {endSession, endSessionOnUnload, startHeartbeat, stopHeartbeat} from "./sessionHeartbeat.js";
+import {createStreamSession} from "./streamSession.js";
+import {createVideoFileStream, listServerVideos, serverVideoUrl} from "./videoSource.js";
+
+const gridInputs = {
+    name: document.getElementById("gridCameraName"),
+    sourceType: document.getElementById("gridSourceType"),
+    camera: document.getElementById("gridCamera"),
+    resolution: document.getElementById("gridResolution"),
+    fps: document.getElementById("gridFps"),
+    videoFile: document.getElementById("gridVideoFile"),
+    serverVideo: document.getElementById("gridServerVideo"),
+    cameraField: document.getElementById("gridCameraField"),
+    resolutionField: document.getElementById("gridResolutionField"),
+    videoFileField: document.getElementById("gridVideoFileField"),
+    serverVideoField: document.getElementById("gridServerVideoField"),
+    addBtn: document.getElementById("addGridCameraBtn")
+};
+const statusEl = document.getElementById("gridStatus");
+const sectionEl = document.getElementById("cameraGridSection");
+const gridEl = document.getElementById("cameraGrid");
+const summaryBodyEl = document.getElementById("gridSummaryBody");
+
+const STORAGE_KEY = "cameraGrid";
+
+// tile id -> { id, settings, tracker, session, connection, source, videoFile, status, els }
+const tiles = new Map();
+let nextTileId = 1;
+let estimator = null;
+
+let panelOptions = {
+    connect: null,
+    openCamera: null,
+    getLifetimeMs: () => undefined,
+    onSessionsChanged: () => {},
+    onColorSeen: () => {}
+};
+
+function setStatus(text) {
+    statusEl.textContent = text;
+}
+
+function describeSource(settings) {
+    if (settings.sourceType === "file") return `File ${settings.file.name} · ${settings.frameRate} fps`;
+    if (settings.sourceType === "server") return `Server video ${settings.serverVideo} · ${settings.frameRate} fps`;
+    return `${settings.cameraLabel || "Default camera"} · ${settings.width}×${settings.height} · ${settings.frameRate} fps`;
+}
+
+function saveTiles() {
+    // Files can't be reopened after a reload
+    const stored = [...tiles.values()]
+        .filter(tile => tile.settings.sourceType !== "file")
+        .map(({settings}) => settings);
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(stored));
+}
+
+function loadStoredTiles() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(STORAGE_KEY)) || [];
+        return Array.isArray(stored) ? stored.filter(settings => settings?.name && settings.sourceType !== "file") : [];
+    } catch (err) {
+        console.warn("[Grid] Ignoring stored cameras:", err);
+        return [];
+    }
+}
+
+function setTileStatus(tile, text) {
+    tile.status = text;
+    tile.els.status.textContent = text;
+    renderSummary();
+}
+
+function renderTileTable(tile) {
+    renderBottleTable(tile.els.tbody, toBottleRows(tile.tracker.getBottles()), {identityActions: true});
+}
+
+/**
+ * Consumption per tile and over all tiles
+ */
+function renderSummary() {
+    sectionEl.hidden = tiles.size === 0;
+    if (tiles.size === 0) return;
+
+    const rows = [...tiles.values()].map(tile => {
+        const bottles = tile.tracker.getBottles();
+        return {
+            name: tile.settings.name,
+            status: tile.status,
+            bottles: bottles.length,
+            sips: bottles.reduce((sum, bottle) => sum + bottle.sipCount, 0),
+            refills: bottles.reduce((sum, bottle) => sum + bottle.refillCount, 0),
+            liters: bottles.reduce((sum, bottle) => sum + bottle.consumedLiters, 0)
+        };
+    });
+    const total = rows.reduce((sum, row) => ({
+        bottles: sum.bottles + row.bottles,
+        sips: sum.sips + row.sips,
+        refills: sum.refills + row.refills,
+        liters: sum.liters + row.liters
+    }), {bottles: 0, sips: 0, refills: 0, liters: 0});
+    const running = [...tiles.values()].filter(tile => tile.session).length;
+
+    summaryBodyEl.innerHTML = rows.map(row => `
+        <tr>
+          <td class="bottle-color">${escapeHtml(row.name)}</td>
+          <td>${escapeHtml(row.status)}</td>
+          <td class="percentage">${row.bottles}</td>
+          <td class="percentage">${row.sips}</td>
+          <td class="percentage">${row.refills}</td>
+          <td class="percentage consumed">${row.liters.toFixed(3)} L</td>
+        </tr>
+      `).join('') + `
+        <tr class="grid-total">
+          <td>All cameras</td>
+          <td>${running} of ${rows.length} running</td>
+          <td class="percentage">${total.bottles}</td>
+          <td class="percentage">${total.sips}</td>
+          <td class="percentage">${total.refills}</td>
+          <td class="percentage consumed">${total.liters.toFixed(3)} L</td>
+        </tr>
+      `;
+}
+
+/**
+ * Apply one data channel message to a tile's bottles
+ */
+function handleTileData(tile, data) {
+    const readings = tile.tracker.ingestPayload(data, new Date().toISOString());
+    // Footage from a file was recorded earlier, so it isn't added to the history
+    if (tile.settings.sourceType === "camera") {
+        queueReadings(readings.map(reading => ({...reading, camera: tile.settings.name})));
+    }
+    renderTileTable(tile);
+    renderSummary();
+}
+
+async function attachTileConnection(tile, connection, {reconnected, renewed}) {
+    tile.connection = connection;
+    if (connection.pipelineId) {
+        startHeartbeat(connection.pipelineId, {
+            onTerminated: () => {
+                if (tile.connection !== connection) return;
+                console.warn(`[Grid] ${tile.settings.name}: session was terminated on the server`);
+                stopTile(tile).then(() => setTileStatus(tile, "Session terminated on the server"));
+            }
+        });
+        panelOptions.onSessionsChanged();
+    }
+
+    tile.els.video.srcObject = await connection.remoteStream();
+    try {
+        await tile.els.video.play();
+    } catch (err) {
+        console.warn(`[Grid] ${tile.settings.name}: autoplay failed:`, err);
+    }
+
+    if (reconnected) {
+        await tile.videoFile?.play();
+        setTileStatus(tile, "Reconnected");
+    } else if (renewed) {
+        setTileStatus(tile, "Pipeline renewed");
+    }
+}
+
+/**
+ * Tear down a dropped connection, keeping the source for the next one
+ *
+ * @returns {Promise<boolean>} false when the session was terminated on the server
+ */
+async function detachTileConnection(tile, connection) {
+    if (tile.connection === connection) tile.connection = null;
+    tile.videoFile?.pause();
+
+    let wasRunning = true;
+    if (connection.pipelineId) {
+        stopHeartbeat(connection.pipelineId);
+        wasRunning = await endSession(connection.pipelineId).catch(err => {
+            console.error(`[Grid] ${tile.settings.name}: failed to end session:`, err);
+            return true;
+        });
+    }
+    // cleanup() would also stop the source, which the next connection reuses
+    connection.peerConnection.close();
+    panelOptions.onSessionsChanged();
+
+    if (!wasRunning) {
+        stopTile(tile).then(() => setTileStatus(tile, "Session terminated on the server"));
+    }
+    return wasRunning;
+}
+
+async function retireTileConnection(tile, connection) {
+    if (connection.pipelineId) {
+        stopHeartbeat(connection.pipelineId);
+        await endSession(connection.pipelineId)
+            .catch(err => console.error(`[Grid] ${tile.settings.name}: failed to end session:`, err));
+    }
+    connection.peerConnection.close();
+    panelOptions.onSessionsChanged();
+}
+
+/**
+ * Rebuild a camera tile's bottles from its readings of today
+ */
+async function rehydrateTile(tile) {
+    try {
+        const {readings} = await loadTodaysReadings(tile.settings.name);
+        tile.tracker.restore(readings);
+        console.log(`[Grid] ${tile.settings.name}: rehydrated ${readings.length} reading(s) from history`);
+    } catch (err) {
+        console.warn(`[Grid] ${tile.settings.name}: failed to load history:`, err);
+    }
+}
+
+async function startTile(tile) {
+    if (tile.session) return;
+    const {settings} = tile;
+
+    // A running tile is stopped before it can be removed
+    tile.els.startBtn.disabled = true;
+    tile.els.removeBtn.disabled = true;
+    tile.tracker.reset();
+    if (settings.sourceType === "camera") {
+        setTileStatus(tile, "Loading history...");
+        await rehydrateTile(tile);
+    }
+    renderTileTable(tile);
+
+    const session = createStreamSession({
+        connect: ({onData, renews}) => panelOptions.connect({
+            source: tile.source,
+            onData,
+            renewsPipelineId: renews?.pipelineId
+        }),
+        onData: (data) => handleTileData(tile, data),
+        lifetimeMs: panelOptions.getLifetimeMs(),
+        onConnected: (connection, flags) => attachTileConnection(tile, connection, flags),
+        onDropped: (connection) => detachTileConnection(tile, connection),
+        onRetired: (connection) => retireTileConnection(tile, connection),
+        onReconnecting: (attempt, delayMs) => {
+            setTileStatus(tile, `Reconnecting (attempt ${attempt}) in ${Math.ceil(delayMs / 1000)} s...`);
+        },
+        onRenewing: () => setTileStatus(tile, "Starting a replacement pipeline..."),
+        onGiveUp: (err) => {
+            stopTile(tile).then(() => setTileStatus(tile, `Error: Reconnecting failed - ${err.message}`));
+        }
+    });
+    tile.session = session;
+
+    try {
+        if (settings.sourceType === "camera") {
+            tile.source = await panelOptions.openCamera({
+                deviceId: settings.deviceId || undefined,
+                width: settings.width,
+                height: settings.height,
+                frameRate: settings.frameRate
+            });
+        } else {
+            setTileStatus(tile, "Loading video...");
+            const videoFile = await createVideoFileStream(
+                settings.sourceType === "file" ? settings.file : serverVideoUrl(settings.serverVideo),
+                {frameRate: settings.frameRate}
+            );
+            tile.videoFile = videoFile;
+            tile.source = videoFile.stream;
+        }
+
+        setTileStatus(tile, "Connecting...");
+        await session.start();
+        tile.els.stopBtn.disabled = false;
+
+        if (tile.videoFile) {
+            const videoFile = tile.videoFile;
+            videoFile.ended.then(() => {
+                if (tile.videoFile === videoFile) stopTile(tile, {finished: true});
+            });
+            await videoFile.play();
+            setTileStatus(tile, "Connected - Analyzing video");
+        } else {
+            setTileStatus(tile, "Connected - Processing video");
+        }
+    } catch (err) {
+        console.error(`[Grid] ${settings.name}: failed to start:`, err);
+        await stopTile(tile);
+        setTileStatus(tile, `Error: ${err.message}`);
+    }
+}
+
+/**
+ * Stop a tile's session. Its bottle table stays until the tile starts again.
+ *
+ * @param {Object} tile
+ * @param {Object} [options]
+ * @param {boolean} [options.finished=false] - The video file played to its end
+ */
+async function stopTile(tile, {finished = false} = {}) {
+    const session = tile.session;
+    if (!session) return;
+    tile.session = null;
+    tile.els.stopBtn.disabled = true;
+    setTileStatus(tile, "Stopping...");
+
+    const connection = session.stop();
+    const {source, videoFile} = tile;
+    try {
+        await flushReadings();
+        if (connection) {
+            if (connection.pipelineId) {
+                stopHeartbeat(connection.pipelineId);
+                await endSession(connection.pipelineId)
+                    .catch(err => console.error(`[Grid] ${tile.settings.name}: failed to end session:`, err));
+            }
+            await connection.cleanup();
+        }
+    } catch (err) {
+        console.error(`[Grid] ${tile.settings.name}: cleanup error:`, err);
+    } finally {
+        // The source outlives connections, cleanup() only stops it if one was up
+        if (source) streams.stopStream(source);
+        videoFile?.stop();
+        tile.connection = null;
+        tile.source = null;
+        tile.videoFile = null;
+        tile.els.video.srcObject = null;
+        tile.els.startBtn.disabled = false;
+        tile.els.removeBtn.disabled = false;
+        panelOptions.onSessionsChanged();
+        setTileStatus(tile, finished ? "Video finished" : "Idle");
+    }
+}
+
+function removeTile(tile) {
+    tile.els.root.remove();
+    tiles.delete(tile.id);
+    saveTiles();
+    renderSummary();
+}
+
+function renderTile(tile) {
+    const root = document.createElement("div");
+    root.className = "camera-tile";
+    root.innerHTML = `
+      <div class="camera-tile-header">
+        <strong>${escapeHtml(tile.settings.name)}</strong>
+        <span class="camera-caps">${escapeHtml(describeSource(tile.settings))}</span>
+        <button type="button" data-action="remove" title="Remove this camera">✕</button>
+      </div>
+      <div class="video-container">
+        <video autoplay playsinline muted></video>
+      </div>
+      <div class="controls">
+        <button type="button" data-action="start">Start</button>
+        <button type="button" data-action="stop" disabled>Stop</button>
+        <div class="tile-status">Idle</div>
+      </div>
+      <div class="bottle-table-container">
+        <table class="bottle-table">
+          <thead>
+            <tr>
+              <th>Bottle Color</th>
+              <th>Current Percentage</th>
+              <th>Refills</th>
+              <th>Percentage Consumed</th>
+              <th>Consumed (Liters)</th>
+              <th>Identity</th>
+            </tr>
+          </thead>
+          <tbody></tbody>
+        </table>
+      </div>
+    `;
+    tile.els = {
+        root,
+        video: root.querySelector("video"),
+        status: root.querySelector(".tile-status"),
+        startBtn: root.querySelector("[data-action='start']"),
+        stopBtn: root.querySelector("[data-action='stop']"),
+        removeBtn: root.querySelector("[data-action='remove']"),
+        tbody: root.querySelector("tbody")
+    };
+
+    tile.els.startBtn.addEventListener("click", () => startTile(tile));
+    tile.els.stopBtn.addEventListener("click", () => stopTile(tile));
+    tile.els.removeBtn.addEventListener("click", () => removeTile(tile));
+    attachIdentityActions(tile.els.tbody, {
+        onMerge: (sourceId, targetId) => {
+            tile.tracker.merge(sourceId, targetId);
+            renderTileTable(tile);
+            renderSummary();
+        },
+        onSplit: (bottleId) => {
+            tile.tracker.split(bottleId);
+            renderTileTable(tile);
+            renderSummary();
+        }
+    });
+
+    gridEl.appendChild(root);
+    renderTileTable(tile);
+}
+
+function addTile(settings) {
+    const tile = {
+        id: `tile${nextTileId++}`,
+        settings,
+        tracker: createBottleTracker({volumeAt: volumeFor, ...(estimator ? {estimator} : {})}),
+        session: null,
+        connection: null,
+        source: null,
+        videoFile: null,
+        status: "Idle",
+        els: null
+    };
+    tile.tracker.on("bottle-appeared", event => panelOptions.onColorSeen(event.color));
+    tiles.set(tile.id, tile);
+    renderTile(tile);
+    renderSummary();
+    return tile;
+}
+
+/**
+ * Tile settings from the form
+ *
+ * @throws {Error} When the name is missing or taken, or the source is incomplete
+ */
+function readForm() {
+    const name = gridInputs.name.value.trim();
+    if (!name) throw new Error("Give the camera a name");
+    if ([...tiles.values()].some(tile => tile.settings.name === name)) {
+        throw new Error(`There is already a camera named ${name}`);
+    }
+
+    const sourceType = gridInputs.sourceType.value;
+    const [width, height] = gridInputs.resolution.value.split("x").map(Number);
+    const settings = {name, sourceType, frameRate: parseInt(gridInputs.fps.value) || 15};
+
+    if (sourceType === "file") {
+        const file = gridInputs.videoFile.files[0];
+        if (!file) throw new Error("Choose a video file first");
+        return {...settings, file};
+    }
+    if (sourceType === "server") {
+        if (!gridInputs.serverVideo.value) throw new Error("Choose a server video first");
+        return {...settings, serverVideo: gridInputs.serverVideo.value};
+    }
+    const cameraOption = gridInputs.camera.selectedOptions[0];
+    return {
+        ...settings,
+        deviceId: gridInputs.camera.value,
+        cameraLabel: gridInputs.camera.value ? cameraOption?.textContent : "",
+        width,
+        height
+    };
+}
+
+function updateSourceFields() {
+    const type = gridInputs.sourceType.value;
+    gridInputs.cameraField.hidden = type !== "camera";
+    gridInputs.resolutionField.hidden = type !== "camera";
+    gridInputs.videoFileField.hidden = type !== "file";
+    gridInputs.serverVideoField.hidden = type !== "server";
+    if (type === "server") loadServerVideos();
+}
+
+/**
+ * List the cameras; labels only show once the page may use the camera
+ */
+async function loadCameras() {
+    try {
+        const devices = await navigator.mediaDevices.enumerateDevices();
+        const selected = gridInputs.camera.value;
+        const cameras = devices.filter(device => device.kind === "videoinput" && device.deviceId);
+        gridInputs.camera.innerHTML = '<option value="">Default camera</option>' + cameras
+            .map((camera, index) => `<option value="${escapeHtml(camera.deviceId)}">${escapeHtml(camera.label || `Camera ${index + 1}`)}</option>`)
+            .join('');
+        if (cameras.some(camera => camera.deviceId === selected)) gridInputs.camera.value = selected;
+    } catch (err) {
+        console.warn("[Grid] Failed to list cameras:", err);
+    }
+}
+
+async function loadServerVideos() {
+    try {
+        const videos = await listServerVideos();
+        gridInputs.serverVideo.innerHTML = videos.length === 0
+            ? '<option value="">No videos in data/videos/</option>'
+            : videos.map(v => `<option value="${escapeHtml(v.name)}">${escapeHtml(v.name)}</option>`).join('');
+    } catch (err) {
+        console.error("[Grid] Failed to list server videos:", err);
+        gridInputs.serverVideo.innerHTML = '<option value="">Failed to load videos</option>';
+    }
+}
+
+/**
+ * Use an estimator config for all tiles, see estimators.js
+ */
+export function setGridEstimator(config) {
+    estimator = config;
+    tiles.forEach(tile => {
+        tile.tracker.setEstimator(config);
+        renderTileTable(tile);
+    });
+    renderSummary();
+}
+
+/**
+ * Recompute consumed liters after a bottle profile or calibration curve changed
+ *
+ * @param {string} [color] - Only bottles of this color
+ */
+export function recalculateGrid(color) {
+    tiles.forEach(tile => {
+        tile.tracker.recalculate(color);
+        renderTileTable(tile);
+    });
+    renderSummary();
+}
+
+/**
+ * End every tile's pipeline while the page is being closed
+ */
+export function endGridSessionsOnUnload() {
+    tiles.forEach(tile => {
+        if (!tile.connection) return;
+        if (tile.connection.pipelineId) endSessionOnUnload(tile.connection.pipelineId);
+        tile.connection.cleanup();
+    });
+}
+
+/**
+ * Restore the stored cameras and attach the panel's event handlers
+ *
+ * @param {Object} options
+ * @param {Function} options.connect - async ({ source, onData, renewsPipelineId }) => RFWebRTCConnection
+ * @param {Function} options.openCamera - async ({ deviceId, width, height, frameRate }) => MediaStream
+ * @param {Function} [options.getLifetimeMs] - Processing timeout of new pipelines, for renewal
+ * @param {Function} [options.onSessionsChanged] - Called when a tile's pipeline started or ended
+ * @param {Function} [options.onColorSeen] - Called with the color of each bottle a tile finds
+ */
+export function initCameraGrid(options) {
+    panelOptions = {...panelOptions, ...options};
+
+    gridInputs.sourceType.addEventListener("change", updateSourceFields);
+    // Labels become available once the dashboard was allowed to use the camera
+    gridInputs.camera.addEventListener("focus", loadCameras);
+    navigator.mediaDevices?.addEventListener("devicechange", loadCameras);
+    gridInputs.addBtn.addEventListener("click", () => {
+        try {
+            const tile = addTile(readForm());
+            saveTiles();
+            gridInputs.name.value = "";
+            setStatus(`Added ${tile.settings.name}`);
+            tile.els.root.scrollIntoView({behavior: "smooth", block: "nearest"});
+        } catch (err) {
+            setStatus(err.message);
+        }
+    });
+
+    loadStoredTiles().forEach(addTile);
+    updateSourceFields();
+    loadCameras();
+    renderSummary();
+}
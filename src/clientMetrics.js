@@ -0,0 +1,68 @@
+/**
+ * Session counts reported to the server's metrics
+ *
+ * Counts data messages and reconnects while a session runs and pushes them,
+ * with the number of tracked bottles, to POST /api/metrics/client. Only the
+ * change since the previous report is sent, so the server can add them up.
+ */
+
+import {postJson} from "./api.js";
+
+const REPORT_INTERVAL_MS = 30000;
+// The server refuses reports with larger counts (MAX_CLIENT_COUNT); beyond
+// this, counts from a long outage are dropped
+const MAX_COUNT = 100000;
+
+let dataMessages = 0;
+let reconnects = 0;
+let reportTimer = null;
+let getState = () => ({pipelineId: null, bottlesTracked: 0});
+
+export function countDataMessage() {
+    dataMessages = Math.min(MAX_COUNT, dataMessages + 1);
+}
+
+export function countReconnect() {
+    reconnects = Math.min(MAX_COUNT, reconnects + 1);
+}
+
+/**
+ * Send the counts since the last report. Reports that failed on the way are
+ * added to the next one; reports the server refused (4xx) are dropped.
+ */
+export async function reportClientMetrics() {
+    const {pipelineId, bottlesTracked} = getState();
+    const report = {pipelineId, dataMessages, reconnects, bottlesTracked: Math.min(MAX_COUNT, bottlesTracked)};
+    dataMessages = 0;
+    reconnects = 0;
+
+    try {
+        await postJson("/api/metrics/client", report);
+    } catch (err) {
+        console.warn("[Metrics] Failed to report session metrics:", err.message);
+        if (err.status >= 400 && err.status < 500) return;
+        dataMessages = Math.min(MAX_COUNT, dataMessages + report.dataMessages);
+        reconnects = Math.min(MAX_COUNT, reconnects + report.reconnects);
+    }
+}
+
+/**
+ * Report periodically until stopMetricsReporting()
+ *
+ * @param {Function} state - () => ({pipelineId, bottlesTracked}) for the current connection
+ */
+export function startMetricsReporting(state) {
+    getState = state;
+    if (reportTimer) return;
+    reportTimer = setInterval(reportClientMetrics, REPORT_INTERVAL_MS);
+}
+
+/**
+ * Stop reporting after sending what was counted so far
+ */
+export async function stopMetricsReporting() {
+    if (!reportTimer) return;
+    clearInterval(reportTimer);
+    reportTimer = null;
+    await reportClientMetrics();
+}
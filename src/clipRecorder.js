@@ -0,0 +1,124 @@
+/**
+ * Clip recording of the annotated output stream
+ *
+ * Both modes record back-to-back segments with MediaRecorder, each one a
+ * self-contained file that is handed over as soon as it ends, so a long
+ * session isn't held in memory. "continuous" keeps every segment (one clip
+ * per CONTINUOUS_SEGMENT_MS); "events" uses short segments and only keeps
+ * the ones around sip and refill moments. Events are detected a few seconds
+ * after the bottle moved, once the reading window is stable again, so the
+ * previous segment is kept too when the event is close to a segment
+ * boundary.
+ */
+
+export const CLIP_SEGMENT_MS = 10000;
+export const CONTINUOUS_SEGMENT_MS = 5 * 60 * 1000;
+const PRE_ROLL_MS = 6000;
+const POST_ROLL_MS = 2000;
+
+const MIME_TYPES = ["video/webm;codecs=vp9", "video/webm;codecs=vp8", "video/webm", "video/mp4"];
+
+/**
+ * First container/codec MediaRecorder supports in this browser, or null
+ */
+export function pickClipMimeType() {
+    if (typeof MediaRecorder === "undefined") return null;
+    return MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type)) || null;
+}
+
+/**
+ * Record a MediaStream into clips
+ *
+ * @param {MediaStream} stream - Stream to record
+ * @param {Object} options
+ * @param {string} options.mode - "continuous" or "events"
+ * @param {Function} options.onClip - Called with { blob, mimeType, startedAt, endedAt, events }
+ * @returns {{markEvent: Function, stop: Function}}
+ */
+export function createClipRecorder(stream, {mode, onClip}) {
+    const mimeType = pickClipMimeType();
+    if (!mimeType) {
+        throw new Error("MediaRecorder is not supported in this browser");
+    }
+
+    const eventsOnly = mode === "events";
+    const segmentMs = eventsOnly ? CLIP_SEGMENT_MS : CONTINUOUS_SEGMENT_MS;
+    let current = null;
+    let previous = null;
+    let carryOver = []; // events whose post-roll reaches into the next segment
+    let timer = null;
+    let stopping = false;
+
+    function emit(segment) {
+        segment.emitted = true;
+        onClip({
+            blob: segment.blob,
+            mimeType: mimeType.split(";")[0],
+            startedAt: segment.startedAt,
+            endedAt: segment.endedAt,
+            events: segment.events
+        });
+    }
+
+    function startSegment() {
+        const recorder = new MediaRecorder(stream, {mimeType});
+        const segment = {recorder, startedAt: Date.now(), chunks: [], events: carryOver, emitted: false};
+        carryOver = [];
+
+        segment.done = new Promise(resolve => {
+            recorder.addEventListener("dataavailable", e => {
+                if (e.data.size > 0) segment.chunks.push(e.data);
+            });
+            recorder.addEventListener("stop", () => {
+                segment.endedAt = Date.now();
+                segment.blob = new Blob(segment.chunks, {type: mimeType.split(";")[0]});
+                if (segment.blob.size > 0 && (!eventsOnly || segment.events.length > 0)) emit(segment);
+                resolve();
+            });
+        });
+
+        recorder.start();
+        current = segment;
+
+        timer = setTimeout(() => {
+            if (stopping) return;
+            previous = current;
+            startSegment();
+            previous.recorder.stop();
+        }, segmentMs);
+    }
+
+    startSegment();
+
+    return {
+        /**
+         * Keep the segments around an event (events mode only)
+         */
+        markEvent(type, color) {
+            if (!eventsOnly || stopping) return;
+
+            const now = Date.now();
+            const event = {type, color, timestamp: new Date(now).toISOString()};
+            current.events.push(event);
+
+            if (now - PRE_ROLL_MS < current.startedAt && previous && !previous.emitted) {
+                previous.events.push(event);
+                // A segment that already stopped won't emit on its own anymore
+                if (previous.blob?.size > 0) emit(previous);
+            }
+            if (now + POST_ROLL_MS > current.startedAt + segmentMs) {
+                carryOver.push(event);
+            }
+        },
+
+        /**
+         * Stop recording; resolves once the last clip was handed to onClip
+         */
+        async stop() {
+            stopping = true;
+            clearTimeout(timer);
+            if (current.recorder.state !== "inactive") current.recorder.stop();
+            await Promise.all([previous?.done, current.done]);
+        }
+    };
+}
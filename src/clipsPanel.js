@@ -0,0 +1,148 @@
+/**
+ * Clips settings panel
+ *
+ * Records the annotated output stream while a session runs, uploads the clips
+ * to the server and lists them in a gallery with playback and download.
+ */
+
+import {deleteJson, getJson, requestJson} from "./api.js";
+import {createClipRecorder} from "./clipRecorder.js";
+import {escapeHtml} from "./html.js";
+import {labelFor} from "./profiles.js";
+
+const modeEl = document.getElementById("clipMode");
+const statusEl = document.getElementById("clipStatus");
+const galleryEl = document.getElementById("clipGallery");
+const refreshBtn = document.getElementById("refreshClipsBtn");
+
+let activeRecorder = null;
+let uploadedCount = 0;
+
+function setStatus(text) {
+    statusEl.textContent = text;
+}
+
+async function uploadClip({blob, mimeType, startedAt, endedAt, events}) {
+    const params = new URLSearchParams({
+        kind: events.length > 0 ? "events" : "continuous",
+        recordedAt: new Date(startedAt).toISOString(),
+        durationMs: String(endedAt - startedAt),
+        events: events.map(event => `${event.type}:${event.color}`).join(",")
+    });
+
+    try {
+        await requestJson(`/api/clips?${params}`, {
+            method: "POST",
+            headers: {"Content-Type": mimeType},
+            body: blob
+        });
+        uploadedCount++;
+        setStatus(`${activeRecorder ? "Recording... " : "Stopped - "}${uploadedCount} clip(s) saved`);
+        await loadClips();
+    } catch (err) {
+        console.error("[Clips] Upload failed:", err);
+        setStatus(`Error uploading clip: ${err.message}`);
+    }
+}
+
+function describeClip(clip) {
+    if (clip.events.length === 0) return "Session recording";
+    return clip.events.map(event => `${event.type} · ${labelFor(event.color)}`).join(", ");
+}
+
+function renderClips(clips) {
+    if (clips.length === 0) {
+        galleryEl.innerHTML = '<div class="empty-hint">No clips yet</div>';
+        return;
+    }
+
+    galleryEl.innerHTML = clips.map(clip => {
+        const url = `/api/clips/${encodeURIComponent(clip.name)}`;
+        const duration = clip.durationMs ? ` · ${(clip.durationMs / 1000).toFixed(0)} s` : '';
+        return `
+      <div class="clip-card">
+        <video src="${url}" controls preload="metadata"></video>
+        <div><strong>${escapeHtml(describeClip(clip))}</strong></div>
+        <div class="profile-meta">${new Date(clip.recordedAt).toLocaleString()}${duration} · ${Math.ceil(clip.size / 1024)} KB</div>
+        <div class="panel-actions">
+          <a href="${url}?download=1" download="${escapeHtml(clip.name)}">Download</a>
+          <button type="button" data-action="delete" data-name="${escapeHtml(clip.name)}">Delete</button>
+        </div>
+      </div>
+    `;
+    }).join('');
+}
+
+async function loadClips() {
+    try {
+        const {clips} = await getJson("/api/clips");
+        renderClips(clips);
+    } catch (err) {
+        console.error("[Clips] Failed to list clips:", err);
+        galleryEl.innerHTML = '<div class="empty-hint">Failed to load clips</div>';
+    }
+}
+
+async function handleGalleryClick(e) {
+    const button = e.target.closest("button[data-action='delete']");
+    if (!button || !confirm(`Delete clip ${button.dataset.name}?`)) return;
+
+    try {
+        await deleteJson(`/api/clips/${encodeURIComponent(button.dataset.name)}`);
+        await loadClips();
+    } catch (err) {
+        console.error("[Clips] Delete failed:", err);
+        setStatus(`Error: ${err.message}`);
+    }
+}
+
+/**
+ * Start recording the processed stream in the selected mode (no-op when off)
+ */
+export function startClipRecording(stream) {
+    const mode = modeEl.value;
+    if (mode === "off" || activeRecorder) return;
+
+    try {
+        activeRecorder = createClipRecorder(stream, {mode, onClip: uploadClip});
+        uploadedCount = 0;
+        modeEl.disabled = true;
+        setStatus(mode === "events" ? "Recording... clips are kept around sips and refills" : "Recording whole session... clips are saved every 5 minutes");
+    } catch (err) {
+        console.error("[Clips] Recording failed to start:", err);
+        setStatus(`Error: ${err.message}`);
+    }
+}
+
+/**
+ * Stop recording before the stream goes away; the last clip is still uploaded
+ */
+export async function stopClipRecording() {
+    if (!activeRecorder) return;
+
+    const recorder = activeRecorder;
+    activeRecorder = null;
+    modeEl.disabled = false;
+    try {
+        await recorder.stop();
+        setStatus(`Stopped - ${uploadedCount} clip(s) saved`);
+    } catch (err) {
+        console.error("[Clips] Failed to stop recording:", err);
+    }
+}
+
+/**
+ * Keep the clip around a sip or refill event
+ */
+export function notifyClipEvent(event) {
+    activeRecorder?.markEvent(event.type, event.color);
+}
+
+/**
+ * Attach the panel's event handlers and load the gallery
+ */
+export function initClipsPanel() {
+    galleryEl.addEventListener("click", handleGalleryClick);
+    refreshBtn.addEventListener("click", loadClips);
+    loadClips();
+}
@@ -0,0 +1,111 @@
+/**
+ * Payload Diagnostics panel (below the Data Channel preview)
+ *
+ * Shows the data quality counters of payloadDiagnostics.js for the current
+ * session or replay, the problems of the latest offending message, and
+ * offers the offending payloads as a JSONL download that replays like a
+ * recording.
+ */
+
+import {createPayloadDiagnostics} from "./payloadDiagnostics.js";
+import {getProfile} from "./profiles.js";
+
+const diagnosticsEls = {
+    schema: document.getElementById("diagnosticsSchema"),
+    rate: document.getElementById("diagRate"),
+    malformed: document.getElementById("diagMalformed"),
+    mismatches: document.getElementById("diagMismatches"),
+    nan: document.getElementById("diagNan"),
+    unknown: document.getElementById("diagUnknown"),
+    unknownColors: document.getElementById("diagUnknownColors"),
+    issues: document.getElementById("diagnosticsIssues"),
+    downloadBtn: document.getElementById("downloadPayloadsBtn"),
+    resetBtn: document.getElementById("resetDiagnosticsBtn")
+};
+
+const RENDER_INTERVAL_MS = 1000;
+// Issue lines shown for the latest offending message
+const MAX_ISSUE_LINES = 8;
+
+// Unknown colors are the ones without a bottle profile
+const diagnostics = createPayloadDiagnostics({isKnownColor: color => !!getProfile(color)});
+
+function setCount(el, count) {
+    el.textContent = String(count);
+    el.classList.toggle("bad", count > 0);
+}
+
+function render() {
+    const stats = diagnostics.getStats();
+    diagnosticsEls.rate.textContent = stats.ratePerSecond.toFixed(1);
+    setCount(diagnosticsEls.malformed, stats.malformed);
+    setCount(diagnosticsEls.mismatches, stats.indexMismatches);
+    setCount(diagnosticsEls.nan, stats.nanPercentages);
+    setCount(diagnosticsEls.unknown, stats.unknownColors);
+    diagnosticsEls.unknownColors.textContent = stats.unknownColorCounts.length > 0
+        ? `Unknown colors (${stats.unknownColorCounts.map(([color, count]) => `${color} ×${count}`).join(", ")})`
+        : "Unknown colors";
+
+    const samples = diagnostics.getSamples();
+    const latest = samples[samples.length - 1];
+    if (latest) {
+        const lines = latest.issues.slice(0, MAX_ISSUE_LINES);
+        if (latest.issues.length > lines.length) lines.push(`... ${latest.issues.length - lines.length} more`);
+        diagnosticsEls.issues.textContent = `Latest at ${new Date(latest.t).toLocaleTimeString()}:\n${lines.join("\n")}`;
+    } else {
+        diagnosticsEls.issues.textContent = "";
+    }
+
+    diagnosticsEls.downloadBtn.disabled = samples.length === 0;
+    diagnosticsEls.downloadBtn.textContent = samples.length > 0
+        ? `Download Offending Payloads (${samples.length} of ${stats.offending})`
+        : "Download Offending Payloads";
+}
+
+function downloadPayloads() {
+    const blob = new Blob([diagnostics.toJsonl()], {type: "application/x-ndjson"});
+    const link = document.createElement("a");
+    link.href = URL.createObjectURL(blob);
+    link.download = `offending-payloads-${new Date().toISOString().replace(/[:.]/g, "-")}.jsonl`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
+
+/**
+ * Check one data channel message
+ *
+ * @param {Object} data - onData payload
+ * @param {number} t - Epoch milliseconds the message arrived (or was recorded)
+ */
+export function inspectPayload(data, t) {
+    diagnostics.inspect(data, t);
+}
+
+/**
+ * Use the output schema a workflow declares, or the built-in one
+ *
+ * @param {?Object} schema - See payloadSchema.js
+ * @param {string} [label] - Whose schema it is, for the panel
+ */
+export function setPayloadSchema(schema, label) {
+    diagnostics.setSchema(schema);
+    diagnosticsEls.schema.textContent = schema ? `Schema: ${label}` : "Schema: built-in";
+}
+
+/**
+ * Clear the counters and payloads, e.g. when a session starts
+ */
+export function resetDiagnostics() {
+    diagnostics.reset();
+    render();
+}
+
+export function initDiagnosticsPanel() {
+    diagnosticsEls.downloadBtn.addEventListener("click", downloadPayloads);
+    diagnosticsEls.resetBtn.addEventListener("click", resetDiagnostics);
+    diagnosticsEls.unknownColors.title = "Readings with a color that has no bottle profile";
+    setPayloadSchema(null);
+    render();
+    // Also lets the message rate fall back to zero when messages stop
+    setInterval(render, RENDER_INTERVAL_MS);
+}
@@ -0,0 +1,127 @@
+/**
+ * Level Estimation settings panel
+ *
+ * Picks the estimator that turns a bottle's recent readings into its level,
+ * with its window and thresholds, and keeps the choice in this browser's
+ * localStorage. Also shows the side-by-side estimator comparison for a
+ * recorded session.
+ */
+
+import {compareEstimators, renderComparison} from "./estimatorComparison.js";
+import {describeEstimator, ESTIMATORS, normalizeEstimator, WINDOW_LIMITS} from "./estimators.js";
+import {escapeHtml} from "./html.js";
+
+const estimationInputs = {
+    type: document.getElementById("estimatorType"),
+    window: document.getElementById("estimatorWindow"),
+    resetBtn: document.getElementById("resetEstimatorBtn")
+};
+const paramsEl = document.getElementById("estimatorParams");
+const statusEl = document.getElementById("estimatorStatus");
+
+const comparisonEl = document.getElementById("estimatorComparison");
+const comparisonTableEl = document.getElementById("comparisonTable");
+const comparisonSourceEl = document.getElementById("comparisonSource");
+const closeComparisonBtn = document.getElementById("closeComparisonBtn");
+
+const STORAGE_KEY = "levelEstimator";
+
+let current = normalizeEstimator();
+
+let panelOptions = {
+    onChange: () => {},
+    volumeAt: undefined
+};
+
+function setStatus(text) {
+    statusEl.textContent = text;
+}
+
+function loadStoredEstimator() {
+    try {
+        return normalizeEstimator(JSON.parse(localStorage.getItem(STORAGE_KEY)) || {});
+    } catch (err) {
+        console.warn("[Estimation] Ignoring stored settings:", err);
+        return normalizeEstimator();
+    }
+}
+
+function renderForm() {
+    estimationInputs.type.value = current.type;
+    estimationInputs.window.value = current.window;
+    paramsEl.innerHTML = Object.entries(ESTIMATORS[current.type].params).map(([name, param]) => `
+      <div class="config-field">
+        <label for="estimator-${name}">${escapeHtml(param.label)}</label>
+        <input type="number" id="estimator-${name}" data-param="${name}"
+               min="${param.min}" max="${param.max}" step="${param.step}" value="${current[name]}">
+      </div>
+    `).join('');
+}
+
+function apply(config) {
+    current = normalizeEstimator(config);
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(current));
+    renderForm();
+    setStatus(`Using ${describeEstimator(current)}`);
+    panelOptions.onChange(current);
+}
+
+function readForm() {
+    const config = {type: estimationInputs.type.value, window: estimationInputs.window.value};
+    // Params of another type don't carry over when the type changes
+    if (config.type === current.type) {
+        paramsEl.querySelectorAll("input[data-param]").forEach(input => {
+            config[input.dataset.param] = input.value;
+        });
+    }
+    return config;
+}
+
+/**
+ * Run a recording through every estimator and show the results side by side.
+ * All of them use the current window; the current estimator keeps its thresholds.
+ *
+ * @param {Array} entries - Parsed `{ t, data }` recording entries
+ * @param {string} name - Recording name for the heading
+ */
+export function showEstimatorComparison(entries, name) {
+    const configs = Object.keys(ESTIMATORS).map(type =>
+        type === current.type ? current : normalizeEstimator({type, window: current.window})
+    );
+    const comparison = compareEstimators(entries, configs, {volumeAt: panelOptions.volumeAt});
+    comparison.estimators = comparison.estimators.map((label, index) =>
+        configs[index] === current ? `${label} · current` : label
+    );
+
+    renderComparison(comparisonTableEl, comparison);
+    comparisonSourceEl.textContent = `${name} · ${entries.length} message(s)`;
+    comparisonEl.hidden = false;
+    comparisonEl.scrollIntoView({behavior: "smooth", block: "nearest"});
+}
+
+/**
+ * Attach the panel's event handlers and apply the stored estimator
+ *
+ * @param {Object} options
+ * @param {Function} options.onChange - Called with the normalized estimator config, also once on init
+ * @param {Function} [options.volumeAt] - (color, percent) => liters, for consumption in comparisons
+ */
+export function initEstimationPanel(options) {
+    panelOptions = {...panelOptions, ...options};
+
+    estimationInputs.type.innerHTML = Object.entries(ESTIMATORS)
+        .map(([type, {label}]) => `<option value="${type}">${escapeHtml(label)}</option>`)
+        .join('');
+    estimationInputs.window.min = WINDOW_LIMITS.min;
+    estimationInputs.window.max = WINDOW_LIMITS.max;
+
+    estimationInputs.type.addEventListener("change", () => apply(readForm()));
+    estimationInputs.window.addEventListener("change", () => apply(readForm()));
+    paramsEl.addEventListener("change", () => apply(readForm()));
+    estimationInputs.resetBtn.addEventListener("click", () => apply({}));
+    closeComparisonBtn.addEventListener("click", () => {
+        comparisonEl.hidden = true;
+    });
+
+    apply(loadStoredEstimator());
+}
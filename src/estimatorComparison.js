@@ -0,0 +1,119 @@
+/**
+ * Estimator comparison
+ *
+ * Runs a recorded session through one tracker per estimator config and
+ * puts the outcomes side by side: final level, sips, refills, consumption,
+ * ignored readings and how much the level moved from reading to reading.
+ */
+
+import {bottleLabel} from "./bottleTable.js";
+import {createBottleTracker} from "./bottleTracker.js";
+import {describeEstimator} from "./estimators.js";
+import {escapeHtml} from "./html.js";
+
+/**
+ * Replay `entries` through a fresh tracker per config
+ *
+ * @param {Array} entries - Parsed `{ t, data }` recording entries
+ * @param {Array<Object>} configs - Estimator configs to compare
+ * @param {Object} [options]
+ * @param {Function} [options.volumeAt] - (color, percent) => liters, as used by the live tracker
+ * @returns {{estimators: string[], bottles: Array<{id, color, ordinal}>, results: Array<Map>}} results[i]
+ *     maps a bottle id to { levelPercent, sipCount, refillCount, consumedPercent, consumedLiters, outliers,
+ *     jitterPercent }. Ids are handed out in order of appearance, so they match across estimators unless
+ *     re-identification went differently.
+ */
+export function compareEstimators(entries, configs, {volumeAt} = {}) {
+    const bottles = new Map();
+
+    const results = configs.map(config => {
+        const tracker = createBottleTracker({estimator: config, ...(volumeAt ? {volumeAt} : {})});
+        // bottle id -> { outliers, moved, steps, lastLevel }
+        const stats = new Map();
+
+        entries.forEach(({t, data}) => {
+            tracker.ingestPayload(data, t).forEach(reading => {
+                if (reading.fill_level_percent === null) return;
+                const bottle = tracker.getBottle(reading.bottle_id);
+                const stat = stats.get(bottle.id) || {outliers: 0, moved: 0, steps: 0, lastLevel: null};
+                stats.set(bottle.id, stat);
+
+                const {average, outlierIndexes} = bottle.estimate;
+                if (outlierIndexes.includes(bottle.percentHistory.length - 1)) stat.outliers++;
+                if (average !== null && stat.lastLevel !== null) {
+                    stat.moved += Math.abs(average - stat.lastLevel);
+                    stat.steps++;
+                }
+                stat.lastLevel = average;
+            });
+        });
+
+        const byId = new Map();
+        tracker.getBottles().forEach(bottle => {
+            if (!bottles.has(bottle.id)) bottles.set(bottle.id, {id: bottle.id, color: bottle.color, ordinal: bottle.ordinal});
+            const stat = stats.get(bottle.id) || {outliers: 0, moved: 0, steps: 0};
+            byId.set(bottle.id, {
+                levelPercent: bottle.estimate.average,
+                sipCount: bottle.sipCount,
+                refillCount: bottle.refillCount,
+                consumedPercent: bottle.consumedPercent,
+                consumedLiters: bottle.consumedLiters,
+                outliers: stat.outliers,
+                jitterPercent: stat.steps > 0 ? stat.moved / stat.steps : null
+            });
+        });
+        return byId;
+    });
+
+    return {
+        estimators: configs.map(describeEstimator),
+        bottles: [...bottles.values()].sort((a, b) => a.color.localeCompare(b.color) || a.ordinal - b.ordinal),
+        results
+    };
+}
+
+const METRICS = [
+    {label: "Final level", format: r => r.levelPercent !== null ? r.levelPercent.toFixed(1) + "%" : "unknown"},
+    {label: "Sips", format: r => String(r.sipCount)},
+    {label: "Refills", format: r => String(r.refillCount)},
+    {label: "Consumed", format: r => `${r.consumedPercent.toFixed(1)}% · ${r.consumedLiters.toFixed(3)} L`},
+    {label: "Ignored readings", format: r => String(r.outliers)},
+    {label: "Avg. change per reading", format: r => r.jitterPercent !== null ? r.jitterPercent.toFixed(2) + "%" : "unknown"}
+];
+
+/**
+ * Render a comparison into a table, one column per estimator
+ *
+ * @param {HTMLTableElement} tableEl
+ * @param {Object} comparison - From compareEstimators()
+ */
+export function renderComparison(tableEl, {estimators, bottles, results}) {
+    const head = `
+        <thead>
+          <tr>
+            <th>Bottle</th>
+            <th></th>
+            ${estimators.map(name => `<th>${escapeHtml(name)}</th>`).join('')}
+          </tr>
+        </thead>`;
+
+    if (bottles.length === 0) {
+        tableEl.innerHTML = `${head}
+        <tbody>
+          <tr>
+            <td colspan="${estimators.length + 2}" style="text-align: center; opacity: 0.5; padding: 20px;">
+              No bottle readings in this recording
+            </td>
+          </tr>
+        </tbody>`;
+        return;
+    }
+
+    const rows = bottles.flatMap(bottle => METRICS.map((metric, index) => `
+          <tr>
+            ${index === 0 ? `<td class="bottle-color" rowspan="${METRICS.length}">${escapeHtml(bottleLabel(bottle))}</td>` : ''}
+            <td>${metric.label}</td>
+            ${results.map(byId => `<td class="percentage">${byId.has(bottle.id) ? metric.format(byId.get(bottle.id)) : '-'}</td>`).join('')}
+          </tr>`));
+    tableEl.innerHTML = `${head}<tbody>${rows.join('')}</tbody>`;
+}
@@ -0,0 +1,192 @@
+/**
+ * Fill level estimators
+ *
+ * An estimator turns a bottle's window of recent readings (oldest first)
+ * into one fill level and reports which readings it ignored. The tracker
+ * derives levels, sips and refills through estimateLevel(), and the table
+ * and chart show what it returned, so switching the estimator changes all
+ * of them together. No DOM dependencies.
+ */
+
+// Parameters are described for the settings panel: bounds, step and default
+export const ESTIMATORS = {
+    filtered_mean: {
+        label: "Mean without outliers",
+        params: {
+            sigma: {label: "Outlier Threshold (σ)", min: 0.5, max: 5, step: 0.5, value: 2}
+        }
+    },
+    median: {
+        label: "Median",
+        params: {
+            madThreshold: {label: "Outlier Threshold (MAD)", min: 1, max: 10, step: 0.5, value: 3}
+        }
+    },
+    ema: {
+        label: "Exponential moving average",
+        params: {
+            alpha: {label: "Smoothing Factor", min: 0.05, max: 1, step: 0.05, value: 0.3},
+            jumpPercent: {label: "Ignore Jumps Over (%)", min: 1, max: 100, step: 1, value: 15}
+        }
+    },
+    kalman: {
+        label: "Kalman filter",
+        params: {
+            processNoise: {label: "Process Noise (%²)", min: 0.01, max: 100, step: 0.01, value: 0.5},
+            measurementNoise: {label: "Measurement Noise (%²)", min: 0.1, max: 1000, step: 0.1, value: 16},
+            gate: {label: "Outlier Gate (σ)", min: 1, max: 10, step: 0.5, value: 3}
+        }
+    },
+    trimmed_mean: {
+        label: "Trimmed mean",
+        params: {
+            trimFraction: {label: "Trimmed Per Side", min: 0, max: 0.45, step: 0.05, value: 0.2}
+        }
+    }
+};
+
+export const WINDOW_LIMITS = {min: 3, max: 100};
+
+// The window-wide mean with 2σ outlier rejection levels were always computed with
+export const DEFAULT_ESTIMATOR = {type: "filtered_mean", window: 10, sigma: 2};
+
+// Outliers are only rejected from windows at least this full
+const MIN_SAMPLES_FOR_REJECTION = 10;
+// Readings rarely agree closer than this; keeps a zero MAD from flagging everything
+const MIN_SPREAD_PERCENT = 0.5;
+
+function clamp(value, {min, max}) {
+    return Math.min(max, Math.max(min, value));
+}
+
+/**
+ * Fill in and bound an estimator config ({ type, window, ...params }).
+ * Unknown types fall back to DEFAULT_ESTIMATOR, missing params to their defaults.
+ */
+export function normalizeEstimator(config = {}) {
+    const type = Object.hasOwn(ESTIMATORS, config.type) ? config.type : DEFAULT_ESTIMATOR.type;
+    const window = Number(config.window);
+    const normalized = {
+        type,
+        window: Number.isFinite(window) ? Math.round(clamp(window, WINDOW_LIMITS)) : DEFAULT_ESTIMATOR.window
+    };
+
+    Object.entries(ESTIMATORS[type].params).forEach(([name, param]) => {
+        const value = Number(config[name]);
+        normalized[name] = Number.isFinite(value) ? clamp(value, param) : param.value;
+    });
+    return normalized;
+}
+
+/**
+ * Short description of a config for logs and table headers, e.g. "Median (window 10)"
+ */
+export function describeEstimator(config) {
+    const {type, window} = normalizeEstimator(config);
+    return `${ESTIMATORS[type].label} (window ${window})`;
+}
+
+function mean(values) {
+    return values.reduce((s, v) => s + v, 0) / values.length;
+}
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = sorted.length >> 1;
+    return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function result(history, average, outlierIndexes) {
+    const outliers = new Set(outlierIndexes);
+    const filteredHistory = history.filter((v, i) => !outliers.has(i));
+    return {average, filteredHistory, removedCount: outlierIndexes.length, outlierIndexes};
+}
+
+function filteredMean(history, {window, sigma}) {
+    if (history.length < Math.min(MIN_SAMPLES_FOR_REJECTION, window)) {
+        return result(history, mean(history), []);
+    }
+
+    const average = mean(history);
+    const threshold = sigma * Math.sqrt(history.reduce((s, v) => s + (v - average) ** 2, 0) / history.length);
+    const outlierIndexes = history.flatMap((v, i) => Math.abs(v - average) > threshold ? [i] : []);
+    const filtered = result(history, null, outlierIndexes);
+    if (filtered.filteredHistory.length > 0) filtered.average = mean(filtered.filteredHistory);
+    return filtered;
+}
+
+function medianLevel(history, {madThreshold}) {
+    const level = median(history);
+    // 1.4826 scales the median absolute deviation to a standard deviation
+    const spread = Math.max(MIN_SPREAD_PERCENT, 1.4826 * median(history.map(v => Math.abs(v - level))));
+    const outlierIndexes = history.flatMap((v, i) => Math.abs(v - level) > madThreshold * spread ? [i] : []);
+    return result(history, level, outlierIndexes);
+}
+
+/**
+ * The recursive filters start from the window's median, so a level change
+ * that fills most of the window is followed instead of rejected as a jump
+ */
+function emaLevel(history, {alpha, jumpPercent}) {
+    let level = median(history);
+    const outlierIndexes = [];
+    history.forEach((v, i) => {
+        if (Math.abs(v - level) > jumpPercent) {
+            outlierIndexes.push(i);
+            return;
+        }
+        level += alpha * (v - level);
+    });
+    return result(history, level, outlierIndexes);
+}
+
+function kalmanLevel(history, {processNoise, measurementNoise, gate}) {
+    let level = median(history);
+    let variance = measurementNoise;
+    const outlierIndexes = [];
+    history.forEach((v, i) => {
+        variance += processNoise;
+        const innovationVariance = variance + measurementNoise;
+        const innovation = v - level;
+        if (Math.abs(innovation) > gate * Math.sqrt(innovationVariance)) {
+            outlierIndexes.push(i);
+            return;
+        }
+        const gain = variance / innovationVariance;
+        level += gain * innovation;
+        variance *= 1 - gain;
+    });
+    return result(history, level, outlierIndexes);
+}
+
+function trimmedMean(history, {trimFraction}) {
+    const trim = Math.floor(history.length * trimFraction);
+    const order = history.map((v, i) => i).sort((a, b) => history[a] - history[b]);
+    const outlierIndexes = trim > 0 ? [...order.slice(0, trim), ...order.slice(-trim)].sort((a, b) => a - b) : [];
+    const kept = order.slice(trim, order.length - trim).map(i => history[i]);
+    return result(history, mean(kept), outlierIndexes);
+}
+
+const IMPLEMENTATIONS = {
+    filtered_mean: filteredMean,
+    median: medianLevel,
+    ema: emaLevel,
+    kalman: kalmanLevel,
+    trimmed_mean: trimmedMean
+};
+
+/**
+ * Estimate the fill level from a window of readings
+ *
+ * @param {number[]} history - Recent fill percentages, oldest first
+ * @param {Object} [config] - Estimator config, see normalizeEstimator()
+ * @returns {{average: ?number, filteredHistory: number[], removedCount: number, outlierIndexes: number[]}}
+ *     average is null for an empty window; outlierIndexes point into `history`
+ */
+export function estimateLevel(history, config = DEFAULT_ESTIMATOR) {
+    if (history.length === 0) {
+        return {average: null, filteredHistory: [], removedCount: 0, outlierIndexes: []};
+    }
+    const settings = normalizeEstimator(config);
+    return IMPLEMENTATIONS[settings.type](history, settings);
+}
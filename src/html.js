@@ -0,0 +1,8 @@
+/**
+ * Escape text before interpolating it into innerHTML templates
+ */
+export function escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, c => ({
+        "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;"
+    })[c]);
+}
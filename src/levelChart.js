@@ -0,0 +1,292 @@
+/**
+ * Fill level chart
+ *
+ * Plots the session's raw and filtered fill level per bottle on a canvas, with the readings dropped as outliers and the detected refills
+ * marked. The time axis zooms with the mouse wheel and pans by dragging;
+ * unzoomed, it follows the whole session as data comes in.
+ */
+
+import {bottleLabel} from "./bottleTable.js";
+
+const canvasEl = document.getElementById("levelChart");
+const legendEl = document.getElementById("chartLegend");
+const resetZoomBtn = document.getElementById("resetChartZoomBtn");
+
+const MARGIN = {top: 10, right: 12, bottom: 24, left: 40};
+const MIN_SPAN_MS = 5000;
+const ZOOM_STEP = 1.2;
+const FALLBACK_COLORS = ["#4f46e5", "#d97706", "#0891b2", "#be185d", "#65a30d", "#7c3aed"];
+
+let history = null;
+// Visible time range, null to show the whole session
+let view = null;
+const hiddenIds = new Set();
+let drawPending = false;
+let drag = null;
+
+/**
+ * Bottle colors are names like "blue"; anything that isn't a CSS color, and
+ * every further bottle of the same color, gets one from the fallback palette
+ */
+function strokeFor({color, ordinal}, index) {
+    return ordinal === 1 && CSS.supports("color", color) ? color : FALLBACK_COLORS[index % FALLBACK_COLORS.length];
+}
+
+function currentRange() {
+    if (view) return view;
+    const range = history.getTimeRange();
+    if (!range) return null;
+    // A single reading still needs some width
+    return range.end - range.start < MIN_SPAN_MS ? {start: range.start, end: range.start + MIN_SPAN_MS} : range;
+}
+
+function plotWidth() {
+    return canvasEl.clientWidth - MARGIN.left - MARGIN.right;
+}
+
+/**
+ * Index of the first point at or after `t` (points are in time order)
+ */
+function firstIndexFrom(points, t) {
+    let low = 0;
+    let high = points.length;
+    while (low < high) {
+        const mid = (low + high) >> 1;
+        if (points[mid].t < t) low = mid + 1;
+        else high = mid;
+    }
+    return low;
+}
+
+function drawAxes(ctx, range, width, height, textColor) {
+    ctx.strokeStyle = "rgba(128, 128, 128, 0.25)";
+    ctx.fillStyle = textColor;
+    ctx.font = "11px system-ui, sans-serif";
+    ctx.lineWidth = 1;
+
+    ctx.textAlign = "right";
+    ctx.textBaseline = "middle";
+    for (let percent = 0; percent <= 100; percent += 25) {
+        const y = MARGIN.top + height * (1 - percent / 100);
+        ctx.beginPath();
+        ctx.moveTo(MARGIN.left, y);
+        ctx.lineTo(MARGIN.left + width, y);
+        ctx.stroke();
+        ctx.fillText(`${percent}%`, MARGIN.left - 6, y);
+    }
+
+    ctx.textAlign = "center";
+    ctx.textBaseline = "top";
+    const ticks = Math.max(2, Math.floor(width / 110));
+    for (let i = 0; i <= ticks; i++) {
+        const t = range.start + (range.end - range.start) * i / ticks;
+        const x = MARGIN.left + width * i / ticks;
+        ctx.fillText(new Date(t).toLocaleTimeString(), x, MARGIN.top + height + 6);
+    }
+}
+
+function drawSeries(ctx, entry, stroke, range, width, height) {
+    const toX = t => MARGIN.left + (t - range.start) / (range.end - range.start) * width;
+    const toY = percent => MARGIN.top + height * (1 - Math.min(100, Math.max(0, percent)) / 100);
+
+    // Refills as dashed vertical lines
+    ctx.save();
+    ctx.strokeStyle = stroke;
+    ctx.setLineDash([4, 4]);
+    entry.refills.forEach(refill => {
+        if (refill.t < range.start || refill.t > range.end) return;
+        const x = toX(refill.t);
+        ctx.beginPath();
+        ctx.moveTo(x, MARGIN.top);
+        ctx.lineTo(x, MARGIN.top + height);
+        ctx.stroke();
+    });
+    ctx.restore();
+
+    // Raw readings as dots, thinned out when there are more than pixels
+    const start = firstIndexFrom(entry.raw, range.start);
+    const end = firstIndexFrom(entry.raw, range.end + 1);
+    const step = Math.max(1, Math.floor((end - start) / (width * 2)));
+    ctx.fillStyle = stroke;
+    ctx.globalAlpha = 0.35;
+    for (let i = start; i < end; i += step) {
+        const point = entry.raw[i];
+        if (point.outlier) continue;
+        ctx.fillRect(toX(point.t) - 1, toY(point.percent) - 1, 2, 2);
+    }
+    ctx.globalAlpha = 1;
+
+    // Outliers as crosses, never thinned out
+    ctx.strokeStyle = stroke;
+    ctx.lineWidth = 1.5;
+    for (let i = start; i < end; i++) {
+        const point = entry.raw[i];
+        if (!point.outlier) continue;
+        const x = toX(point.t);
+        const y = toY(point.percent);
+        ctx.beginPath();
+        ctx.moveTo(x - 3, y - 3);
+        ctx.lineTo(x + 3, y + 3);
+        ctx.moveTo(x + 3, y - 3);
+        ctx.lineTo(x - 3, y + 3);
+        ctx.stroke();
+    }
+
+    // Filtered level as a line, including one point either side of the view
+    const filteredStart = Math.max(0, firstIndexFrom(entry.filtered, range.start) - 1);
+    const filteredEnd = Math.min(entry.filtered.length, firstIndexFrom(entry.filtered, range.end + 1) + 1);
+    const filteredStep = Math.max(1, Math.floor((filteredEnd - filteredStart) / (width * 2)));
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    for (let i = filteredStart; i < filteredEnd; i += filteredStep) {
+        const point = entry.filtered[i];
+        if (i === filteredStart) ctx.moveTo(toX(point.t), toY(point.percent));
+        else ctx.lineTo(toX(point.t), toY(point.percent));
+    }
+    ctx.stroke();
+}
+
+function draw() {
+    drawPending = false;
+
+    const dpr = window.devicePixelRatio || 1;
+    const cssWidth = canvasEl.clientWidth;
+    const cssHeight = canvasEl.clientHeight;
+    canvasEl.width = Math.round(cssWidth * dpr);
+    canvasEl.height = Math.round(cssHeight * dpr);
+
+    const ctx = canvasEl.getContext("2d");
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    ctx.clearRect(0, 0, cssWidth, cssHeight);
+
+    const textColor = getComputedStyle(canvasEl).color;
+    const range = currentRange();
+    const width = plotWidth();
+    const height = cssHeight - MARGIN.top - MARGIN.bottom;
+    if (!range || width <= 0) {
+        ctx.fillStyle = textColor;
+        ctx.globalAlpha = 0.5;
+        ctx.textAlign = "center";
+        ctx.fillText("Waiting for data...", cssWidth / 2, cssHeight / 2);
+        ctx.globalAlpha = 1;
+        return;
+    }
+
+    drawAxes(ctx, range, width, height, textColor);
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(MARGIN.left, MARGIN.top, width, height);
+    ctx.clip();
+    history.getIds().forEach((id, index) => {
+        if (hiddenIds.has(id)) return;
+        const entry = history.getSeries(id);
+        drawSeries(ctx, entry, strokeFor(entry, index), range, width, height);
+    });
+    ctx.restore();
+}
+
+function scheduleDraw() {
+    if (drawPending) return;
+    drawPending = true;
+    requestAnimationFrame(draw);
+}
+
+function renderLegend() {
+    const ids = history.getIds();
+    const shown = legendEl.dataset.bottles || "";
+    if (shown === ids.join(",")) return;
+
+    legendEl.dataset.bottles = ids.join(",");
+    legendEl.replaceChildren(...ids.map((id, index) => {
+        const entry = history.getSeries(id);
+        const label = document.createElement("label");
+        const checkbox = document.createElement("input");
+        checkbox.type = "checkbox";
+        checkbox.checked = !hiddenIds.has(id);
+        checkbox.addEventListener("change", () => {
+            if (checkbox.checked) hiddenIds.delete(id);
+            else hiddenIds.add(id);
+            scheduleDraw();
+        });
+        const swatch = document.createElement("span");
+        swatch.className = "chart-swatch";
+        swatch.style.background = strokeFor(entry, index);
+        label.append(checkbox, swatch, bottleLabel(entry));
+        return label;
+    }));
+}
+
+/**
+ * Zoom the time axis by `factor` (< 1 zooms in) around time `anchor`
+ */
+function zoom(factor, anchor) {
+    const range = currentRange();
+    const full = history.getTimeRange();
+    if (!range || !full) return;
+
+    const span = Math.max(MIN_SPAN_MS, (range.end - range.start) * factor);
+    if (span >= full.end - full.start) {
+        view = null;
+    } else {
+        const ratio = (anchor - range.start) / (range.end - range.start);
+        const start = anchor - span * ratio;
+        view = {start, end: start + span};
+    }
+    scheduleDraw();
+}
+
+function handleWheel(e) {
+    const range = currentRange();
+    if (!range) return;
+    e.preventDefault();
+
+    const x = e.offsetX - MARGIN.left;
+    const anchor = range.start + (range.end - range.start) * Math.min(1, Math.max(0, x / plotWidth()));
+    zoom(e.deltaY < 0 ? 1 / ZOOM_STEP : ZOOM_STEP, anchor);
+}
+
+function handlePointerDown(e) {
+    const range = currentRange();
+    if (!range) return;
+    drag = {x: e.clientX, range};
+    canvasEl.setPointerCapture(e.pointerId);
+}
+
+function handlePointerMove(e) {
+    if (!drag) return;
+    const shift = (drag.x - e.clientX) / plotWidth() * (drag.range.end - drag.range.start);
+    view = {start: drag.range.start + shift, end: drag.range.end + shift};
+    scheduleDraw();
+}
+
+function handlePointerUp() {
+    drag = null;
+}
+
+function resetZoom() {
+    view = null;
+    scheduleDraw();
+}
+
+/**
+ * Draw `levelHistory` and redraw whenever it changes
+ *
+ * @param {Object} levelHistory - From createLevelHistory()
+ */
+export function initLevelChart(levelHistory) {
+    history = levelHistory;
+    history.onChange(() => {
+        renderLegend();
+        scheduleDraw();
+    });
+
+    canvasEl.addEventListener("wheel", handleWheel, {passive: false});
+    canvasEl.addEventListener("pointerdown", handlePointerDown);
+    canvasEl.addEventListener("pointermove", handlePointerMove);
+    canvasEl.addEventListener("pointerup", handlePointerUp);
+    canvasEl.addEventListener("pointercancel", handlePointerUp);
+    canvasEl.addEventListener("dblclick", resetZoom);
+    resetZoomBtn.addEventListener("click", resetZoom);
+    new ResizeObserver(scheduleDraw).observe(canvasEl);
+    scheduleDraw();
+}
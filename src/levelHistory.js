@@ -0,0 +1,146 @@
+/**
+ * Fill level history per bottle
+ *
+ * Keeps every raw reading of the session next to the level the tracker's
+ * estimator made of it, flags readings the estimator ignored as outliers,
+ * and records refills, for the fill level chart. Series are kept per
+ * tracker bottle id and follow its merges and splits. No DOM dependencies.
+ */
+
+// About an hour of readings at 5 messages per second, per bottle
+export const MAX_POINTS_PER_BOTTLE = 20000;
+
+function toTime(timestamp) {
+    return typeof timestamp === "number" ? timestamp : Date.parse(timestamp);
+}
+
+/**
+ * @returns {{addReading, addRefill, merge, split, getSeries, getIds, getTimeRange, reset, onChange}}
+ */
+export function createLevelHistory({maxPoints = MAX_POINTS_PER_BOTTLE} = {}) {
+    // bottle id -> { color, ordinal, raw: [{t, percent, outlier}], filtered: [{t, percent}],
+    //     refills: [{t, fromPercent, toPercent}] }
+    const series = new Map();
+    const listeners = new Set();
+
+    function seriesFor({id, color, ordinal}) {
+        if (!series.has(id)) series.set(id, {color, ordinal, raw: [], filtered: [], refills: []});
+        return series.get(id);
+    }
+
+    function push(list, point) {
+        list.push(point);
+        if (list.length > maxPoints) list.shift();
+    }
+
+    function changed() {
+        listeners.forEach(listener => listener());
+    }
+
+    return {
+        /**
+         * Record a reading after the tracker applied it
+         *
+         * @param {Object} reading - { color, fill_level_percent, timestamp }
+         * @param {Object} bottle - The tracker's bottle, with its percentHistory and estimate including this reading
+         */
+        addReading(reading, bottle) {
+            if (reading.fill_level_percent === null) return;
+
+            const t = toTime(reading.timestamp);
+            const {average, outlierIndexes} = bottle.estimate;
+            const entry = seriesFor(bottle);
+            // The reading is the newest value of its window
+            const outlier = outlierIndexes.includes(bottle.percentHistory.length - 1);
+            push(entry.raw, {t, percent: reading.fill_level_percent, outlier});
+            if (average !== null) push(entry.filtered, {t, percent: average});
+            changed();
+        },
+
+        /**
+         * Record a tracker `refill` event
+         */
+        addRefill({bottleId, timestamp, fromPercent, toPercent}) {
+            const entry = series.get(bottleId);
+            if (!entry) return;
+            push(entry.refills, {t: toTime(timestamp), fromPercent, toPercent});
+            changed();
+        },
+
+        /**
+         * Follow a tracker `bottle-merged` event: the merged series joins the bottle's
+         */
+        merge({bottleId, mergedId}) {
+            const source = series.get(mergedId);
+            if (!source) return;
+            const target = series.get(bottleId);
+            if (target) {
+                const byTime = (a, b) => a.t - b.t;
+                ["raw", "filtered", "refills"].forEach(list => {
+                    target[list] = [...target[list], ...source[list]].sort(byTime).slice(-maxPoints);
+                });
+            } else {
+                series.set(bottleId, source);
+            }
+            series.delete(mergedId);
+            changed();
+        },
+
+        /**
+         * Follow a tracker `bottle-split` event: points from the split time on
+         * move to the new bottle
+         *
+         * @param {Object} event - { bottleId, splitId, timestamp }
+         * @param {Object} part - The new bottle, for its color and number
+         */
+        split({bottleId, splitId, timestamp}, part) {
+            const source = series.get(bottleId);
+            if (!source) return;
+            const since = toTime(timestamp);
+            const target = seriesFor(part);
+            ["raw", "filtered", "refills"].forEach(list => {
+                target[list] = source[list].filter(point => point.t >= since);
+                source[list] = source[list].filter(point => point.t < since);
+            });
+            changed();
+        },
+
+        getSeries: bottleId => series.get(bottleId) || null,
+
+        /**
+         * Bottle ids with data, sorted by color and number
+         */
+        getIds: () => [...series.keys()].sort((a, b) => {
+            const first = series.get(a);
+            const second = series.get(b);
+            return first.color.localeCompare(second.color) || first.ordinal - second.ordinal;
+        }),
+
+        /**
+         * First and last timestamp over all bottles, or null without data
+         */
+        getTimeRange() {
+            let start = Infinity;
+            let end = -Infinity;
+            series.forEach(({raw}) => {
+                if (raw.length === 0) return;
+                start = Math.min(start, raw[0].t);
+                end = Math.max(end, raw[raw.length - 1].t);
+            });
+            return start <= end ? {start, end} : null;
+        },
+
+        reset() {
+            series.clear();
+            changed();
+        },
+
+        /**
+         * Call `listener` whenever data is added or cleared
+         */
+        onChange(listener) {
+            listeners.add(listener);
+            return () => listeners.delete(listener);
+        }
+    };
+}
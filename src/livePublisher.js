@@ -0,0 +1,64 @@
+/**
+ * Live feed publishing
+ *
+ * While a session runs, the bottle table and levels text are pushed to
+ * POST /api/live for viewer pages, at most once per PUBLISH_INTERVAL_MS;
+ * in between only the latest state is kept. Alerts the server fires for a
+ * table are announced with an "alerts-triggered" event on window.
+ */
+
+import {postJson} from "./api.js";
+
+const PUBLISH_INTERVAL_MS = 1000;
+// Keeps this page's live table and alert conditions apart from other pages'
+const PUBLISHER_ID = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+
+let pendingState = null;
+let lastState = null;
+let lastPublishedAt = 0;
+let publishTimer = null;
+
+async function send(state, active) {
+    try {
+        const {alerts} = await postJson("/api/live", {...state, active, publisherId: PUBLISHER_ID});
+        if (alerts?.length > 0) {
+            window.dispatchEvent(new CustomEvent("alerts-triggered", {detail: alerts}));
+        }
+    } catch (err) {
+        console.warn("[Live] Failed to publish state:", err.message);
+    }
+}
+
+async function flush() {
+    publishTimer = null;
+    const state = pendingState;
+    pendingState = null;
+    if (!state) return;
+
+    lastPublishedAt = Date.now();
+    await send(state, true);
+}
+
+/**
+ * Queue a state ({levels, bottles} with rows from toBottleRows()) for viewers
+ */
+export function publishLiveState(state) {
+    pendingState = state;
+    lastState = state;
+    if (publishTimer) return;
+    publishTimer = setTimeout(flush, Math.max(0, lastPublishedAt + PUBLISH_INTERVAL_MS - Date.now()));
+}
+
+/**
+ * Tell viewers the session stopped, keeping its final table on their screens
+ */
+export async function endLivePublishing() {
+    clearTimeout(publishTimer);
+    publishTimer = null;
+    pendingState = null;
+    if (!lastState) return;
+
+    const state = lastState;
+    lastState = null;
+    await send(state, false);
+}
@@ -0,0 +1,112 @@
+/**
+ * Offline storage in IndexedDB
+ *
+ * Keeps what the page must not lose when the server is out of reach:
+ * readings not yet pushed to POST /api/readings, and a snapshot of the
+ * bottle state to show after a reload. Every function rejects when
+ * IndexedDB is unavailable (e.g. some private windows); callers fall back
+ * to memory.
+ */
+
+const DB_NAME = "bottle-dashboard";
+const DB_VERSION = 1;
+const PENDING_STORE = "pendingReadings";
+const STATE_STORE = "state";
+
+let dbPromise = null;
+
+function promisify(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function openDb() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            if (typeof indexedDB === "undefined") {
+                reject(new Error("IndexedDB is not available"));
+                return;
+            }
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(PENDING_STORE)) {
+                    db.createObjectStore(PENDING_STORE, {autoIncrement: true});
+                }
+                if (!db.objectStoreNames.contains(STATE_STORE)) {
+                    db.createObjectStore(STATE_STORE);
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        // Let a later call try again
+        dbPromise.catch(() => {
+            dbPromise = null;
+        });
+    }
+    return dbPromise;
+}
+
+/**
+ * Run `work(store)` in a transaction and resolve with its result once the
+ * transaction committed
+ */
+async function withStore(name, mode, work) {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(name, mode);
+        let result;
+        Promise.resolve(work(tx.objectStore(name))).then(value => {
+            result = value;
+        }, reject);
+        tx.oncomplete = () => resolve(result);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+}
+
+/**
+ * Store readings waiting for the server
+ *
+ * @param {Array} readings
+ * @returns {Promise<number[]>} Their keys, for deletePendingReadings()
+ */
+export function addPendingReadings(readings) {
+    return withStore(PENDING_STORE, "readwrite", store =>
+        Promise.all(readings.map(reading => promisify(store.add(reading))))
+    );
+}
+
+/**
+ * Readings still waiting for the server, oldest first
+ *
+ * @returns {Promise<Array<{key: number, reading: Object}>>}
+ */
+export function loadPendingReadings() {
+    return withStore(PENDING_STORE, "readonly", async store => {
+        const [keys, readings] = await Promise.all([promisify(store.getAllKeys()), promisify(store.getAll())]);
+        return keys.map((key, i) => ({key, reading: readings[i]}));
+    });
+}
+
+export function deletePendingReadings(keys) {
+    return withStore(PENDING_STORE, "readwrite", store => {
+        keys.forEach(key => store.delete(key));
+    });
+}
+
+export function saveState(name, value) {
+    return withStore(STATE_STORE, "readwrite", store => {
+        store.put(value, name);
+    });
+}
+
+/**
+ * @returns {Promise<*>} The saved value, undefined if there is none
+ */
+export function loadState(name) {
+    return withStore(STATE_STORE, "readonly", store => promisify(store.get(name)));
+}
@@ -0,0 +1,93 @@
+/**
+ * Display settings (in the Stream Settings panel)
+ *
+ * Chooses between the annotated video stream from the pipeline and the
+ * local video with a client-side overlay, and how the overlay looks. The
+ * choice is kept in this browser's localStorage and applies from the next
+ * session on; style changes apply right away.
+ */
+
+import {DEFAULT_OVERLAY_STYLE} from "./predictionOverlay.js";
+
+const overlayInputs = {
+    mode: document.getElementById("displayMode"),
+    lineWidth: document.getElementById("overlayLineWidth"),
+    fontSize: document.getElementById("overlayFontSize"),
+    showTrackerId: document.getElementById("overlayShowTrackerId"),
+    showLabel: document.getElementById("overlayShowLabel"),
+    showLevel: document.getElementById("overlayShowLevel"),
+    useBottleColors: document.getElementById("overlayUseBottleColors"),
+    boxColor: document.getElementById("overlayBoxColor")
+};
+const styleFieldsEl = document.getElementById("overlayStyleFields");
+
+const STORAGE_KEY = "overlaySettings";
+
+let panelOptions = {
+    onStyleChange: () => {}
+};
+
+function loadStoredSettings() {
+    try {
+        return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+    } catch (err) {
+        console.warn("[Overlay] Ignoring stored settings:", err);
+        return {};
+    }
+}
+
+function clampNumber(value, min, max, fallback) {
+    const number = parseFloat(value);
+    return Number.isFinite(number) ? Math.min(max, Math.max(min, number)) : fallback;
+}
+
+/**
+ * Overlay style from the form, see DEFAULT_OVERLAY_STYLE
+ */
+export function getOverlayStyle() {
+    return {
+        lineWidth: clampNumber(overlayInputs.lineWidth.value, 1, 10, DEFAULT_OVERLAY_STYLE.lineWidth),
+        fontSize: clampNumber(overlayInputs.fontSize.value, 8, 40, DEFAULT_OVERLAY_STYLE.fontSize),
+        showTrackerId: overlayInputs.showTrackerId.checked,
+        showLabel: overlayInputs.showLabel.checked,
+        showLevel: overlayInputs.showLevel.checked,
+        useBottleColors: overlayInputs.useBottleColors.checked,
+        boxColor: overlayInputs.boxColor.value || DEFAULT_OVERLAY_STYLE.boxColor
+    };
+}
+
+/**
+ * Whether sessions should request data outputs only and draw the overlay
+ */
+export function isOverlayMode() {
+    return overlayInputs.mode.value === "overlay";
+}
+
+function save() {
+    styleFieldsEl.hidden = !isOverlayMode();
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({mode: overlayInputs.mode.value, ...getOverlayStyle()}));
+    panelOptions.onStyleChange(getOverlayStyle());
+}
+
+/**
+ * Restore the stored settings and attach the form's handlers
+ *
+ * @param {Object} options
+ * @param {Function} options.onStyleChange - Called with the overlay style, also once on init
+ */
+export function initOverlayPanel(options) {
+    panelOptions = {...panelOptions, ...options};
+
+    const stored = {...DEFAULT_OVERLAY_STYLE, mode: "annotated", ...loadStoredSettings()};
+    overlayInputs.mode.value = stored.mode === "overlay" ? "overlay" : "annotated";
+    overlayInputs.lineWidth.value = stored.lineWidth;
+    overlayInputs.fontSize.value = stored.fontSize;
+    overlayInputs.showTrackerId.checked = !!stored.showTrackerId;
+    overlayInputs.showLabel.checked = !!stored.showLabel;
+    overlayInputs.showLevel.checked = !!stored.showLevel;
+    overlayInputs.useBottleColors.checked = !!stored.useBottleColors;
+    overlayInputs.boxColor.value = stored.boxColor;
+
+    Object.values(overlayInputs).forEach(input => input.addEventListener("change", save));
+    save();
+}
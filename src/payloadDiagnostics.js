@@ -0,0 +1,132 @@
+/**
+ * Payload diagnostics
+ *
+ * Checks data channel messages for what the bottle readings otherwise work
+ * around quietly: payloads that don't match the workflow's output schema,
+ * predictions and scores of different lengths (so scores may be paired
+ * with the wrong tracker id), colors without a bottle profile and fill levels that
+ * aren't numbers. Keeps counters, the message rate and the latest offending
+ * payloads. It has no DOM dependencies.
+ */
+
+import {readScore} from "./bottleTracker.js";
+import {DEFAULT_OUTPUT_SCHEMA, validatePayload} from "./payloadSchema.js";
+
+// The message rate is averaged over this long
+const RATE_WINDOW_MS = 10000;
+const MAX_SAMPLES = 100;
+
+// Index of the `percentage` item a schema error is about, or null
+function scoreIndexOf(path) {
+    const match = /^serialized_output_data\.percentage\[(\d+)\]/.exec(path);
+    return match ? Number(match[1]) : null;
+}
+
+/**
+ * Create a diagnostics collector
+ *
+ * @param {Object} [options]
+ * @param {Object} [options.schema] - Output schema, see payloadSchema.js
+ * @param {Function} [options.isKnownColor] - color => boolean
+ */
+export function createPayloadDiagnostics({schema = DEFAULT_OUTPUT_SCHEMA, isKnownColor = () => true} = {}) {
+    let counts;
+    // color -> readings seen with it
+    let unknownColors;
+    let arrivals;
+    // Latest offending messages: [{ t, issues, data }]
+    let samples;
+
+    function reset() {
+        counts = {messages: 0, malformed: 0, indexMismatches: 0, nanPercentages: 0, unknownColors: 0, offending: 0};
+        unknownColors = new Map();
+        arrivals = [];
+        samples = [];
+    }
+
+    function dropOldArrivals(now) {
+        while (arrivals.length > 0 && arrivals[0] <= now - RATE_WINDOW_MS) arrivals.shift();
+    }
+
+    /**
+     * Check one message
+     *
+     * @param {Object} data - onData payload
+     * @param {number} t - Epoch milliseconds the message arrived
+     * @returns {string[]} What is wrong with it; unknown colors alone don't count
+     */
+    function inspect(data, t) {
+        counts.messages++;
+        arrivals.push(t);
+        dropOldArrivals(t);
+
+        const issues = [];
+        const output = data?.serialized_output_data;
+        const predictions = output?.predictions?.predictions;
+        const scores = output?.percentage;
+
+        // Items whose level isn't a number (NaN isn't even JSON) are counted
+        // as such, not again as schema errors
+        const nanScores = new Set();
+        const levelIssues = [];
+        (Array.isArray(scores) ? scores : []).forEach((item, index) => {
+            const score = readScore(item);
+            if (!score) return;
+            if (score.fill_level_percent === null) {
+                nanScores.add(index);
+                counts.nanPercentages++;
+                levelIssues.push(`${score.color}: fill level is not a number`);
+            }
+            if (!isKnownColor(score.color)) {
+                counts.unknownColors++;
+                unknownColors.set(score.color, (unknownColors.get(score.color) || 0) + 1);
+            }
+        });
+
+        const schemaErrors = validatePayload(output, schema).filter(error => !nanScores.has(scoreIndexOf(error.path)));
+        if (schemaErrors.length > 0) {
+            counts.malformed++;
+            issues.push(...schemaErrors.map(error => `${error.path}: ${error.message}`));
+        }
+
+        if (Array.isArray(predictions) && Array.isArray(scores) && predictions.length !== scores.length) {
+            counts.indexMismatches++;
+            issues.push(`${predictions.length} prediction(s) but ${scores.length} score(s), paired by index`);
+        }
+        issues.push(...levelIssues);
+
+        if (issues.length > 0) {
+            counts.offending++;
+            samples.push({t, issues, data});
+            if (samples.length > MAX_SAMPLES) samples.shift();
+        }
+        return issues;
+    }
+
+    reset();
+
+    return {
+        inspect,
+        reset,
+        setSchema(newSchema) {
+            schema = newSchema || DEFAULT_OUTPUT_SCHEMA;
+        },
+        /**
+         * Counters, unknown colors as [[color, count]] (most frequent first) and
+         * messages per second over the last RATE_WINDOW_MS
+         */
+        getStats(now = Date.now()) {
+            dropOldArrivals(now);
+            return {
+                ...counts,
+                unknownColorCounts: [...unknownColors].sort((a, b) => b[1] - a[1]),
+                ratePerSecond: arrivals.length / (RATE_WINDOW_MS / 1000)
+            };
+        },
+        getSamples: () => samples.slice(),
+        /**
+         * Offending messages as JSONL, replayable like a recording
+         */
+        toJsonl: () => samples.map(sample => JSON.stringify(sample)).join("\n") + (samples.length > 0 ? "\n" : "")
+    };
+}
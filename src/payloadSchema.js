@@ -0,0 +1,161 @@
+/**
+ * Data channel payload schema
+ *
+ * Workflows declare the shape of their `serialized_output_data` in the
+ * catalog (`outputSchema`, see config/workflows.json); workflows without
+ * one, and custom specs, are checked against DEFAULT_OUTPUT_SCHEMA, the
+ * shape the bottle readings are extracted from.
+ *
+ * Schemas use a small subset of JSON Schema: `type` (a name or a list of
+ * names), `properties`, `required`, `items`, `enum`, `minimum`, `maximum`,
+ * `anyOf`, and `contentMediaType: "application/json"` with `contentSchema`
+ * for strings holding JSON. Other keywords are ignored.
+ */
+
+// One bottle reading of the `percentage` output
+const READING_SCHEMA = {
+    type: "object",
+    required: ["bottle_color", "fill_level_percent"],
+    properties: {
+        bottle_color: {type: "string"},
+        fill_level_percent: {type: ["number", "string", "null"]}
+    }
+};
+
+export const DEFAULT_OUTPUT_SCHEMA = {
+    type: "object",
+    required: ["percentage"],
+    properties: {
+        predictions: {
+            type: "object",
+            required: ["predictions"],
+            properties: {
+                image: {
+                    type: "object",
+                    properties: {width: {type: "number"}, height: {type: "number"}}
+                },
+                predictions: {
+                    type: "array",
+                    items: {
+                        type: "object",
+                        required: ["x", "y", "width", "height"],
+                        properties: {
+                            x: {type: "number"},
+                            y: {type: "number"},
+                            width: {type: "number", minimum: 0},
+                            height: {type: "number", minimum: 0},
+                            class: {type: "string"},
+                            tracker_id: {type: ["integer", "string", "null"]}
+                        }
+                    }
+                }
+            }
+        },
+        percentage: {
+            type: "array",
+            items: {
+                anyOf: [
+                    {type: "string", contentMediaType: "application/json", contentSchema: READING_SCHEMA},
+                    READING_SCHEMA
+                ]
+            }
+        }
+    }
+};
+
+// Keeps a payload with thousands of broken items from flooding the panel
+const MAX_ERRORS = 20;
+
+function typeOf(value) {
+    if (value === null) return "null";
+    if (Array.isArray(value)) return "array";
+    if (typeof value === "number") return Number.isInteger(value) ? "integer" : "number";
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    return actual === type || (type === "number" && actual === "integer");
+}
+
+function check(value, schema, path, errors) {
+    if (errors.length >= MAX_ERRORS || !schema || typeof schema !== "object") return;
+
+    if (schema.anyOf) {
+        const results = schema.anyOf.map(branch => {
+            const branchErrors = [];
+            check(value, branch, path, branchErrors);
+            return branchErrors;
+        });
+        if (results.every(branchErrors => branchErrors.length > 0)) {
+            // Report why the value doesn't fit the branch of its type
+            const typed = schema.anyOf.findIndex(branch =>
+                branch.type === undefined || [].concat(branch.type).some(type => matchesType(value, type))
+            );
+            if (typed === -1) {
+                const types = schema.anyOf.flatMap(branch => [].concat(branch.type));
+                errors.push({path, message: `expected ${types.join(" or ")}, got ${typeOf(value)}`});
+            } else {
+                errors.push(...results[typed].slice(0, MAX_ERRORS - errors.length));
+            }
+        }
+    }
+
+    if (schema.type !== undefined) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(type => matchesType(value, type))) {
+            errors.push({path, message: `expected ${types.join(" or ")}, got ${typeOf(value)}`});
+            return;
+        }
+    }
+
+    if (schema.enum && !schema.enum.some(option => option === value)) {
+        errors.push({path, message: `${JSON.stringify(value)} is not one of ${schema.enum.map(option => JSON.stringify(option)).join(", ")}`});
+    }
+    if (typeof value === "number") {
+        if (Number.isFinite(schema.minimum) && value < schema.minimum) {
+            errors.push({path, message: `${value} is below ${schema.minimum}`});
+        }
+        if (Number.isFinite(schema.maximum) && value > schema.maximum) {
+            errors.push({path, message: `${value} is above ${schema.maximum}`});
+        }
+    }
+
+    if (typeof value === "string" && schema.contentMediaType === "application/json") {
+        let parsed;
+        try {
+            parsed = JSON.parse(value);
+        } catch (err) {
+            errors.push({path, message: `invalid JSON: ${err.message}`});
+            return;
+        }
+        check(parsed, schema.contentSchema, path, errors);
+    }
+
+    if (typeOf(value) === "object") {
+        (schema.required || []).forEach(name => {
+            if (!(name in value)) errors.push({path, message: `missing ${name}`});
+        });
+        Object.entries(schema.properties || {}).forEach(([name, propertySchema]) => {
+            if (name in value) check(value[name], propertySchema, `${path}.${name}`, errors);
+        });
+    }
+
+    if (Array.isArray(value) && schema.items) {
+        value.forEach((item, index) => check(item, schema.items, `${path}[${index}]`, errors));
+    }
+}
+
+/**
+ * Check a value against a schema
+ *
+ * @param {*} value - Usually a payload's `serialized_output_data`
+ * @param {Object} schema
+ * @param {string} [path] - Name of the value in error paths
+ * @returns {Array<{path: string, message: string}>} Empty when the value matches
+ */
+export function validatePayload(value, schema, path = "serialized_output_data") {
+    const errors = [];
+    check(value, schema, path, errors);
+    return errors.slice(0, MAX_ERRORS);
+}
@@ -0,0 +1,190 @@
+/**
+ * Prediction overlay
+ *
+ * In overlay mode the pipeline only sends data, and the page shows the
+ * local video with the detections drawn on a canvas above it: bounding
+ * boxes, tracker ids, bottle names and the estimated fill level. Box
+ * coordinates are in the pixels of the frame the workflow saw, so they are
+ * scaled to wherever the video is drawn, whatever its resolution.
+ */
+
+import {bottleLabel} from "./bottleTable.js";
+
+const canvasEl = document.getElementById("overlayCanvas");
+const videoEl = document.getElementById("video");
+
+export const DEFAULT_OVERLAY_STYLE = {
+    lineWidth: 3,
+    fontSize: 14,
+    showTrackerId: true,
+    showLabel: true,
+    showLevel: true,
+    useBottleColors: true,
+    boxColor: "#22c55e"
+};
+
+// Boxes older than this no longer match the picture, e.g. after the data stopped
+const STALE_AFTER_MS = 1000;
+
+let style = {...DEFAULT_OVERLAY_STYLE};
+let frame = null; // { boxes, image, receivedAt }
+let staleTimer = null;
+let drawPending = false;
+
+/**
+ * Turn a data channel message into boxes to draw
+ *
+ * @param {Object} data - onData payload
+ * @param {Array} readings - From tracker.ingestPayload() for the same payload
+ * @param {Function} getBottle - Bottle id => tracker bottle
+ * @returns {{boxes: Array, image: ?{width, height}}}
+ */
+export function toOverlayFrame(data, readings, getBottle) {
+    const output = data?.serialized_output_data?.predictions;
+    const predictions = output?.predictions || [];
+
+    const boxes = predictions
+        .filter(pred => [pred?.x, pred?.y, pred?.width, pred?.height].every(Number.isFinite))
+        .map(pred => {
+            const trackerId = pred.tracker_id ?? null;
+            const reading = trackerId !== null ? readings.find(r => r.tracker_id === trackerId) : null;
+            const bottle = reading ? getBottle(reading.bottle_id) : null;
+            return {
+                x: pred.x - pred.width / 2,
+                y: pred.y - pred.height / 2,
+                width: pred.width,
+                height: pred.height,
+                trackerId,
+                color: bottle?.color ?? null,
+                ordinal: bottle?.ordinal ?? 1,
+                label: bottle ? bottleLabel(bottle) : (pred.class || ""),
+                levelPercent: bottle?.estimate.average ?? reading?.fill_level_percent ?? null
+            };
+        });
+
+    const image = Number.isFinite(output?.image?.width) && Number.isFinite(output?.image?.height) ? output.image : null;
+    return {boxes, image};
+}
+
+function strokeFor(box) {
+    if (style.useBottleColors && box.color && box.ordinal === 1 && CSS.supports("color", box.color)) return box.color;
+    return style.boxColor;
+}
+
+function labelFor(box) {
+    const parts = [];
+    if (style.showTrackerId && box.trackerId !== null) parts.push(`#${box.trackerId}`);
+    if (style.showLabel && box.label) parts.push(box.label);
+    if (style.showLevel && box.levelPercent !== null) parts.push(`${box.levelPercent.toFixed(0)}%`);
+    return parts.join(" ");
+}
+
+/**
+ * Where the video picture is inside the element, letterboxed like object-fit: contain
+ */
+function contentRect() {
+    const width = videoEl.clientWidth;
+    const height = videoEl.clientHeight;
+    const videoWidth = videoEl.videoWidth || width;
+    const videoHeight = videoEl.videoHeight || height;
+    const scale = Math.min(width / videoWidth, height / videoHeight);
+    return {
+        left: (width - videoWidth * scale) / 2,
+        top: (height - videoHeight * scale) / 2,
+        width: videoWidth * scale,
+        height: videoHeight * scale
+    };
+}
+
+function draw() {
+    drawPending = false;
+
+    const dpr = window.devicePixelRatio || 1;
+    const cssWidth = canvasEl.clientWidth;
+    const cssHeight = canvasEl.clientHeight;
+    canvasEl.width = Math.round(cssWidth * dpr);
+    canvasEl.height = Math.round(cssHeight * dpr);
+
+    const ctx = canvasEl.getContext("2d");
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    ctx.clearRect(0, 0, cssWidth, cssHeight);
+    if (!frame || canvasEl.hidden) return;
+
+    const rect = contentRect();
+    // Without the frame size in the payload, boxes are taken to be in video pixels
+    const imageWidth = frame.image?.width || videoEl.videoWidth || rect.width;
+    const imageHeight = frame.image?.height || videoEl.videoHeight || rect.height;
+    const scaleX = rect.width / imageWidth;
+    const scaleY = rect.height / imageHeight;
+
+    ctx.lineWidth = style.lineWidth;
+    ctx.font = `600 ${style.fontSize}px system-ui, sans-serif`;
+    ctx.textBaseline = "top";
+    frame.boxes.forEach(box => {
+        const x = rect.left + box.x * scaleX;
+        const y = rect.top + box.y * scaleY;
+        const stroke = strokeFor(box);
+        ctx.strokeStyle = stroke;
+        ctx.strokeRect(x, y, box.width * scaleX, box.height * scaleY);
+
+        const text = labelFor(box);
+        if (!text) return;
+        const padding = 3;
+        const textHeight = style.fontSize + padding * 2;
+        // Above the box, or inside it when there's no room at the top
+        const labelY = y - textHeight >= rect.top ? y - textHeight : y;
+        ctx.fillStyle = stroke;
+        ctx.fillRect(x - style.lineWidth / 2, labelY, ctx.measureText(text).width + padding * 2, textHeight);
+        ctx.fillStyle = "#fff";
+        ctx.fillText(text, x - style.lineWidth / 2 + padding, labelY + padding);
+    });
+}
+
+function scheduleDraw() {
+    if (drawPending) return;
+    drawPending = true;
+    requestAnimationFrame(draw);
+}
+
+/**
+ * Draw the boxes of a new message
+ *
+ * @param {{boxes: Array, image: ?Object}} overlayFrame - From toOverlayFrame()
+ */
+export function updateOverlay(overlayFrame) {
+    frame = overlayFrame;
+    clearTimeout(staleTimer);
+    staleTimer = setTimeout(clearOverlay, STALE_AFTER_MS);
+    scheduleDraw();
+}
+
+export function clearOverlay() {
+    clearTimeout(staleTimer);
+    frame = null;
+    scheduleDraw();
+}
+
+/**
+ * Show or hide the canvas; hiding also drops the boxes drawn last
+ */
+export function setOverlayVisible(visible) {
+    canvasEl.hidden = !visible;
+    if (!visible) clearOverlay();
+}
+
+/**
+ * Change how boxes and labels look, see DEFAULT_OVERLAY_STYLE
+ */
+export function setOverlayStyle(newStyle) {
+    style = {...DEFAULT_OVERLAY_STYLE, ...newStyle};
+    scheduleDraw();
+}
+
+/**
+ * Keep the overlay in place when the video is resized or changes resolution
+ */
+export function initPredictionOverlay() {
+    new ResizeObserver(scheduleDraw).observe(videoEl);
+    videoEl.addEventListener("loadedmetadata", scheduleDraw);
+    videoEl.addEventListener("resize", scheduleDraw);
+}
@@ -0,0 +1,51 @@
+/**
+ * Bottle profiles
+ *
+ * Capacity, display name and owner per `bottle_color`, loaded from and saved
+ * to the server's /api/profiles routes.
+ */
+
+import {deleteJson, getJson, putJson} from "./api.js";
+import {DEFAULT_CAPACITY_LITERS} from "./bottleTracker.js";
+
+let profiles = {};
+
+export async function loadProfiles() {
+    ({profiles} = await getJson("/api/profiles"));
+    return profiles;
+}
+
+export function getProfiles() {
+    return Object.values(profiles).sort((a, b) => a.color.localeCompare(b.color));
+}
+
+export function getProfile(color) {
+    return profiles[color] || null;
+}
+
+export function capacityFor(color) {
+    return profiles[color]?.capacityLiters ?? DEFAULT_CAPACITY_LITERS;
+}
+
+/**
+ * Bottle name for display: profile name and owner, or the raw color
+ */
+export function labelFor(color) {
+    const profile = profiles[color];
+    if (!profile) return color;
+    return profile.owner ? `${profile.displayName} (${profile.owner})` : profile.displayName;
+}
+
+/**
+ * Create or update a profile ({ color, displayName, owner, capacityLiters })
+ */
+export async function saveProfile({color, ...fields}) {
+    const {profile} = await putJson(`/api/profiles/${encodeURIComponent(color)}`, fields);
+    profiles[color] = profile;
+    return profile;
+}
+
+export async function deleteProfile(color) {
+    await deleteJson(`/api/profiles/${encodeURIComponent(color)}`);
+    delete profiles[color];
+}
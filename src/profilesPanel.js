@@ -0,0 +1,177 @@
+/**
+ * Bottle Profiles settings panel
+ *
+ * Lists saved profiles, edits them, and prompts to create a profile when an
+ * unknown bottle color shows up in the stream.
+ */
+
+import {getCurve, getCurves} from "./calibration.js";
+import {escapeHtml} from "./html.js";
+import {deleteProfile, getProfile, getProfiles, loadProfiles, saveProfile} from "./profiles.js";
+
+const panelEl = document.getElementById("profilesPanel");
+const listEl = document.getElementById("profileList");
+const unknownEl = document.getElementById("unknownColors");
+const statusEl = document.getElementById("profileStatus");
+
+const profileInputs = {
+    color: document.getElementById("profileColor"),
+    displayName: document.getElementById("profileName"),
+    owner: document.getElementById("profileOwner"),
+    capacityLiters: document.getElementById("profileCapacity"),
+    curveId: document.getElementById("profileCurve"),
+    saveBtn: document.getElementById("saveProfileBtn")
+};
+
+// Colors seen in the stream that have no profile yet
+const unknownColors = new Set();
+
+let onProfileChange = () => {};
+
+function renderProfiles() {
+    const profiles = getProfiles();
+
+    if (profiles.length === 0) {
+        listEl.innerHTML = '<div class="empty-hint">No profiles yet</div>';
+        return;
+    }
+
+    listEl.innerHTML = profiles.map(profile => `
+      <div class="profile-row">
+        <div>
+          <div><strong>${escapeHtml(profile.displayName)}</strong>${profile.owner ? ` · ${escapeHtml(profile.owner)}` : ''}</div>
+          <div class="profile-meta">${escapeHtml(profile.color)} · ${profile.capacityLiters} L${curveLabel(profile)}</div>
+        </div>
+        <div>
+          <button type="button" data-action="edit" data-color="${escapeHtml(profile.color)}">Edit</button>
+          <button type="button" data-action="delete" data-color="${escapeHtml(profile.color)}">Delete</button>
+        </div>
+      </div>
+    `).join('');
+}
+
+function curveLabel(profile) {
+    const curve = getCurve(profile.curveId);
+    return curve ? ` · ${escapeHtml(curve.name)}` : '';
+}
+
+function renderCurveOptions() {
+    const selected = profileInputs.curveId.value;
+    profileInputs.curveId.innerHTML = '<option value="">None (linear)</option>' + getCurves()
+        .map(curve => `<option value="${escapeHtml(curve.id)}">${escapeHtml(curve.name)}</option>`)
+        .join('');
+    profileInputs.curveId.value = getCurve(selected) ? selected : "";
+}
+
+function renderUnknownColors() {
+    unknownEl.hidden = unknownColors.size === 0;
+    unknownEl.innerHTML = Array.from(unknownColors).map(color => `
+      <div>
+        New bottle color <strong>${escapeHtml(color)}</strong> has no profile.
+        <button type="button" data-action="create" data-color="${escapeHtml(color)}">Create profile</button>
+      </div>
+    `).join('');
+}
+
+function setStatus(text) {
+    statusEl.textContent = text;
+}
+
+function fillForm(profile) {
+    profileInputs.color.value = profile.color;
+    profileInputs.displayName.value = profile.displayName || "";
+    profileInputs.owner.value = profile.owner || "";
+    profileInputs.capacityLiters.value = profile.capacityLiters ?? 1.0;
+    profileInputs.curveId.value = getCurve(profile.curveId) ? profile.curveId : "";
+    panelEl.classList.add("open");
+    profileInputs.displayName.focus();
+}
+
+async function handleSave() {
+    const color = profileInputs.color.value.trim();
+    if (!color) {
+        setStatus("Bottle color is required");
+        return;
+    }
+
+    profileInputs.saveBtn.disabled = true;
+    try {
+        await saveProfile({
+            color,
+            displayName: profileInputs.displayName.value,
+            owner: profileInputs.owner.value,
+            capacityLiters: parseFloat(profileInputs.capacityLiters.value),
+            curveId: profileInputs.curveId.value || null
+        });
+        unknownColors.delete(color);
+        setStatus(`Saved profile for ${color}`);
+        renderProfiles();
+        renderUnknownColors();
+        onProfileChange(color);
+    } catch (err) {
+        console.error("[Profiles] Failed to save profile:", err);
+        setStatus(`Error: ${err.message}`);
+    } finally {
+        profileInputs.saveBtn.disabled = false;
+    }
+}
+
+async function handleDelete(color) {
+    try {
+        await deleteProfile(color);
+        setStatus(`Deleted profile for ${color}`);
+        renderProfiles();
+        onProfileChange(color);
+    } catch (err) {
+        console.error("[Profiles] Failed to delete profile:", err);
+        setStatus(`Error: ${err.message}`);
+    }
+}
+
+/**
+ * Record a color seen in the stream; prompts for a profile if it has none
+ */
+export function notifyColorSeen(color) {
+    if (getProfile(color) || unknownColors.has(color)) return;
+    unknownColors.add(color);
+    renderUnknownColors();
+}
+
+/**
+ * Re-render after profiles or curves were changed elsewhere
+ */
+export function refreshProfilesPanel() {
+    renderCurveOptions();
+    renderProfiles();
+    unknownColors.forEach(color => {
+        if (getProfile(color)) unknownColors.delete(color);
+    });
+    renderUnknownColors();
+}
+
+/**
+ * Load profiles and attach the panel's event handlers
+ *
+ * @param {Object} [options]
+ * @param {Function} [options.onChange] - Called with the color of a saved or deleted profile
+ */
+export async function initProfilesPanel({onChange} = {}) {
+    if (onChange) onProfileChange = onChange;
+
+    profileInputs.saveBtn.addEventListener("click", handleSave);
+
+    panelEl.addEventListener("click", (e) => {
+        const {action, color} = e.target.dataset;
+        if (action === "edit") fillForm(getProfile(color));
+        if (action === "delete") handleDelete(color);
+        if (action === "create") fillForm({color, displayName: color});
+    });
+
+    try {
+        await loadProfiles();
+    } catch (err) {
+        console.error("[Profiles] Failed to load profiles:", err);
+        setStatus("Failed to load profiles");
+    }
+    refreshProfilesPanel();
+}
@@ -0,0 +1,31 @@
+/**
+ * Connector for webrtc.useStream that goes through this app's proxy server
+ *
+ * Same requests as the SDK's connectors.withProxyUrl, but failures are thrown
+ * as the api.js errors: the server's error message with the HTTP status
+ * attached, so a 401/403/429 can be told apart from a pipeline failure.
+ */
+
+import {getJson, postJson} from "./api.js";
+
+/**
+ * @param {string} proxyUrl - Endpoint that initializes the WebRTC worker
+ * @param {Object} [options]
+ * @param {string} [options.turnConfigUrl] - Endpoint returning { iceServers }
+ */
+export function createProxyConnector(proxyUrl, {turnConfigUrl} = {}) {
+    return {
+        connectWrtc: (offer, wrtcParams) => postJson(proxyUrl, {offer, wrtcParams}),
+        getIceServers: turnConfigUrl
+            ? async () => {
+                try {
+                    const {iceServers} = await getJson(turnConfigUrl);
+                    return iceServers || null;
+                } catch (err) {
+                    console.warn("[RFWebRTC] Failed to fetch TURN config from proxy:", err);
+                    return null;
+                }
+            }
+            : undefined
+    };
+}
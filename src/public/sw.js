@@ -0,0 +1,94 @@
+/**
+ * Service worker: offline app shell
+ *
+ * Pages are fetched from the network first and fall back to the cached copy,
+ * so a deploy shows up on the next load while the dashboard still opens
+ * without the server. Built assets have hashed names and are served from the
+ * cache. API calls are never cached: readings made offline wait in
+ * IndexedDB instead (see readingsSync.js).
+ */
+
+const CACHE_NAME = "bottle-dashboard-v1";
+const PAGES = ["/", "/index.html", "/viewer.html"];
+const STATIC_FILES = ["/manifest.webmanifest", "/icon.svg"];
+
+/**
+ * Hashed /assets/ files a page loads
+ */
+function assetsOf(html) {
+    return [...html.matchAll(/(?:src|href)="(\/assets\/[^"]+)"/g)].map(match => match[1]);
+}
+
+/**
+ * Cache the pages and everything they load, then drop assets of older builds
+ */
+async function cacheShell() {
+    const cache = await caches.open(CACHE_NAME);
+    const assets = new Set();
+
+    await Promise.all(PAGES.map(async page => {
+        const response = await fetch(page, {cache: "no-cache"});
+        if (!response.ok) throw new Error(`${page}: HTTP ${response.status}`);
+        assetsOf(await response.clone().text()).forEach(asset => assets.add(asset));
+        await cache.put(page, response);
+    }));
+
+    // Hashed names never change content, so only new ones are downloaded
+    const cachedAssets = (await cache.keys())
+        .map(request => new URL(request.url).pathname)
+        .filter(pathname => pathname.startsWith("/assets/"));
+    await cache.addAll([...STATIC_FILES, ...[...assets].filter(asset => !cachedAssets.includes(asset))]);
+    await Promise.all(cachedAssets.filter(asset => !assets.has(asset)).map(asset => cache.delete(asset)));
+}
+
+self.addEventListener("install", event => {
+    event.waitUntil(cacheShell().then(() => self.skipWaiting()));
+});
+
+self.addEventListener("activate", event => {
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(names.filter(name => name !== CACHE_NAME).map(name => caches.delete(name))))
+            .then(() => self.clients.claim())
+    );
+});
+
+async function handleNavigation(event) {
+    const {pathname} = new URL(event.request.url);
+    try {
+        const response = await fetch(event.request);
+        // A new build means new assets; fetch them while the page loads
+        if (response.ok && PAGES.includes(pathname)) {
+            event.waitUntil(cacheShell().catch(err => console.warn("[SW] Failed to update the shell:", err)));
+        }
+        return response;
+    } catch (err) {
+        const cached = await caches.match(pathname === "/viewer.html" ? "/viewer.html" : "/index.html");
+        if (cached) return cached;
+        throw err;
+    }
+}
+
+async function handleStatic(request) {
+    const cached = await caches.match(request);
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    if (response.ok) {
+        const cache = await caches.open(CACHE_NAME);
+        await cache.put(request, response.clone());
+    }
+    return response;
+}
+
+self.addEventListener("fetch", event => {
+    const {request} = event;
+    const url = new URL(request.url);
+    if (request.method !== "GET" || url.origin !== self.location.origin || url.pathname.startsWith("/api/")) return;
+
+    if (request.mode === "navigate") {
+        event.respondWith(handleNavigation(event));
+    } else if (url.pathname.startsWith("/assets/") || STATIC_FILES.includes(url.pathname)) {
+        event.respondWith(handleStatic(request));
+    }
+});
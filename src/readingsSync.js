@@ -0,0 +1,185 @@
+/**
+ * Bottle readings persistence
+ *
+ * Processed readings are queued and pushed to POST /api/readings in batches,
+ * so a reload or stop() doesn't lose the day's consumption data. The queue
+ * is mirrored in IndexedDB: readings taken while the server is unreachable
+ * survive a reload and are pushed once it answers again. A batch that
+ * reached the server but wasn't removed locally is sent again, so delivery
+ * is at least once.
+ */
+
+import {getJson, postJson} from "./api.js";
+import {addPendingReadings, deletePendingReadings, loadPendingReadings} from "./offlineStore.js";
+
+const FLUSH_INTERVAL_MS = 2000;
+// Stays below the server's JSON body limit after a long time offline
+const MAX_BATCH_SIZE = 500;
+
+// [{ key, reading, sent }], key is null until the reading is stored locally;
+// readings sent before that are removed locally once their key is known
+let pendingReadings = [];
+let flushTimer = null;
+let flushing = null;
+// Local writes in progress, one after the other
+let storing = Promise.resolve();
+let restored = null;
+
+/**
+ * Queue the readings of one message ({ color, fill_level_percent, tracker_id, timestamp, camera? }).
+ * They are pushed every few seconds until the queue is empty.
+ */
+export function queueReadings(readings) {
+    if (readings.length === 0) return;
+    const entries = readings.map(reading => ({key: null, reading, sent: false}));
+    pendingReadings.push(...entries);
+    startTimer();
+
+    storing = storing
+        .then(() => addPendingReadings(readings))
+        .then(keys => {
+            keys.forEach((key, i) => {
+                entries[i].key = key;
+            });
+            const sentKeys = entries.filter(entry => entry.sent).map(entry => entry.key);
+            if (sentKeys.length > 0) return deletePendingReadings(sentKeys);
+        })
+        .catch(err => console.warn("[Readings] Failed to keep readings offline:", err));
+}
+
+function startTimer() {
+    if (flushTimer) return;
+    flushTimer = setInterval(flushReadings, FLUSH_INTERVAL_MS);
+}
+
+function stopTimer() {
+    clearInterval(flushTimer);
+    flushTimer = null;
+}
+
+/**
+ * Push one batch; resolves to false when it failed and was re-queued
+ */
+async function pushBatch() {
+    const batch = pendingReadings.slice(0, MAX_BATCH_SIZE);
+    pendingReadings = pendingReadings.slice(batch.length);
+
+    try {
+        await postJson("/api/readings", {readings: batch.map(entry => entry.reading)});
+    } catch (err) {
+        console.warn("[Readings] Failed to store readings, will retry:", err);
+        pendingReadings = batch.concat(pendingReadings);
+        return false;
+    }
+
+    batch.forEach(entry => {
+        entry.sent = true;
+    });
+    const keys = batch.map(entry => entry.key).filter(key => key !== null);
+    if (keys.length > 0) {
+        await deletePendingReadings(keys)
+            .catch(err => console.warn("[Readings] Failed to clear sent readings:", err));
+    }
+    if (pendingReadings.length === 0) stopTimer();
+    return true;
+}
+
+/**
+ * Push queued readings to the server, a batch per call. Failed batches are
+ * re-queued; nothing is tried while the browser knows it is offline.
+ */
+export async function flushReadings() {
+    if (flushing) return flushing;
+    if (pendingReadings.length === 0 || !navigator.onLine) return;
+
+    flushing = pushBatch().finally(() => {
+        flushing = null;
+    });
+    return flushing;
+}
+
+/**
+ * Push what is queued right away, batch after batch, e.g. when a session
+ * stops. Stops at the first failed batch; the rest is retried later.
+ */
+export async function stopReadingsSync() {
+    while (pendingReadings.length > 0 && navigator.onLine) {
+        if (await flushReadings() === false) return;
+    }
+}
+
+/**
+ * Queue the readings a previous page left unsent and push them whenever the
+ * browser is back online. Call once on page load.
+ */
+export function restorePendingReadings() {
+    if (restored) return restored;
+
+    window.addEventListener("online", flushReadings);
+    restored = loadPendingReadings()
+        .then(stored => {
+            // Skip readings this page queued meanwhile
+            const known = new Set(pendingReadings.map(entry => entry.key));
+            const entries = stored
+                .filter(entry => !known.has(entry.key))
+                .map(entry => ({...entry, sent: false}));
+            if (entries.length === 0) return;
+            console.log(`[Readings] ${entries.length} reading(s) from an earlier page still to be stored`);
+            pendingReadings = entries.concat(pendingReadings);
+            startTimer();
+        })
+        .catch(err => console.warn("[Readings] Failed to load offline readings:", err));
+    return restored;
+}
+
+/**
+ * Readings not on the server yet, oldest first
+ */
+export async function getPendingReadings() {
+    await restored;
+    return pendingReadings.map(entry => entry.reading);
+}
+
+/**
+ * Load stored readings, oldest first
+ *
+ * @param {Object} [query]
+ * @param {string} [query.color]
+ * @param {string} [query.camera] - Only readings of this grid camera
+ * @param {Date|number|string} [query.from]
+ * @param {Date|number|string} [query.to]
+ */
+export async function fetchReadings({color, camera, from, to} = {}) {
+    const params = new URLSearchParams();
+    if (color) params.set("color", color);
+    if (camera) params.set("camera", camera);
+    if (from != null) params.set("from", new Date(from).toISOString());
+    if (to != null) params.set("to", new Date(to).toISOString());
+
+    const {readings} = await getJson(`/api/readings?${params}`);
+    return readings;
+}
+
+/**
+ * Today's readings of the main dashboard or of one grid camera: the stored
+ * ones plus the ones not sent yet, oldest first
+ *
+ * @param {string} [camera] - Grid camera name; without it, readings that have no camera
+ * @returns {Promise<{readings: Array, unsent: number}>}
+ */
+export async function loadTodaysReadings(camera) {
+    const startOfDay = new Date();
+    startOfDay.setHours(0, 0, 0, 0);
+    const ownReading = r => (r.camera || undefined) === (camera || undefined) && Date.parse(r.timestamp) >= startOfDay;
+    const readingKey = r => `${r.color}|${r.tracker_id}|${Date.parse(r.timestamp)}|${r.fill_level_percent}`;
+
+    const [stored, pending] = await Promise.all([fetchReadings({camera, from: startOfDay}), getPendingReadings()]);
+    const own = stored.filter(ownReading);
+    // A batch can reach the server without leaving the local queue
+    const storedKeys = new Set(own.map(readingKey));
+    const unsent = pending.filter(r => ownReading(r) && !storedKeys.has(readingKey(r)));
+    return {
+        readings: own.concat(unsent).sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp)),
+        unsent: unsent.length
+    };
+}
@@ -0,0 +1,185 @@
+/**
+ * Record & Replay settings panel
+ *
+ * Records live data channel payloads, downloads or uploads them as JSONL,
+ * and starts replays or estimator comparisons from a local file or a
+ * recording stored on the server.
+ */
+
+import {getJson, requestJson} from "./api.js";
+import {escapeHtml} from "./html.js";
+import {createSessionRecorder, parseRecording} from "./sessionRecording.js";
+
+const recordingInputs = {
+    recordBtn: document.getElementById("recordBtn"),
+    downloadBtn: document.getElementById("downloadRecordingBtn"),
+    uploadBtn: document.getElementById("uploadRecordingBtn"),
+    replayFile: document.getElementById("replayFile"),
+    replaySaved: document.getElementById("replaySaved"),
+    replaySpeed: document.getElementById("replaySpeed"),
+    replayBtn: document.getElementById("replayBtn"),
+    compareBtn: document.getElementById("compareBtn")
+};
+const statusEl = document.getElementById("recordingStatus");
+
+const recorder = createSessionRecorder();
+
+let onReplay = () => {};
+let onCompare = () => {};
+
+function setStatus(text) {
+    statusEl.textContent = text;
+}
+
+function updateButtons() {
+    recordingInputs.recordBtn.textContent = recorder.isRecording ? "⏹ Stop Recording" : "⏺ Record";
+    const hasRecording = !recorder.isRecording && recorder.size > 0;
+    recordingInputs.downloadBtn.disabled = !hasRecording;
+    recordingInputs.uploadBtn.disabled = !hasRecording;
+}
+
+function toggleRecording() {
+    if (recorder.isRecording) {
+        recorder.stop();
+        setStatus(`Recorded ${recorder.size} message(s)`);
+    } else {
+        recorder.start();
+        setStatus("Recording... (messages are captured while the camera runs)");
+    }
+    updateButtons();
+}
+
+function downloadRecording() {
+    const blob = new Blob([recorder.toJsonl()], {type: "application/x-ndjson"});
+    const link = document.createElement("a");
+    link.href = URL.createObjectURL(blob);
+    link.download = `session-${new Date().toISOString().replace(/[:.]/g, "-")}.jsonl`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
+
+async function uploadRecording() {
+    recordingInputs.uploadBtn.disabled = true;
+    try {
+        const {name, messages} = await requestJson("/api/recordings", {
+            method: "POST",
+            headers: {"Content-Type": "application/x-ndjson"},
+            body: recorder.toJsonl()
+        });
+        setStatus(`Uploaded ${messages} message(s) as ${name}`);
+        await loadSavedRecordings();
+    } catch (err) {
+        console.error("[Recording] Upload failed:", err);
+        setStatus(`Error: ${err.message}`);
+    } finally {
+        updateButtons();
+    }
+}
+
+async function loadSavedRecordings() {
+    try {
+        const {recordings} = await getJson("/api/recordings");
+        const selected = recordingInputs.replaySaved.value;
+        recordingInputs.replaySaved.innerHTML = '<option value="">Choose a stored recording</option>' + recordings
+            .map(r => `<option value="${escapeHtml(r.name)}">${escapeHtml(r.name)} (${Math.ceil(r.size / 1024)} KB)</option>`)
+            .join('');
+        recordingInputs.replaySaved.value = recordings.some(r => r.name === selected) ? selected : "";
+    } catch (err) {
+        console.error("[Recording] Failed to list recordings:", err);
+    }
+}
+
+/**
+ * Read the chosen recording file or stored recording.
+ * Returns { name, text }, or null when neither is chosen.
+ */
+async function readReplaySource() {
+    const file = recordingInputs.replayFile.files[0];
+    if (file) return {name: file.name, text: await file.text()};
+
+    const name = recordingInputs.replaySaved.value;
+    if (!name) return null;
+
+    const res = await fetch(`/api/recordings/${encodeURIComponent(name)}`);
+    if (!res.ok) throw new Error(`Failed to load recording (${res.status})`);
+    return {name, text: await res.text()};
+}
+
+/**
+ * Parse the chosen recording, reporting problems in the status line.
+ * Returns { name, entries } or null.
+ */
+async function loadReplayEntries() {
+    const source = await readReplaySource();
+    if (source === null) {
+        setStatus("Choose a recording file or a stored recording first");
+        return null;
+    }
+
+    const {entries, skipped} = parseRecording(source.text);
+    if (entries.length === 0) {
+        setStatus("Recording has no usable messages");
+        return null;
+    }
+    if (skipped > 0) console.warn(`[Recording] Skipped ${skipped} malformed line(s)`);
+    return {name: source.name, entries};
+}
+
+async function startReplay() {
+    try {
+        const recording = await loadReplayEntries();
+        if (recording) onReplay(recording.entries, parseFloat(recordingInputs.replaySpeed.value));
+    } catch (err) {
+        console.error("[Recording] Replay failed:", err);
+        setStatus(`Error: ${err.message}`);
+    }
+}
+
+async function compareRecording() {
+    try {
+        const recording = await loadReplayEntries();
+        if (recording) onCompare(recording.entries, recording.name);
+    } catch (err) {
+        console.error("[Recording] Comparison failed:", err);
+        setStatus(`Error: ${err.message}`);
+    }
+}
+
+/**
+ * Capture a live payload if recording is on
+ */
+export function recordMessage(data, t) {
+    recorder.record(data, t);
+}
+
+/**
+ * Disable replay controls while a session or replay is running
+ */
+export function setReplayAvailable(available) {
+    recordingInputs.replayBtn.disabled = !available;
+}
+
+/**
+ * Attach the panel's event handlers
+ *
+ * @param {Object} options
+ * @param {Function} options.onReplay - Called with (entries, speed) to start a replay
+ * @param {Function} options.onCompare - Called with (entries, name) to compare estimators on a recording
+ */
+export function initRecordingPanel(options) {
+    onReplay = options.onReplay;
+    onCompare = options.onCompare;
+
+    recordingInputs.recordBtn.addEventListener("click", toggleRecording);
+    recordingInputs.downloadBtn.addEventListener("click", downloadRecording);
+    recordingInputs.uploadBtn.addEventListener("click", uploadRecording);
+    recordingInputs.replayBtn.addEventListener("click", startReplay);
+    recordingInputs.compareBtn.addEventListener("click", compareRecording);
+    recordingInputs.replaySaved.addEventListener("focus", loadSavedRecordings);
+    recordingInputs.replayFile.addEventListener("change", () => {
+        if (recordingInputs.replayFile.files.length > 0) recordingInputs.replaySaved.value = "";
+    });
+
+    updateButtons();
+    loadSavedRecordings();
+}
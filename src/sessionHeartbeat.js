@@ -0,0 +1,67 @@
+/**
+ * Server-side session bookkeeping from the browser
+ *
+ * While a session runs, a heartbeat tells the server the page is still
+ * there; the server terminates pipelines whose heartbeat stops. Each
+ * pipeline has its own heartbeat, so the camera grid's tiles and the main
+ * session don't interfere. Ending a session goes through the server too,
+ * which holds the API key needed to terminate the pipeline.
+ */
+
+import {deleteJson, postJson} from "./api.js";
+
+export const HEARTBEAT_INTERVAL_MS = 15000;
+
+// pipeline id -> interval
+const heartbeatTimers = new Map();
+
+/**
+ * Send heartbeats for a pipeline until stopHeartbeat(pipelineId)
+ *
+ * @param {string} pipelineId
+ * @param {Object} options
+ * @param {Function} options.onTerminated - Called when the server no longer knows
+ *     the session, e.g. after it was terminated from the sessions list
+ */
+export function startHeartbeat(pipelineId, {onTerminated}) {
+    stopHeartbeat(pipelineId);
+    heartbeatTimers.set(pipelineId, setInterval(async () => {
+        try {
+            await postJson(`/api/sessions/${encodeURIComponent(pipelineId)}/heartbeat`, {});
+        } catch (err) {
+            if (err.status === 404) {
+                stopHeartbeat(pipelineId);
+                onTerminated();
+            } else {
+                console.warn("[Session] Heartbeat failed:", err.message);
+            }
+        }
+    }, HEARTBEAT_INTERVAL_MS));
+}
+
+export function stopHeartbeat(pipelineId) {
+    clearInterval(heartbeatTimers.get(pipelineId));
+    heartbeatTimers.delete(pipelineId);
+}
+
+/**
+ * Terminate a session's pipeline
+ *
+ * @returns {Promise<boolean>} false when the session had already ended
+ */
+export async function endSession(pipelineId) {
+    try {
+        await deleteJson(`/api/sessions/${encodeURIComponent(pipelineId)}`);
+        return true;
+    } catch (err) {
+        if (err.status !== 404) throw err;
+        return false;
+    }
+}
+
+/**
+ * Terminate a session while the page is being closed, when fetch may not finish
+ */
+export function endSessionOnUnload(pipelineId) {
+    navigator.sendBeacon(`/api/sessions/${encodeURIComponent(pipelineId)}/end`);
+}
@@ -0,0 +1,111 @@
+/**
+ * Data channel session recording and replay
+ *
+ * A recording is JSONL: one `{ t, data }` line per onData payload, where `t`
+ * is the epoch milliseconds the message arrived. Replay feeds the payloads
+ * back with their original spacing (optionally sped up), so the averaging
+ * and table code can be debugged without a camera or a Roboflow pipeline.
+ */
+
+/**
+ * Create a recorder collecting data channel payloads
+ */
+export function createSessionRecorder() {
+    let entries = [];
+    let recording = false;
+
+    return {
+        start() {
+            entries = [];
+            recording = true;
+        },
+        stop() {
+            recording = false;
+            return entries;
+        },
+        record(data, t) {
+            if (recording) entries.push({t, data});
+        },
+        get isRecording() {
+            return recording;
+        },
+        get size() {
+            return entries.length;
+        },
+        toJsonl() {
+            return entries.map(entry => JSON.stringify(entry)).join("\n") + "\n";
+        }
+    };
+}
+
+/**
+ * Parse a JSONL recording into `{ t, data }` entries, oldest first.
+ * Lines that don't parse are skipped and counted.
+ */
+export function parseRecording(text) {
+    const entries = [];
+    let skipped = 0;
+
+    text.split("\n").forEach(line => {
+        if (!line.trim()) return;
+        try {
+            const entry = JSON.parse(line);
+            if (Number.isFinite(entry?.t) && entry.data && typeof entry.data === "object") {
+                entries.push(entry);
+                return;
+            }
+        } catch (e) {
+            // counted below
+        }
+        skipped++;
+    });
+
+    entries.sort((a, b) => a.t - b.t);
+    return {entries, skipped};
+}
+
+/**
+ * Feed recorded entries to `onData(data, t)` with their original timing
+ *
+ * @param {Array} entries - Parsed `{ t, data }` entries
+ * @param {Object} options
+ * @param {number} options.speed - Playback speed multiplier; 0 replays as fast as possible
+ * @param {Function} options.onData - Called with (data, t) for every entry
+ * @param {Function} [options.onProgress] - Called with (index, total)
+ * @param {Function} [options.onEnd] - Called once all entries were fed or replay was stopped
+ * @returns {{stop: Function}}
+ */
+export function replaySession(entries, {speed, onData, onProgress, onEnd}) {
+    const BATCH_SIZE = 50; // entries per tick when replaying as fast as possible
+    let index = 0;
+    let timer = null;
+    let stopped = false;
+
+    function finish() {
+        if (stopped) return;
+        stopped = true;
+        clearTimeout(timer);
+        onEnd?.();
+    }
+
+    function step() {
+        if (stopped) return;
+
+        const batchEnd = speed > 0 ? index + 1 : Math.min(index + BATCH_SIZE, entries.length);
+        for (; index < batchEnd; index++) {
+            onData(entries[index].data, entries[index].t);
+        }
+        onProgress?.(index, entries.length);
+
+        if (index >= entries.length) {
+            finish();
+            return;
+        }
+
+        const delay = speed > 0 ? (entries[index].t - entries[index - 1].t) / speed : 0;
+        timer = setTimeout(step, Math.max(0, delay));
+    }
+
+    timer = setTimeout(step, 0);
+    return {stop: finish};
+}
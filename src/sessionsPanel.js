@@ -0,0 +1,89 @@
+/**
+ * Running sessions panel
+ *
+ * Lists the pipelines the server is tracking, including ones started from
+ * other browsers, and terminates them on request.
+ */
+
+import {deleteJson, getJson} from "./api.js";
+import {escapeHtml} from "./html.js";
+
+const listEl = document.getElementById("sessionList");
+const statusEl = document.getElementById("sessionsStatus");
+const refreshBtn = document.getElementById("refreshSessionsBtn");
+
+let getOwnPipelineId = () => null;
+
+function setStatus(text) {
+    statusEl.textContent = text;
+}
+
+function describeSession(session) {
+    const parts = [
+        session.workflow,
+        session.user || session.ip,
+        `started ${new Date(session.startedAt).toLocaleTimeString()}`
+    ];
+    if (session.plan) parts.push(session.plan);
+    if (session.region) parts.push(session.region);
+    if (session.expiresAt) parts.push(`ends by ${new Date(session.expiresAt).toLocaleTimeString()}`);
+    return parts.join(" · ");
+}
+
+function renderSessions(sessions) {
+    if (sessions.length === 0) {
+        listEl.innerHTML = '<div class="empty-hint">No sessions running</div>';
+        return;
+    }
+
+    const ownId = getOwnPipelineId();
+    listEl.innerHTML = sessions.map(session => `
+      <div class="profile-row">
+        <div>
+          <div><strong>${escapeHtml(session.pipelineId.slice(0, 8))}</strong>${session.pipelineId === ownId ? ' (this page)' : ''}</div>
+          <div class="profile-meta">${escapeHtml(describeSession(session))}</div>
+        </div>
+        <button type="button" data-action="terminate" data-pipeline="${escapeHtml(session.pipelineId)}">Terminate</button>
+      </div>
+    `).join('');
+}
+
+/**
+ * Reload the session list
+ */
+export async function refreshSessionsPanel() {
+    try {
+        const {sessions, maxConcurrent} = await getJson("/api/sessions");
+        renderSessions(sessions);
+        setStatus(maxConcurrent > 0 ? `${sessions.length} of ${maxConcurrent} allowed` : `${sessions.length} running`);
+    } catch (err) {
+        console.error("[Sessions] Failed to list sessions:", err);
+        listEl.innerHTML = '<div class="empty-hint">Failed to load sessions</div>';
+    }
+}
+
+async function handleListClick(e) {
+    const button = e.target.closest("button[data-action='terminate']");
+    if (!button || !confirm(`Terminate session ${button.dataset.pipeline.slice(0, 8)}?`)) return;
+
+    try {
+        await deleteJson(`/api/sessions/${encodeURIComponent(button.dataset.pipeline)}`);
+    } catch (err) {
+        console.error("[Sessions] Terminate failed:", err);
+        setStatus(`Error: ${err.message}`);
+    }
+    await refreshSessionsPanel();
+}
+
+/**
+ * Attach the panel's event handlers and load the list
+ *
+ * @param {Object} [options]
+ * @param {Function} [options.getOwnPipelineId] - Pipeline of this page's session, if any
+ */
+export function initSessionsPanel(options = {}) {
+    getOwnPipelineId = options.getOwnPipelineId || getOwnPipelineId;
+    listEl.addEventListener("click", handleListClick);
+    refreshBtn.addEventListener("click", refreshSessionsPanel);
+    refreshSessionsPanel();
+}
@@ -0,0 +1,272 @@
+/**
+ * Stream session with automatic reconnection and renewal
+ *
+ * Watches the current connection's peer connection and data channel. When
+ * either drops, the dead connection is discarded and a new one is set up
+ * with exponential backoff, reusing the same video source, so a network
+ * hiccup doesn't end the session.
+ *
+ * Pipelines end after their processing timeout, so shortly before that a
+ * replacement is started next to the current one and swapped in once its
+ * video arrives (or, when its video isn't shown, once its data channel is
+ * open). Only the current connection's data channel messages are passed
+ * on, so the overlap doesn't count readings twice.
+ */
+
+export const RECONNECT_BASE_DELAY_MS = 1000;
+export const RECONNECT_MAX_DELAY_MS = 30000;
+export const RECONNECT_MAX_ATTEMPTS = 8;
+
+// How long before the processing timeout the replacement pipeline is started
+// (at most a quarter of the pipeline's lifetime)
+export const RENEW_LEAD_MS = 60000;
+const RENEW_RETRY_MS = 10000;
+// A replacement that isn't ready to take over by then is ended
+const RENEW_READY_TIMEOUT_MS = 30000;
+
+// "disconnected" often recovers by itself, so give it a moment first
+const DISCONNECT_GRACE_MS = 5000;
+
+/**
+ * Delay before reconnection attempt `attempt` (1-based), with some jitter
+ * so several pages don't retry in lockstep
+ */
+export function backoffDelay(attempt) {
+    const delay = Math.min(RECONNECT_MAX_DELAY_MS, RECONNECT_BASE_DELAY_MS * 2 ** (attempt - 1));
+    return Math.round(delay * (0.8 + Math.random() * 0.4));
+}
+
+// Errors that another attempt won't fix (login, forbidden workflow)
+function isPermanent(err) {
+    return err?.status === 401 || err?.status === 403;
+}
+
+function channelOpen(channel) {
+    return new Promise((resolve, reject) => {
+        if (channel.readyState === "open") return resolve();
+        channel.addEventListener("open", () => resolve(), {once: true});
+        channel.addEventListener("close", () => reject(new Error("Data channel closed")), {once: true});
+    });
+}
+
+/**
+ * Wait until a replacement connection can take over
+ */
+function whenReady(conn, videoOutput) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error("Replacement pipeline not ready in time")), RENEW_READY_TIMEOUT_MS);
+    });
+    const ready = videoOutput ? conn.remoteStream() : channelOpen(conn.dataChannel);
+    return Promise.race([ready, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Create a session that keeps a connection up
+ *
+ * @param {Object} handlers
+ * @param {Function} handlers.connect - async ({onData, renews}) => RFWebRTCConnection; `renews` is
+ *     the connection being replaced when renewing
+ * @param {Function} handlers.onData - (data) => void, messages of the current connection
+ * @param {number} [handlers.lifetimeMs] - Processing timeout of each pipeline; enables renewal
+ * @param {boolean} [handlers.videoOutput] - Whether the pipeline's video is shown; without it a
+ *     replacement takes over once its data channel is open instead of once its video arrives
+ * @param {Function} handlers.onConnected - async (connection, {reconnected, renewed}) => void, once the
+ *     connection is up
+ * @param {Function} handlers.onDropped - async (connection, reason) => boolean, tears down a dead
+ *     connection; resolve to false to end the session instead of reconnecting
+ * @param {Function} handlers.onRetired - async (connection) => void, tears down a connection that was
+ *     replaced or isn't needed anymore
+ * @param {Function} handlers.onReconnecting - (attempt, delayMs) => void, before each attempt
+ * @param {Function} [handlers.onRenewing] - () => void, when the replacement pipeline is being started
+ * @param {Function} handlers.onGiveUp - (error) => void, after the last failed attempt
+ * @returns {{start: Function, stop: Function, connection: ?RFWebRTCConnection, expiresAt: ?number}}
+ */
+export function createStreamSession({
+    connect, onData, lifetimeMs, videoOutput = true, onConnected, onDropped, onRetired, onReconnecting,
+    onRenewing = () => {}, onGiveUp
+}) {
+    let connection = null;
+    let stopped = false;
+    let retryTimer = null;
+    let renewTimer = null;
+    let graceTimer = null;
+    let unwatch = () => {};
+
+    const renewLeadMs = Math.min(RENEW_LEAD_MS, (lifetimeMs || 0) / 4);
+
+    /**
+     * Connect, passing data on only while the new connection is the current one
+     */
+    async function open(renews = null) {
+        const startedAt = Date.now();
+        let conn = null;
+        const routeData = (data) => {
+            if (conn && conn === connection) onData(data);
+        };
+
+        conn = await connect({onData: routeData, renews});
+        conn.expiresAt = lifetimeMs ? startedAt + lifetimeMs : null;
+        return conn;
+    }
+
+    function watch(conn) {
+        const pc = conn.peerConnection;
+        const channel = conn.dataChannel;
+
+        const handleStateChange = () => {
+            clearTimeout(graceTimer);
+            if (pc.connectionState === "failed" || pc.connectionState === "closed") {
+                drop(conn, `connection ${pc.connectionState}`);
+            } else if (pc.connectionState === "disconnected") {
+                graceTimer = setTimeout(() => drop(conn, "connection lost"), DISCONNECT_GRACE_MS);
+            }
+        };
+        const handleChannelClose = () => drop(conn, "data channel closed");
+
+        pc.addEventListener("connectionstatechange", handleStateChange);
+        channel.addEventListener("close", handleChannelClose);
+        return () => {
+            clearTimeout(graceTimer);
+            pc.removeEventListener("connectionstatechange", handleStateChange);
+            channel.removeEventListener("close", handleChannelClose);
+        };
+    }
+
+    async function attach(conn, {reconnected = false, renewed = false} = {}) {
+        connection = conn;
+        unwatch = watch(conn);
+        if (conn.expiresAt) {
+            scheduleRenewal(conn, conn.expiresAt - renewLeadMs - Date.now());
+        }
+        await onConnected(conn, {reconnected, renewed});
+    }
+
+    async function drop(conn, reason) {
+        if (stopped || conn !== connection) return;
+
+        console.warn(`[Session] Stream dropped (${reason})`);
+        unwatch();
+        clearTimeout(renewTimer);
+        connection = null;
+        try {
+            if (await onDropped(conn, reason) === false) return;
+        } catch (err) {
+            console.error("[Session] Failed to tear down dropped connection:", err);
+        }
+        scheduleReconnect(1);
+    }
+
+    function scheduleReconnect(attempt) {
+        if (stopped) return;
+
+        const delay = backoffDelay(attempt);
+        onReconnecting(attempt, delay);
+        retryTimer = setTimeout(async () => {
+            let conn;
+            try {
+                conn = await open();
+            } catch (err) {
+                console.warn(`[Session] Reconnection attempt ${attempt} failed:`, err);
+                if (stopped) return;
+                if (isPermanent(err) || attempt >= RECONNECT_MAX_ATTEMPTS) {
+                    onGiveUp(err);
+                } else {
+                    scheduleReconnect(attempt + 1);
+                }
+                return;
+            }
+
+            // Stopped while connecting: the new connection isn't wanted anymore
+            if (stopped) {
+                await onRetired(conn).catch(() => {});
+                return;
+            }
+            try {
+                await attach(conn, {reconnected: true});
+            } catch (err) {
+                console.error("[Session] Failed to set up reconnected stream:", err);
+                drop(conn, "setup failed");
+            }
+        }, delay);
+    }
+
+    function scheduleRenewal(conn, delayMs) {
+        clearTimeout(renewTimer);
+        renewTimer = setTimeout(() => renew(conn), Math.max(0, delayMs));
+    }
+
+    async function renew(old) {
+        if (stopped || old !== connection) return;
+
+        console.log("[Session] Starting replacement pipeline before the processing timeout");
+        onRenewing();
+        let next = null;
+        try {
+            next = await open(old);
+            // Swap only once the replacement's video (or data) is flowing
+            await whenReady(next, videoOutput);
+        } catch (err) {
+            console.warn("[Session] Renewal failed:", err);
+            if (next) await onRetired(next).catch(() => {});
+            // Try again while there is time left; otherwise the timeout ends
+            // the pipeline and the session reconnects
+            if (!isPermanent(err) && old === connection && old.expiresAt - Date.now() > 2 * RENEW_RETRY_MS) {
+                scheduleRenewal(old, RENEW_RETRY_MS);
+            }
+            return;
+        }
+
+        if (stopped || old !== connection) {
+            await onRetired(next).catch(() => {});
+            return;
+        }
+
+        unwatch();
+        try {
+            await attach(next, {renewed: true});
+        } catch (err) {
+            console.error("[Session] Failed to set up renewed stream:", err);
+            drop(next, "setup failed");
+        }
+        await onRetired(old).catch(err => console.error("[Session] Failed to retire old connection:", err));
+    }
+
+    return {
+        /**
+         * Connect for the first time; failures are thrown, not retried
+         */
+        async start() {
+            await attach(await open());
+        },
+
+        /**
+         * Stop watching, retrying and renewing. Returns the current
+         * connection, if any, for the caller to clean up.
+         */
+        stop() {
+            stopped = true;
+            clearTimeout(retryTimer);
+            clearTimeout(renewTimer);
+            unwatch();
+            const current = connection;
+            connection = null;
+            return current;
+        },
+
+        /**
+         * The live connection, or null while reconnecting
+         */
+        get connection() {
+            return connection;
+        },
+
+        /**
+         * When the current pipeline's processing timeout ends it (epoch ms),
+         * or null without a timeout or while reconnecting
+         */
+        get expiresAt() {
+            return connection?.expiresAt ?? null;
+        }
+    };
+}
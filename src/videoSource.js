@@ -0,0 +1,97 @@
+/**
+ * Video file sources
+ *
+ * Plays a local file or a video served from /api/videos into an off-screen
+ * <video> element and captures it as a MediaStream, so recorded footage goes
+ * through the same webrtc.useStream flow as a live camera. captureStream()
+ * on a video element has no frame rate, so a capped rate is captured from a
+ * canvas the video is drawn onto instead.
+ */
+
+import {getJson} from "./api.js";
+
+/**
+ * List the videos stored on the server
+ */
+export async function listServerVideos() {
+    const {videos} = await getJson("/api/videos");
+    return videos;
+}
+
+/**
+ * URL of a video stored on the server
+ */
+export function serverVideoUrl(name) {
+    return `/api/videos/${encodeURIComponent(name)}`;
+}
+
+/**
+ * Load a video and capture it as a MediaStream. Playback starts with `play()`,
+ * so no footage is lost while the WebRTC connection is being set up.
+ *
+ * @param {File|string} source - Local file or video URL
+ * @param {Object} [options]
+ * @param {number} [options.frameRate] - Maximum capture frame rate (defaults to the video's)
+ * @returns {Promise<{stream: MediaStream, currentTime: number, ended: Promise<void>, play: Function, pause: Function, stop: Function}>}
+ */
+export async function createVideoFileStream(source, {frameRate} = {}) {
+    const video = document.createElement("video");
+    const objectUrl = source instanceof File ? URL.createObjectURL(source) : null;
+    video.muted = true;
+    video.playsInline = true;
+    video.preload = "auto";
+    video.src = objectUrl || source;
+    let drawTimer = null;
+    let stream = null;
+
+    function stop() {
+        clearInterval(drawTimer);
+        if (frameRate) stream?.getTracks().forEach(track => track.stop());
+        video.pause();
+        video.removeAttribute("src");
+        video.load();
+        if (objectUrl) URL.revokeObjectURL(objectUrl);
+    }
+
+    try {
+        await new Promise((resolve, reject) => {
+            video.addEventListener("loadeddata", resolve, {once: true});
+            video.addEventListener("error", () => {
+                reject(new Error(`Cannot play video: ${video.error?.message || "unsupported format"}`));
+            }, {once: true});
+        });
+    } catch (err) {
+        stop();
+        throw err;
+    }
+
+    if (frameRate) {
+        const canvas = document.createElement("canvas");
+        canvas.width = video.videoWidth;
+        canvas.height = video.videoHeight;
+        const context = canvas.getContext("2d");
+        const draw = () => context.drawImage(video, 0, 0, canvas.width, canvas.height);
+        draw();
+        // A timer rather than requestAnimationFrame, which stops in background tabs
+        drawTimer = setInterval(draw, 1000 / frameRate);
+        stream = canvas.captureStream(frameRate);
+    } else {
+        const capture = video.captureStream || video.mozCaptureStream;
+        if (!capture) {
+            stop();
+            throw new Error("This browser cannot capture video elements");
+        }
+        stream = capture.call(video);
+    }
+
+    return {
+        stream,
+        get currentTime() {
+            return video.currentTime;
+        },
+        ended: new Promise(resolve => video.addEventListener("ended", () => resolve(), {once: true})),
+        play: () => video.play(),
+        pause: () => video.pause(),
+        stop
+    };
+}
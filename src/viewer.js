@@ -0,0 +1,119 @@
+/**
+ * Viewer page
+ *
+ * Read-only dashboard, e.g. for a wall display: follows the live feed of the
+ * browsers running a session and shows each one's Bottle Consumption table
+ * and levels text, without a camera or a pipeline of its own.
+ */
+
+import {getJson} from "./api.js";
+import {initAuthPanel} from "./authPanel.js";
+import {renderBottleTable} from "./bottleTable.js";
+
+const statusEl = document.getElementById("liveStatus");
+const feedsEl = document.getElementById("liveFeeds");
+
+const RETRY_DELAY_MS = 5000;
+
+let events = null;
+// feed id -> { root, status, levels, tbody }
+const feeds = new Map();
+
+// Connection problems, or that no page publishes; hidden while tables are shown
+function setStatus(text) {
+    statusEl.textContent = text;
+    statusEl.hidden = !text;
+}
+
+function renderFeed() {
+    const root = document.createElement("section");
+    root.className = "live-feed";
+    root.innerHTML = `
+      <div class="feed-status"></div>
+      <div class="levels-text"></div>
+      <div class="bottle-table-container">
+        <h3>Bottle Consumption</h3>
+        <table class="bottle-table">
+          <thead>
+            <tr>
+              <th>Bottle Color</th>
+              <th>Current Percentage</th>
+              <th>Refills</th>
+              <th>Percentage Consumed</th>
+              <th>Consumed (Liters)</th>
+            </tr>
+          </thead>
+          <tbody></tbody>
+        </table>
+      </div>
+    `;
+    feedsEl.append(root);
+    return {
+        root,
+        status: root.querySelector(".feed-status"),
+        levels: root.querySelector(".levels-text"),
+        tbody: root.querySelector("tbody")
+    };
+}
+
+function showState(state) {
+    if (!feeds.has(state.id)) feeds.set(state.id, renderFeed());
+    const feed = feeds.get(state.id);
+    feed.levels.textContent = state.levels;
+    renderBottleTable(feed.tbody, state.bottles);
+
+    const updated = new Date(state.updatedAt).toLocaleTimeString();
+    const publisher = state.publishedBy ? ` by ${state.publishedBy}` : "";
+    feed.status.textContent = state.active
+        ? `Live${publisher} - updated ${updated}`
+        : `Session stopped${publisher} at ${updated}`;
+    setStatus("");
+}
+
+function removeFeed(id) {
+    feeds.get(id)?.root.remove();
+    feeds.delete(id);
+    if (feeds.size === 0) setStatus("Waiting for a session to start...");
+}
+
+function clearFeeds() {
+    feeds.forEach(feed => feed.root.remove());
+    feeds.clear();
+}
+
+/**
+ * Follow the live feed. EventSource reconnects by itself after network
+ * errors; a refused stream (e.g. after the login expired) is retried here.
+ */
+async function connect() {
+    events?.close();
+    events = null;
+
+    try {
+        // A plain request first, so a 401 brings up the login overlay
+        const {states} = await getJson("/api/live");
+        clearFeeds();
+        states.forEach(showState);
+        if (states.length === 0) setStatus("Waiting for a session to start...");
+    } catch (err) {
+        setStatus(err.status === 401 ? "Log in to follow the live feed" : `Error: ${err.message}`);
+        if (err.status !== 401) setTimeout(connect, RETRY_DELAY_MS);
+        return;
+    }
+
+    const source = new EventSource("/api/live/stream");
+    events = source;
+    source.addEventListener("state", (e) => showState(JSON.parse(e.data)));
+    source.addEventListener("removed", (e) => removeFeed(JSON.parse(e.data).id));
+    source.addEventListener("error", () => {
+        if (source.readyState === EventSource.CLOSED) {
+            setStatus("Disconnected, retrying...");
+            setTimeout(connect, RETRY_DELAY_MS);
+        } else {
+            setStatus("Connection lost, reconnecting...");
+        }
+    });
+}
+
+initAuthPanel({onLogin: connect});
+connect();
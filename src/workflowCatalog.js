@@ -0,0 +1,22 @@
+/**
+ * Workflow catalog
+ *
+ * The stored workflows the server is configured to run, with their default
+ * I/O names. The browser refers to them by catalog id only.
+ */
+
+import {getJson} from "./api.js";
+
+let catalog = {workflows: [], customWorkflows: false};
+
+/**
+ * Fetch the catalog; resolves to { workflows, customWorkflows }
+ */
+export async function loadWorkflowCatalog() {
+    catalog = await getJson("/api/workflows");
+    return catalog;
+}
+
+export function getCatalogWorkflow(id) {
+    return catalog.workflows.find(workflow => workflow.id === id) || null;
+}
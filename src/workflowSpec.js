@@ -0,0 +1,167 @@
+/**
+ * Workflow specification checks
+ *
+ * A workflow spec is the JSON definition exported from the Roboflow workflow
+ * editor: `inputs`, `steps` and `outputs`, wired together with `$inputs.<name>`
+ * and `$steps.<name>.<field>` selectors. These helpers check that structure
+ * before it is sent as `workflowSpec`, and work out which input takes the
+ * video frames and which outputs are images (stream outputs) or data.
+ * Specs can be saved on the server as named presets.
+ */
+
+import {deleteJson, getJson, putJson} from "./api.js";
+import {slugify} from "./calibration.js";
+
+const IMAGE_INPUT_TYPES = ["WorkflowImage", "InferenceImage"];
+const METADATA_INPUT_TYPES = ["WorkflowVideoMetadata"];
+const SELECTOR_PATTERN = /^\$(inputs|steps)\.([\w-]+)(?:\.([\w*-]+))?$/;
+
+/**
+ * Parse spec text. Accepts a bare spec or an export wrapping it in
+ * `{ "specification": ... }`. Returns { spec } or { error }.
+ */
+export function parseWorkflowSpec(text) {
+    if (!text.trim()) return {error: "Workflow spec is empty"};
+
+    let parsed;
+    try {
+        parsed = JSON.parse(text);
+    } catch (err) {
+        return {error: `Invalid JSON: ${err.message}`};
+    }
+
+    const spec = parsed?.specification && typeof parsed.specification === "object" ? parsed.specification : parsed;
+    if (!spec || typeof spec !== "object" || Array.isArray(spec)) {
+        return {error: "Workflow spec must be a JSON object"};
+    }
+    return {spec};
+}
+
+function collectSelectors(value, found = []) {
+    if (typeof value === "string") {
+        if (value.startsWith("$")) found.push(value);
+    } else if (Array.isArray(value)) {
+        value.forEach(item => collectSelectors(item, found));
+    } else if (value && typeof value === "object") {
+        Object.values(value).forEach(item => collectSelectors(item, found));
+    }
+    return found;
+}
+
+function checkNamedList(list, label, errors) {
+    if (!Array.isArray(list)) {
+        errors.push(`"${label}" must be an array`);
+        return new Map();
+    }
+
+    const byName = new Map();
+    list.forEach((item, index) => {
+        if (typeof item?.name !== "string" || !item.name) {
+            errors.push(`${label}[${index}] needs a "name"`);
+            return;
+        }
+        if (byName.has(item.name)) {
+            errors.push(`${label}: duplicate name "${item.name}"`);
+        }
+        byName.set(item.name, item);
+    });
+    return byName;
+}
+
+/**
+ * Check a parsed spec and detect its I/O names
+ *
+ * @param {Object} spec - Parsed workflow specification
+ * @returns {{errors: string[], imageInputName: ?string, parameters: string[], streamOutputNames: string[], dataOutputNames: string[]}}
+ */
+export function analyzeWorkflowSpec(spec) {
+    const errors = [];
+    const inputs = checkNamedList(spec.inputs, "inputs", errors);
+    const steps = checkNamedList(spec.steps, "steps", errors);
+    const outputs = checkNamedList(spec.outputs, "outputs", errors);
+
+    for (const [name, input] of inputs) {
+        if (typeof input.type !== "string") errors.push(`Input "${name}" needs a "type"`);
+    }
+    for (const [name, step] of steps) {
+        if (typeof step.type !== "string") errors.push(`Step "${name}" needs a "type"`);
+    }
+
+    const checkSelector = (selector, where) => {
+        const match = SELECTOR_PATTERN.exec(selector);
+        if (!match) {
+            errors.push(`${where}: "${selector}" is not a valid selector`);
+        } else if (match[1] === "inputs" && !inputs.has(match[2])) {
+            errors.push(`${where}: unknown input "${match[2]}"`);
+        } else if (match[1] === "steps" && !steps.has(match[2])) {
+            errors.push(`${where}: unknown step "${match[2]}"`);
+        }
+    };
+
+    for (const [name, step] of steps) {
+        collectSelectors(step).forEach(selector => checkSelector(selector, `Step "${name}"`));
+    }
+
+    const streamOutputNames = [];
+    const dataOutputNames = [];
+    for (const [name, output] of outputs) {
+        if (typeof output.selector !== "string") {
+            errors.push(`Output "${name}" needs a "selector"`);
+            continue;
+        }
+        checkSelector(output.selector, `Output "${name}"`);
+
+        // Visualization blocks return the annotated frame as their `image` field
+        const [, kind, stepName, field] = SELECTOR_PATTERN.exec(output.selector) || [];
+        const isImage = kind === "steps" && field === "image" && /visuali[sz]ation/i.test(steps.get(stepName)?.type || "");
+        (isImage ? streamOutputNames : dataOutputNames).push(name);
+    }
+    if (outputs.size === 0 && Array.isArray(spec.outputs)) {
+        errors.push("The workflow has no outputs");
+    }
+
+    const imageInput = [...inputs.values()].find(input => IMAGE_INPUT_TYPES.includes(input.type));
+    if (!imageInput && Array.isArray(spec.inputs)) {
+        errors.push("The workflow needs an image input (WorkflowImage) for the video frames");
+    }
+
+    return {
+        errors,
+        imageInputName: imageInput?.name || null,
+        parameters: [...inputs.values()]
+            .filter(input => !IMAGE_INPUT_TYPES.includes(input.type) && !METADATA_INPUT_TYPES.includes(input.type))
+            .map(input => input.name),
+        streamOutputNames,
+        dataOutputNames
+    };
+}
+
+let presets = {};
+
+export async function loadPresets() {
+    ({presets} = await getJson("/api/workflow-presets"));
+    return presets;
+}
+
+export function getPresets() {
+    return Object.values(presets).sort((a, b) => a.name.localeCompare(b.name));
+}
+
+export function getPreset(id) {
+    return presets[id] || null;
+}
+
+/**
+ * Save a spec under a name; the id is a slug of the name
+ */
+export async function savePreset(name, spec) {
+    const id = slugify(name);
+    const {preset} = await putJson(`/api/workflow-presets/${encodeURIComponent(id)}`, {name, spec});
+    presets[id] = preset;
+    return preset;
+}
+
+export async function deletePreset(id) {
+    await deleteJson(`/api/workflow-presets/${encodeURIComponent(id)}`);
+    delete presets[id];
+}
@@ -0,0 +1,202 @@
+/**
+ * Custom workflow spec editor
+ *
+ * Lets the user paste or upload a workflow specification for the
+ * "Custom Workflow (in script)" mode, checks it as it is edited, shows the
+ * detected inputs and outputs, and keeps specs as named presets.
+ */
+
+import {escapeHtml} from "./html.js";
+import {
+    analyzeWorkflowSpec,
+    deletePreset,
+    getPreset,
+    getPresets,
+    loadPresets,
+    parseWorkflowSpec,
+    savePreset
+} from "./workflowSpec.js";
+
+const specInputs = {
+    text: document.getElementById("workflowSpecText"),
+    file: document.getElementById("workflowSpecFile"),
+    preset: document.getElementById("workflowPreset"),
+    presetName: document.getElementById("workflowPresetName"),
+    applyIoBtn: document.getElementById("applySpecIoBtn"),
+    saveBtn: document.getElementById("savePresetBtn"),
+    deleteBtn: document.getElementById("deletePresetBtn")
+};
+const statusEl = document.getElementById("workflowSpecStatus");
+const presetStatusEl = document.getElementById("workflowPresetStatus");
+
+// Result of checking the editor's current text
+let current = {spec: null, analysis: null, error: "Workflow spec is empty"};
+
+let panelOptions = {
+    onDetectedIo: () => {}
+};
+
+function setPresetStatus(text) {
+    presetStatusEl.textContent = text;
+}
+
+function checkSpec() {
+    const {spec, error} = parseWorkflowSpec(specInputs.text.value);
+    if (error) {
+        current = {spec: null, analysis: null, error};
+    } else {
+        const analysis = analyzeWorkflowSpec(spec);
+        current = {spec, analysis, error: analysis.errors.length > 0 ? analysis.errors.join("\n") : null};
+    }
+    renderStatus();
+}
+
+function renderStatus() {
+    const {analysis, error} = current;
+    statusEl.classList.toggle("error", Boolean(error) && Boolean(specInputs.text.value.trim()));
+    specInputs.applyIoBtn.disabled = !analysis?.imageInputName;
+    specInputs.saveBtn.disabled = Boolean(error);
+
+    if (!specInputs.text.value.trim()) {
+        statusEl.textContent = "Paste a workflow spec or upload its JSON export";
+        return;
+    }
+    if (!analysis) {
+        statusEl.textContent = error;
+        return;
+    }
+
+    const list = names => names.length > 0 ? names.join(", ") : "none";
+    const detected = [
+        `Image input: ${analysis.imageInputName || "none"}`,
+        `Parameters: ${list(analysis.parameters)}`,
+        `Stream outputs: ${list(analysis.streamOutputNames)}`,
+        `Data outputs: ${list(analysis.dataOutputNames)}`
+    ].join("\n");
+    statusEl.textContent = error ? `${error}\n\n${detected}` : `✓ Spec looks valid\n${detected}`;
+}
+
+function applyDetectedIo() {
+    const {analysis} = current;
+    if (!analysis?.imageInputName) return;
+
+    panelOptions.onDetectedIo({
+        imageInputName: analysis.imageInputName,
+        streamOutputNames: analysis.streamOutputNames,
+        dataOutputNames: analysis.dataOutputNames
+    });
+}
+
+/**
+ * Replace the editor contents, then check them and fill in the detected I/O
+ */
+function loadSpecText(text) {
+    specInputs.text.value = text;
+    checkSpec();
+    applyDetectedIo();
+}
+
+function renderPresets(selectedId = specInputs.preset.value) {
+    const options = getPresets().map(preset =>
+        `<option value="${escapeHtml(preset.id)}">${escapeHtml(preset.name)}</option>`
+    );
+    specInputs.preset.innerHTML = ['<option value="">Choose a saved spec</option>', ...options].join('');
+    specInputs.preset.value = getPreset(selectedId) ? selectedId : "";
+    specInputs.deleteBtn.disabled = !specInputs.preset.value;
+}
+
+function handlePresetChange() {
+    const preset = getPreset(specInputs.preset.value);
+    specInputs.deleteBtn.disabled = !preset;
+    if (!preset) return;
+
+    specInputs.presetName.value = preset.name;
+    loadSpecText(JSON.stringify(preset.spec, null, 2));
+    setPresetStatus("");
+}
+
+async function handleFileChange() {
+    const file = specInputs.file.files[0];
+    if (!file) return;
+
+    try {
+        loadSpecText(await file.text());
+        if (!specInputs.presetName.value) {
+            specInputs.presetName.value = file.name.replace(/\.json$/i, "");
+        }
+    } catch (err) {
+        console.error("[Workflow] Failed to read spec file:", err);
+        setPresetStatus(`Error: ${err.message}`);
+    } finally {
+        specInputs.file.value = "";
+    }
+}
+
+async function handleSavePreset() {
+    const name = specInputs.presetName.value.trim();
+    if (!name) {
+        setPresetStatus("Enter a preset name first");
+        return;
+    }
+    if (current.error) return;
+
+    try {
+        const preset = await savePreset(name, current.spec);
+        renderPresets(preset.id);
+        setPresetStatus(`Saved "${preset.name}"`);
+    } catch (err) {
+        console.error("[Workflow] Failed to save preset:", err);
+        setPresetStatus(`Error: ${err.message}`);
+    }
+}
+
+async function handleDeletePreset() {
+    const preset = getPreset(specInputs.preset.value);
+    if (!preset || !confirm(`Delete workflow preset "${preset.name}"?`)) return;
+
+    try {
+        await deletePreset(preset.id);
+        renderPresets("");
+        setPresetStatus(`Deleted "${preset.name}"`);
+    } catch (err) {
+        console.error("[Workflow] Failed to delete preset:", err);
+        setPresetStatus(`Error: ${err.message}`);
+    }
+}
+
+/**
+ * The spec to send for the custom workflow mode
+ * @throws {Error} When the editor doesn't hold a valid spec
+ */
+export function getWorkflowSpec() {
+    if (current.error) {
+        throw new Error(`Custom workflow spec: ${current.error}`);
+    }
+    return current.spec;
+}
+
+/**
+ * Attach the editor's event handlers and load the saved presets
+ *
+ * @param {Object} options
+ * @param {Function} options.onDetectedIo - Called with { imageInputName, streamOutputNames, dataOutputNames }
+ */
+export async function initWorkflowSpecPanel(options = {}) {
+    panelOptions = {...panelOptions, ...options};
+
+    specInputs.text.addEventListener("input", checkSpec);
+    specInputs.file.addEventListener("change", handleFileChange);
+    specInputs.preset.addEventListener("change", handlePresetChange);
+    specInputs.applyIoBtn.addEventListener("click", applyDetectedIo);
+    specInputs.saveBtn.addEventListener("click", handleSavePreset);
+    specInputs.deleteBtn.addEventListener("click", handleDeletePreset);
+    checkSpec();
+
+    try {
+        await loadPresets();
+        renderPresets();
+    } catch (err) {
+        console.error("[Workflow] Failed to load presets:", err);
+        setPresetStatus("Failed to load presets");
+    }
+}
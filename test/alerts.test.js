@@ -0,0 +1,115 @@
+import assert from 'node:assert/strict';
+import fsp from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { after, before, describe, it } from 'node:test';
+
+import { checkAlerts, listAlerts, validateRule } from '../server/alerts.js';
+
+let dir;
+
+function table(rows, active = true) {
+  return {
+    active,
+    bottles: rows.map(row => ({
+      id: row.color,
+      label: row.color,
+      lost: false,
+      averagePercent: 50,
+      refillCount: 0,
+      consumedPercent: 0,
+      consumedLiters: 0,
+      msSinceLastDrink: 0,
+      ...row
+    }))
+  };
+}
+
+function check(state, publisher = 'ann/page-1') {
+  return checkAlerts(state, { user: 'ann', publisher });
+}
+
+before(async () => {
+  dir = await fsp.mkdtemp(path.join(os.tmpdir(), 'alerts-test-'));
+  process.env.DATA_DIR = dir;
+  process.env.ALERTS_CONFIG = path.join(dir, 'alerts-config.json');
+  process.env.LOG_LEVEL = 'error';
+  await fsp.writeFile(process.env.ALERTS_CONFIG, JSON.stringify({
+    cooldownMinutes: 10,
+    webhooks: [],
+    rules: [
+      { id: 'low', type: 'low_level', threshold: 20 },
+      { id: 'thirsty', type: 'no_drink', minutes: 60, colors: ['blue'] },
+      { id: 'lost', type: 'bottle_lost' },
+      // Invalid, so skipped when the config is loaded
+      { id: 'broken', type: 'low_level', threshold: 200 }
+    ]
+  }));
+});
+
+after(async () => {
+  await fsp.rm(dir, { recursive: true, force: true });
+});
+
+describe('validateRule', () => {
+  it('fills in defaults and checks each type', () => {
+    assert.deepEqual(validateRule({ id: 'lost', type: 'bottle_lost' }), {
+      rule: { id: 'lost', type: 'bottle_lost', colors: null }
+    });
+    assert.ok(validateRule({ id: 'low', type: 'low_level', threshold: 0 }).error);
+    assert.ok(validateRule({ id: 'thirsty', type: 'no_drink', minutes: -1 }).error);
+    assert.ok(validateRule({ id: 'x', type: 'flood' }).error);
+    assert.ok(validateRule({ type: 'bottle_lost' }).error);
+    assert.ok(validateRule({ id: 'lost', type: 'bottle_lost', colors: 'blue' }).error);
+  });
+});
+
+describe('checkAlerts', () => {
+  it('fires once when a condition starts to hold and stores the alert', async () => {
+    const fired = await check(table([{ color: 'red', averagePercent: 10 }]));
+
+    assert.deepEqual(fired.map(alert => [alert.ruleId, alert.bottleId]), [['low', 'red']]);
+    assert.equal(fired[0].publishedBy, 'ann');
+    assert.deepEqual(await check(table([{ color: 'red', averagePercent: 9 }])), []);
+    assert.equal((await listAlerts())[0].id, fired[0].id);
+  });
+
+  it("doesn't fire again within the cooldown after the condition cleared", async () => {
+    const publisher = 'ann/page-2';
+    assert.equal((await check(table([{ color: 'red', lost: true }]), publisher)).length, 1);
+
+    await check(table([{ color: 'red' }]), publisher);
+    assert.deepEqual(await check(table([{ color: 'red', lost: true }]), publisher), []);
+  });
+
+  it('only applies rules to their colors', async () => {
+    const publisher = 'ann/page-3';
+    const twoHours = 2 * 60 * 60 * 1000;
+
+    const fired = await check(table([
+      { color: 'blue', msSinceLastDrink: twoHours },
+      { color: 'green', msSinceLastDrink: twoHours }
+    ]), publisher);
+
+    assert.deepEqual(fired.map(alert => [alert.ruleId, alert.bottleId, alert.value]), [['thirsty', 'blue', 120]]);
+  });
+
+  it('watches each publishing page on its own', async () => {
+    const low = table([{ color: 'red', averagePercent: 10 }]);
+
+    assert.equal((await check(low, 'ann/page-4')).length, 1);
+    assert.equal((await check(low, 'bob/page-1')).length, 1);
+  });
+
+  it("clears only the stopping page's conditions", async () => {
+    const low = table([{ color: 'red', averagePercent: 10 }]);
+    await check(low, 'ann/page-5');
+    await check(low, 'ann/page-6');
+
+    assert.deepEqual(await check(table([], false), 'ann/page-5'), []);
+    // Still holding on the other page, so it doesn't fire again
+    assert.deepEqual(await check(low, 'ann/page-6'), []);
+    // The stopped page starts over, but its cooldown still applies
+    assert.deepEqual(await check(low, 'ann/page-5'), []);
+  });
+});
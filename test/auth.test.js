@@ -0,0 +1,101 @@
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import fsp from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { after, before, beforeEach, describe, it } from 'node:test';
+
+import {
+  addUser, authenticate, getRequestUser, isAuthEnabled, loadUsers, requireAuth, setSessionCookie
+} from '../server/auth.js';
+
+const SECRET = 'test-secret';
+let dir;
+
+function cookieFor(user) {
+  let cookie;
+  setSessionCookie({ cookie: (name, value) => (cookie = `${name}=${encodeURIComponent(value)}`) }, user);
+  return cookie;
+}
+
+function signedCookie(value) {
+  const signature = crypto.createHmac('sha256', SECRET).update(value).digest('base64url');
+  return `rf_session=${value}.${signature}`;
+}
+
+function callAuth(req, options) {
+  return new Promise(resolve => {
+    const res = { status: code => ({ json: () => resolve(code) }) };
+    requireAuth(options)({ path: '/sessions', headers: {}, ...req }, res, () => resolve(200));
+  });
+}
+
+before(async () => {
+  dir = await fsp.mkdtemp(path.join(os.tmpdir(), 'auth-test-'));
+  process.env.SESSION_SECRET = SECRET;
+});
+
+beforeEach(() => {
+  process.env.USERS_FILE = path.join(dir, `users-${crypto.randomUUID()}.json`);
+  delete process.env.AUTH_TOKEN;
+});
+
+after(async () => {
+  await fsp.rm(dir, { recursive: true, force: true });
+});
+
+describe('session cookie', () => {
+  it('authenticates requests carrying the cookie it set', () => {
+    assert.equal(getRequestUser({ headers: { cookie: cookieFor('ann') } }), 'ann');
+  });
+
+  it('rejects tampered and expired cookies', () => {
+    const ann = Buffer.from('ann').toString('base64url');
+    const expires = Date.now() + 60000;
+
+    assert.equal(getRequestUser({ headers: { cookie: `rf_session=${ann}.${expires}.forged` } }), null);
+    assert.equal(getRequestUser({ headers: { cookie: signedCookie(`${ann}.${Date.now() - 1000}`) } }), null);
+    assert.equal(getRequestUser({ headers: { cookie: signedCookie(`${ann}.${expires}`) } }), 'ann');
+  });
+
+  it('accepts the shared token as a bearer token', () => {
+    process.env.AUTH_TOKEN = 'shared';
+
+    assert.equal(getRequestUser({ headers: { authorization: 'Bearer shared' } }), 'token');
+    assert.equal(getRequestUser({ headers: { authorization: 'Bearer wrong' } }), null);
+  });
+});
+
+describe('accounts', () => {
+  it('checks passwords against the stored hashes', async () => {
+    await addUser('ann', 'correct horse');
+
+    assert.equal(await authenticate({ username: 'ann', password: 'correct horse' }), 'ann');
+    assert.equal(await authenticate({ username: 'ann', password: 'wrong' }), null);
+    assert.equal(await authenticate({ username: 'bob', password: 'correct horse' }), null);
+  });
+
+  it('re-reads the users file only when it changes', async () => {
+    await addUser('ann', 'correct horse');
+    const users = await loadUsers();
+    assert.equal(await loadUsers(), users);
+
+    await addUser('bob', 'battery staple');
+    assert.deepEqual(Object.keys(await loadUsers()), ['ann', 'bob']);
+  });
+});
+
+describe('requireAuth', () => {
+  it('lets everything through without a login method', async () => {
+    assert.equal(await isAuthEnabled(), false);
+    assert.equal(await callAuth({}), 200);
+  });
+
+  it('answers 401 without a login, except for public paths', async () => {
+    process.env.AUTH_TOKEN = 'shared';
+
+    assert.equal(await callAuth({}), 401);
+    assert.equal(await callAuth({ path: '/health' }, { publicPaths: ['/health'] }), 200);
+    assert.equal(await callAuth({ headers: { cookie: cookieFor('token') } }), 200);
+  });
+});
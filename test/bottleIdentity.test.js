@@ -0,0 +1,128 @@
+import assert from "node:assert/strict";
+import {describe, it} from "node:test";
+
+import {createBottleTracker, extractReadings} from "../src/bottleTracker.js";
+
+function payload(scores, detections) {
+    const output = {percentage: scores.map(score => JSON.stringify(score))};
+    if (detections) output.predictions = {image: {width: 640, height: 480}, predictions: detections};
+    return {serialized_output_data: output};
+}
+
+function collectEvents(tracker) {
+    const events = [];
+    ["bottle-appeared", "bottle-reidentified", "bottle-merged", "bottle-split"].forEach(type => {
+        tracker.on(type, event => events.push(event));
+    });
+    return events;
+}
+
+describe("pairing scores with detections", () => {
+    it("pairs by index, even when the lists differ in length", () => {
+        const readings = extractReadings(payload(
+            [{bottle_color: "blue", fill_level_percent: 50}, {bottle_color: "red", fill_level_percent: 40}],
+            [{tracker_id: 7}]
+        ), 1000);
+
+        assert.deepEqual(readings.map(reading => reading.tracker_id), [7, null]);
+    });
+
+    it("pairs scores naming a detection with that detection", () => {
+        const readings = extractReadings(payload(
+            [{bottle_color: "blue", fill_level_percent: 50, detection_id: "b"}],
+            [{detection_id: "a", tracker_id: 1}, {detection_id: "b", tracker_id: 2}]
+        ), 1000);
+
+        assert.equal(readings[0].tracker_id, 2);
+    });
+});
+
+describe("bottle identity", () => {
+    it("tells bottles apart by color when there are no tracker ids", () => {
+        const tracker = createBottleTracker();
+        const events = collectEvents(tracker);
+
+        for (let i = 0; i < 3; i++) {
+            tracker.ingestPayload(payload([
+                {bottle_color: "blue", fill_level_percent: 80},
+                {bottle_color: "red", fill_level_percent: 50}
+            ]), i * 1000);
+        }
+
+        assert.deepEqual(tracker.getBottles().map(bottle => [bottle.color, bottle.trackId]), [
+            ["blue", null],
+            ["red", null]
+        ]);
+        assert.equal(events.filter(event => event.type === "bottle-appeared").length, 2);
+    });
+
+    it("keeps two same-colored bottles apart by tracker id", () => {
+        const tracker = createBottleTracker();
+
+        tracker.ingestPayload(payload(
+            [{bottle_color: "blue", fill_level_percent: 80}, {bottle_color: "blue", fill_level_percent: 30}],
+            [{tracker_id: 1}, {tracker_id: 2}]
+        ), 0);
+
+        assert.deepEqual(tracker.getBottles().map(bottle => [bottle.ordinal, bottle.trackId]), [[1, 1], [2, 2]]);
+    });
+
+    it("continues a bottle on a new track with the same color and level", () => {
+        const tracker = createBottleTracker();
+        const events = collectEvents(tracker);
+
+        for (let i = 0; i < 3; i++) {
+            tracker.ingestPayload(payload([{bottle_color: "blue", fill_level_percent: 80}], [{tracker_id: 1}]), i * 1000);
+        }
+        tracker.ingestPayload(payload([{bottle_color: "blue", fill_level_percent: 79}], [{tracker_id: 9}]), 3000);
+
+        assert.deepEqual(events.map(event => event.type), ["bottle-appeared", "bottle-reidentified"]);
+        assert.equal(events[1].previousTrackId, 1);
+        assert.equal(events[1].trackId, 9);
+        assert.equal(tracker.getBottles().length, 1);
+    });
+
+    it("starts a new bottle when the new track's level is too far off", () => {
+        const tracker = createBottleTracker();
+        const events = collectEvents(tracker);
+
+        for (let i = 0; i < 3; i++) {
+            tracker.ingestPayload(payload([{bottle_color: "blue", fill_level_percent: 80}], [{tracker_id: 1}]), i * 1000);
+        }
+        tracker.ingestPayload(payload([{bottle_color: "blue", fill_level_percent: 30}], [{tracker_id: 9}]), 3000);
+
+        assert.deepEqual(events.map(event => event.type), ["bottle-appeared", "bottle-appeared"]);
+        assert.equal(tracker.getBottles().length, 2);
+    });
+
+    it("merges two bottles and splits the newest track off again", () => {
+        const tracker = createBottleTracker();
+        const events = collectEvents(tracker);
+        tracker.ingestPayload(payload([{bottle_color: "blue", fill_level_percent: 80}], [{tracker_id: 1}]), 0);
+        tracker.ingestPayload(payload([{bottle_color: "blue", fill_level_percent: 30}], [{tracker_id: 2}]), 1000);
+        const [first, second] = tracker.getBottles();
+
+        assert.equal(tracker.merge(second.id, first.id), true);
+        const [merged] = tracker.getBottles();
+        assert.equal(tracker.getBottles().length, 1);
+        assert.deepEqual(merged.tracks.map(track => track.trackId), [1, 2]);
+        // The merged-in bottle was seen last, so its track carries on
+        assert.equal(merged.trackId, 2);
+
+        const part = tracker.split(first.id);
+        assert.equal(part.trackId, 2);
+        assert.equal(tracker.getBottle(first.id).trackId, 1);
+        assert.equal(tracker.getBottle(first.id).lost, true);
+        assert.deepEqual(events.map(event => event.type).slice(-2), ["bottle-merged", "bottle-split"]);
+    });
+
+    it("refuses to merge unknown bottles or split a bottle with one track", () => {
+        const tracker = createBottleTracker();
+        tracker.ingestPayload(payload([{bottle_color: "blue", fill_level_percent: 80}], [{tracker_id: 1}]), 0);
+        const [bottle] = tracker.getBottles();
+
+        assert.equal(tracker.merge("missing", bottle.id), false);
+        assert.equal(tracker.merge(bottle.id, bottle.id), false);
+        assert.equal(tracker.split(bottle.id), null);
+    });
+});
@@ -0,0 +1,97 @@
+import assert from "node:assert/strict";
+import {readFileSync} from "node:fs";
+import {describe, it} from "node:test";
+
+import {createBottleTracker, extractReadings} from "../src/bottleTracker.js";
+import {parseRecording} from "../src/sessionRecording.js";
+
+// A blue bottle on track 4, one payload per second: ~80% for 12 s, a sip to
+// ~70%, then a refill to ~95%
+const recording = readFileSync(new URL("./fixtures/blue-bottle-session.jsonl", import.meta.url), "utf8");
+const {entries} = parseRecording(recording);
+
+function payload(scores) {
+    return {serialized_output_data: {percentage: scores.map(score => typeof score === "string" ? score : JSON.stringify(score))}};
+}
+
+function collectEvents(tracker) {
+    const events = [];
+    ["sip", "refill", "bottle-appeared", "bottle-lost", "bottle-reidentified"].forEach(type => {
+        tracker.on(type, event => events.push(event));
+    });
+    return events;
+}
+
+describe("bottle tracker", () => {
+    it("emits appeared, sip, refill and lost for a recorded session", () => {
+        const tracker = createBottleTracker();
+        const events = collectEvents(tracker);
+
+        entries.forEach(({t, data}) => tracker.ingestPayload(data, t));
+        const lastT = entries[entries.length - 1].t;
+        tracker.sweep(lastT + 11000);
+
+        assert.deepEqual(events.map(event => event.type), ["bottle-appeared", "sip", "refill", "bottle-lost"]);
+        const [appeared, sip, refill, lost] = events;
+        assert.equal(appeared.color, "blue");
+        assert.equal(appeared.returning, false);
+        assert.ok(sip.fromPercent > 79 && sip.fromPercent < 81);
+        assert.ok(sip.toPercent > 69 && sip.toPercent < 71);
+        assert.ok(sip.volumeLiters > 0.09 && sip.volumeLiters < 0.11);
+        assert.equal(refill.refillCount, 1);
+        assert.ok(refill.toPercent > 94 && refill.toPercent < 96);
+        assert.equal(lost.lastSeen, lastT);
+        assert.equal(tracker.getBottle(appeared.bottleId).trackId, 4);
+    });
+
+    it("doesn't count jitter as sips", () => {
+        const tracker = createBottleTracker();
+        const events = collectEvents(tracker);
+
+        entries.slice(0, 12).forEach(({t, data}) => tracker.ingestPayload(data, t));
+
+        assert.deepEqual(events.map(event => event.type), ["bottle-appeared"]);
+    });
+
+    it("marks a returning bottle as appeared again", () => {
+        const tracker = createBottleTracker();
+        const events = collectEvents(tracker);
+        const {t, data} = entries[0];
+
+        tracker.ingestPayload(data, t);
+        tracker.sweep(t + 11000);
+        tracker.ingestPayload(data, t + 12000);
+
+        assert.deepEqual(events.map(event => [event.type, event.returning]), [
+            ["bottle-appeared", false],
+            ["bottle-lost", undefined],
+            ["bottle-appeared", true]
+        ]);
+    });
+});
+
+describe("extractReadings", () => {
+    it("reads NaN and Infinity scores as missing levels", () => {
+        const readings = extractReadings(payload([
+            '{"bottle_color": "blue", "fill_level_percent": NaN}',
+            '{"bottle_color": "red", "fill_level_percent": -Infinity}',
+            '{"bottle_color": "green", "fill_level_percent": 42.5}'
+        ]), 1000);
+
+        assert.deepEqual(readings.map(reading => [reading.color, reading.fill_level_percent]), [
+            ["blue", null],
+            ["red", null],
+            ["green", 42.5]
+        ]);
+    });
+
+    it("skips scores that aren't JSON or have no color", () => {
+        const readings = extractReadings(payload([
+            "{not json",
+            {fill_level_percent: 50},
+            {bottle_color: "blue", fill_level_percent: "61"}
+        ]), 1000);
+
+        assert.deepEqual(readings, [{color: "blue", fill_level_percent: 61, tracker_id: null, timestamp: 1000}]);
+    });
+});
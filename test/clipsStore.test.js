@@ -0,0 +1,101 @@
+import assert from 'node:assert/strict';
+import fsp from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { Readable } from 'node:stream';
+import { after, before, describe, it } from 'node:test';
+
+import { clipPath, deleteClip, listClips, saveClip, validateClipMeta } from '../server/clipsStore.js';
+
+let dir;
+
+function meta(recordedAt) {
+  return validateClipMeta({ kind: 'events', recordedAt, events: 'sip:blue' }).meta;
+}
+
+before(async () => {
+  dir = await fsp.mkdtemp(path.join(os.tmpdir(), 'clips-test-'));
+  process.env.DATA_DIR = dir;
+});
+
+after(async () => {
+  await fsp.rm(dir, { recursive: true, force: true });
+});
+
+describe('validateClipMeta', () => {
+  it('reads the kind, time, duration and events', () => {
+    assert.deepEqual(validateClipMeta({
+      kind: 'events', recordedAt: '1714557600000', durationMs: '15000', events: 'sip:blue,refill:red'
+    }), {
+      meta: {
+        kind: 'events',
+        recordedAt: '2024-05-01T10:00:00.000Z',
+        durationMs: 15000,
+        events: [{ type: 'sip', color: 'blue' }, { type: 'refill', color: 'red' }]
+      }
+    });
+  });
+
+  it('defaults to a continuous clip recorded now', () => {
+    const { meta: defaults } = validateClipMeta();
+
+    assert.equal(defaults.kind, 'continuous');
+    assert.ok(Math.abs(Date.parse(defaults.recordedAt) - Date.now()) < 1000);
+    assert.deepEqual(defaults.events, []);
+  });
+
+  it('refuses unknown kinds, bad times and bad events', () => {
+    assert.ok(validateClipMeta({ kind: 'highlights' }).error);
+    assert.ok(validateClipMeta({ recordedAt: 'noon' }).error);
+    assert.ok(validateClipMeta({ durationMs: '-5' }).error);
+    assert.ok(validateClipMeta({ events: 'spill:blue' }).error);
+    assert.ok(validateClipMeta({ events: 'sip' }).error);
+  });
+});
+
+describe('clips', () => {
+  it('streams a clip to disk and lists it', async () => {
+    const clip = await saveClip(Readable.from([Buffer.from('abc'), Buffer.from('def')]), 'video/mp4',
+      meta('2024-05-01T10:00:00Z'), { maxBytes: 100 });
+
+    assert.equal(clip.size, 6);
+    assert.match(clip.name, /\.mp4$/);
+    assert.equal(await fsp.readFile(clipPath(clip.name), 'utf8'), 'abcdef');
+    assert.ok((await listClips()).some(listed => listed.name === clip.name));
+  });
+
+  it('stores nothing for an empty clip', async () => {
+    assert.equal(await saveClip(Readable.from([]), 'video/webm', meta(), { maxBytes: 100 }), null);
+  });
+
+  it('refuses clips over the limit without leaving a file behind', async () => {
+    const existing = await fsp.readdir(path.join(dir, 'clips'));
+
+    await assert.rejects(
+      saveClip(Readable.from([Buffer.alloc(60), Buffer.alloc(60)]), 'video/webm', meta(), { maxBytes: 100 }),
+      error => error.status === 413
+    );
+    assert.deepEqual(await fsp.readdir(path.join(dir, 'clips')), existing);
+  });
+
+  it('keeps every clip saved at the same time in the index', async () => {
+    const saved = await Promise.all([1, 2, 3, 4].map(i =>
+      saveClip(Readable.from([Buffer.from('x')]), 'video/webm', meta(`2024-05-02T10:00:0${i}Z`), { maxBytes: 100 })));
+
+    const names = (await listClips()).map(clip => clip.name);
+    saved.forEach(clip => assert.ok(names.includes(clip.name), clip.name));
+  });
+
+  it('deletes a clip and its file', async () => {
+    const clip = await saveClip(Readable.from([Buffer.from('x')]), 'video/webm', meta(), { maxBytes: 100 });
+
+    assert.equal(await deleteClip(clip.name), true);
+    assert.equal(await deleteClip(clip.name), false);
+    await assert.rejects(fsp.stat(clipPath(clip.name)), { code: 'ENOENT' });
+  });
+
+  it('only resolves clip file names', () => {
+    assert.equal(clipPath('../clips.json'), null);
+    assert.equal(clipPath('clip-1.mov'), null);
+  });
+});
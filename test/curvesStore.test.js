@@ -0,0 +1,79 @@
+import assert from 'node:assert/strict';
+import fsp from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { after, before, describe, it } from 'node:test';
+
+import { deleteCurve, listCurves, saveCurve, validateCurve } from '../server/curvesStore.js';
+
+let dir;
+
+function curve(id, liters = 1) {
+  return validateCurve(id, { points: [{ percent: 0, liters: 0 }, { percent: 100, liters }] }).curve;
+}
+
+before(async () => {
+  dir = await fsp.mkdtemp(path.join(os.tmpdir(), 'curves-test-'));
+  process.env.DATA_DIR = dir;
+});
+
+after(async () => {
+  await fsp.rm(dir, { recursive: true, force: true });
+});
+
+describe('validateCurve', () => {
+  it('sorts the points by percent', () => {
+    const { curve: validated } = validateCurve('tall', {
+      name: ' Tall bottle ',
+      points: [{ percent: '100', liters: '1' }, { percent: 0, liters: 0 }, { percent: 50, liters: 0.4 }]
+    });
+
+    assert.equal(validated.name, 'Tall bottle');
+    assert.deepEqual(validated.points.map(point => point.percent), [0, 50, 100]);
+  });
+
+  it('needs at least two numeric points', () => {
+    assert.ok(validateCurve('tall', { points: [{ percent: 0, liters: 0 }] }).error);
+    assert.ok(validateCurve('tall', { points: [{ percent: 0, liters: 0 }, { percent: 'half', liters: 1 }] }).error);
+    assert.ok(validateCurve('tall', { points: [{ percent: 0, liters: 0 }, { percent: 100, liters: -1 }] }).error);
+  });
+
+  it('limits percents to 0-100', () => {
+    assert.equal(validateCurve('tall', { points: [{ percent: 0, liters: 0 }, { percent: 120, liters: 1 }] }).error,
+      'percent must be between 0 and 100');
+  });
+
+  it('needs liters to grow with distinct percents', () => {
+    const points = [{ percent: 0, liters: 1 }, { percent: 100, liters: 0.5 }];
+    assert.ok(validateCurve('tall', { points }).error);
+    assert.ok(validateCurve('tall', { points: [{ percent: 50, liters: 0 }, { percent: 50, liters: 1 }] }).error);
+  });
+});
+
+describe('curves', () => {
+  it('only overwrites a curve when asked to', async () => {
+    assert.equal((await saveCurve(curve('tall', 1))).points[1].liters, 1);
+
+    assert.equal(await saveCurve(curve('tall', 2)), null);
+    assert.equal((await listCurves()).tall.points[1].liters, 1);
+
+    await saveCurve(curve('tall', 2), { replace: true });
+    assert.equal((await listCurves()).tall.points[1].liters, 2);
+  });
+
+  it('keeps every curve saved at the same time', async () => {
+    const ids = ['a', 'b', 'c', 'd', 'e'];
+
+    await Promise.all(ids.map(id => saveCurve(curve(id))));
+
+    const stored = await listCurves();
+    ids.forEach(id => assert.ok(stored[id], `curve ${id}`));
+  });
+
+  it('deletes curves', async () => {
+    await saveCurve(curve('gone'));
+
+    assert.equal(await deleteCurve('gone'), true);
+    assert.equal(await deleteCurve('gone'), false);
+  });
+});
@@ -0,0 +1,88 @@
+import assert from "node:assert/strict";
+import {describe, it} from "node:test";
+
+import {createBottleTracker} from "../src/bottleTracker.js";
+import {DEFAULT_ESTIMATOR, ESTIMATORS, describeEstimator, estimateLevel, normalizeEstimator} from "../src/estimators.js";
+
+// A steady level with one bad reading at the end
+const spiked = [...Array(9).fill(80), 20];
+
+function payload(scores) {
+    return {serialized_output_data: {percentage: scores.map(score => typeof score === "string" ? score : JSON.stringify(score))}};
+}
+
+describe("normalizeEstimator", () => {
+    it("falls back to the default for unknown types", () => {
+        assert.deepEqual(normalizeEstimator({type: "magic"}), DEFAULT_ESTIMATOR);
+    });
+
+    it("bounds the window and parameters and fills in defaults", () => {
+        assert.deepEqual(normalizeEstimator({type: "ema", window: 1000, alpha: 0}), {
+            type: "ema",
+            window: 100,
+            alpha: 0.05,
+            jumpPercent: 15
+        });
+        assert.equal(normalizeEstimator({type: "median", window: "x"}).window, DEFAULT_ESTIMATOR.window);
+    });
+
+    it("describes a config", () => {
+        assert.equal(describeEstimator({type: "median", window: 5}), "Median (window 5)");
+    });
+});
+
+describe("estimateLevel", () => {
+    Object.keys(ESTIMATORS).forEach(type => {
+        it(`${type} ignores a single bad reading`, () => {
+            const {average, outlierIndexes} = estimateLevel(spiked, {type, window: 10});
+
+            assert.ok(Math.abs(average - 80) < 0.5, `average ${average}`);
+            assert.ok(outlierIndexes.includes(9));
+        });
+    });
+
+    it("has no level for an empty window", () => {
+        assert.deepEqual(estimateLevel([]), {average: null, filteredHistory: [], removedCount: 0, outlierIndexes: []});
+    });
+
+    it("doesn't reject outliers from a window that isn't full yet", () => {
+        const {average, removedCount} = estimateLevel([80, 80, 20], DEFAULT_ESTIMATOR);
+
+        assert.equal(average, 60);
+        assert.equal(removedCount, 0);
+    });
+});
+
+describe("tracker estimates", () => {
+    it("keeps a bottle seen with a NaN score without counting a sip", () => {
+        const tracker = createBottleTracker();
+        const events = [];
+        tracker.on("sip", event => events.push(event));
+
+        for (let i = 0; i < 10; i++) {
+            tracker.ingestPayload(payload([{bottle_color: "blue", fill_level_percent: 80}]), i * 1000);
+        }
+        tracker.ingestPayload(payload(['{"bottle_color": "blue", "fill_level_percent": NaN}']), 10000);
+
+        const [bottle] = tracker.getBottles();
+        assert.deepEqual(events, []);
+        assert.equal(bottle.lastSeen, 10000);
+        // The bad reading drops the oldest one instead of entering the window
+        assert.equal(bottle.percentHistory.length, 9);
+        assert.equal(bottle.estimate.average, 80);
+    });
+
+    it("cuts windows to the new size when the estimator changes", () => {
+        const tracker = createBottleTracker();
+        for (let i = 0; i < 10; i++) {
+            tracker.ingestPayload(payload([{bottle_color: "blue", fill_level_percent: 70 + i}]), i * 1000);
+        }
+
+        tracker.setEstimator({type: "median", window: 3});
+
+        const [bottle] = tracker.getBottles();
+        assert.deepEqual(bottle.percentHistory, [77, 78, 79]);
+        assert.equal(bottle.estimate.average, 78);
+        assert.equal(tracker.getEstimator().type, "median");
+    });
+});
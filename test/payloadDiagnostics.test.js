@@ -0,0 +1,31 @@
+import assert from "node:assert/strict";
+import {describe, it} from "node:test";
+
+import {createPayloadDiagnostics} from "../src/payloadDiagnostics.js";
+
+function payload(scores) {
+    return {serialized_output_data: {percentage: scores}};
+}
+
+describe("payload diagnostics", () => {
+    it("counts a NaN score once, as a fill level that isn't a number", () => {
+        const diagnostics = createPayloadDiagnostics();
+
+        const issues = diagnostics.inspect(payload(['{"bottle_color": "blue", "fill_level_percent": NaN}']), 1000);
+
+        const {malformed, nanPercentages} = diagnostics.getStats();
+        assert.equal(malformed, 0);
+        assert.equal(nanPercentages, 1);
+        assert.deepEqual(issues, ["blue: fill level is not a number"]);
+    });
+
+    it("still counts other bad items of the same message as malformed", () => {
+        const diagnostics = createPayloadDiagnostics();
+
+        diagnostics.inspect(payload(['{"bottle_color": "blue", "fill_level_percent": NaN}', "{not json"]), 1000);
+
+        const {malformed, nanPercentages} = diagnostics.getStats();
+        assert.equal(malformed, 1);
+        assert.equal(nanPercentages, 1);
+    });
+});
@@ -0,0 +1,62 @@
+import assert from 'node:assert/strict';
+import fsp from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { after, before, describe, it } from 'node:test';
+
+import { deleteProfile, listProfiles, saveProfile, validateProfile } from '../server/profilesStore.js';
+
+let dir;
+
+before(async () => {
+  dir = await fsp.mkdtemp(path.join(os.tmpdir(), 'profiles-test-'));
+  process.env.DATA_DIR = dir;
+});
+
+after(async () => {
+  await fsp.rm(dir, { recursive: true, force: true });
+});
+
+describe('validateProfile', () => {
+  it('fills in defaults', () => {
+    assert.deepEqual(validateProfile('blue', { capacityLiters: '0.75' }), {
+      profile: { color: 'blue', displayName: 'blue', owner: '', capacityLiters: 0.75, curveId: null }
+    });
+  });
+
+  it('refuses capacities outside 0-20 liters', () => {
+    [0, -1, 21, 'a lot'].forEach(capacityLiters => {
+      assert.ok(validateProfile('blue', { capacityLiters }).error, `capacity ${capacityLiters}`);
+    });
+  });
+
+  it('refuses fields that are not strings', () => {
+    assert.equal(validateProfile('blue', { capacityLiters: 1, owner: 7 }).error, 'owner must be a string');
+  });
+
+  it('only accepts curves that exist', () => {
+    const curves = { tall: { id: 'tall' } };
+
+    assert.equal(validateProfile('blue', { capacityLiters: 1, curveId: 'tall' }, curves).profile.curveId, 'tall');
+    assert.equal(validateProfile('blue', { capacityLiters: 1, curveId: 'wide' }, curves).error,
+      'No calibration curve: wide');
+  });
+});
+
+describe('profiles', () => {
+  it('keeps every profile saved at the same time', async () => {
+    const colors = ['blue', 'red', 'green', 'yellow', 'black'];
+
+    await Promise.all(colors.map(color => saveProfile(validateProfile(color, { capacityLiters: 1 }).profile)));
+
+    assert.deepEqual(Object.keys(await listProfiles()).sort(), [...colors].sort());
+  });
+
+  it('deletes profiles', async () => {
+    await saveProfile(validateProfile('white', { capacityLiters: 1 }).profile);
+
+    assert.equal(await deleteProfile('white'), true);
+    assert.equal(await deleteProfile('white'), false);
+    assert.equal((await listProfiles()).white, undefined);
+  });
+});
@@ -0,0 +1,84 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { createRateLimiter, rateLimit } from '../server/rateLimit.js';
+
+function call(middleware, req) {
+  const response = { status: 200, headers: {} };
+  const res = {
+    set(name, value) {
+      response.headers[name] = value;
+    },
+    status(code) {
+      response.status = code;
+      return { json: body => Object.assign(response, { body }) };
+    }
+  };
+  middleware(req, res, () => {});
+  return response;
+}
+
+describe('rate limiter', () => {
+  it('allows `limit` hits per key within the window', () => {
+    const limiter = createRateLimiter({ limit: 2, windowMs: 60000 });
+
+    assert.equal(limiter.hit('ann').allowed, true);
+    assert.equal(limiter.hit('ann').allowed, true);
+    const rejected = limiter.hit('ann');
+    assert.equal(rejected.allowed, false);
+    assert.ok(rejected.retryAfterSeconds > 0 && rejected.retryAfterSeconds <= 60);
+    assert.equal(limiter.hit('bob').allowed, true);
+  });
+
+  it("doesn't record checks", () => {
+    const limiter = createRateLimiter({ limit: 1, windowMs: 60000 });
+
+    limiter.check('ann');
+    limiter.check('ann');
+    assert.equal(limiter.hit('ann').allowed, true);
+  });
+
+  it('forgets hits outside the window', async () => {
+    const limiter = createRateLimiter({ limit: 1, windowMs: 20 });
+
+    limiter.hit('ann');
+    await new Promise(resolve => setTimeout(resolve, 30));
+    assert.equal(limiter.hit('ann').allowed, true);
+  });
+});
+
+describe('rateLimit middleware', () => {
+  it('answers 429 with Retry-After over the limit', () => {
+    const limiter = createRateLimiter({ limit: 1, windowMs: 60000 });
+    const middleware = rateLimit([{ limiter, key: req => req.ip }], 'Too many logins');
+
+    assert.equal(call(middleware, { ip: '10.0.0.1' }).status, 200);
+    const response = call(middleware, { ip: '10.0.0.1' });
+    assert.equal(response.status, 429);
+    assert.match(response.body.error, /^Too many logins, try again in \d+ s$/);
+    assert.ok(Number(response.headers['Retry-After']) > 0);
+  });
+
+  it("doesn't use up one limit when another rejects the request", () => {
+    const userLimiter = createRateLimiter({ limit: 5, windowMs: 60000 });
+    const ipLimiter = createRateLimiter({ limit: 1, windowMs: 60000 });
+    const middleware = rateLimit([
+      { limiter: userLimiter, key: req => req.user },
+      { limiter: ipLimiter, key: req => req.ip }
+    ]);
+
+    for (let i = 0; i < 4; i++) call(middleware, { user: 'ann', ip: '10.0.0.1' });
+
+    // One request got through; the three rejected ones left the user's budget alone
+    for (let i = 0; i < 4; i++) assert.equal(userLimiter.hit('ann').allowed, true);
+    assert.equal(userLimiter.hit('ann').allowed, false);
+  });
+
+  it('skips limits whose key is null', () => {
+    const limiter = createRateLimiter({ limit: 1, windowMs: 60000 });
+    const middleware = rateLimit([{ limiter, key: req => req.user }]);
+
+    assert.equal(call(middleware, { user: null }).status, 200);
+    assert.equal(call(middleware, { user: null }).status, 200);
+  });
+});
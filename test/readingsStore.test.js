@@ -0,0 +1,74 @@
+import assert from 'node:assert/strict';
+import fsp from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { after, before, describe, it } from 'node:test';
+
+import { addReadings, normalizeReading, parseTimestamp, queryReadings } from '../server/readingsStore.js';
+
+let dir;
+
+before(async () => {
+  dir = await fsp.mkdtemp(path.join(os.tmpdir(), 'readings-test-'));
+  process.env.DATA_DIR = dir;
+});
+
+after(async () => {
+  await fsp.rm(dir, { recursive: true, force: true });
+});
+
+describe('parseTimestamp', () => {
+  it('reads ISO strings and epoch milliseconds', () => {
+    assert.equal(parseTimestamp('2024-05-01T10:00:00.000Z'), Date.UTC(2024, 4, 1, 10));
+    assert.equal(parseTimestamp(1714557600000), 1714557600000);
+    assert.equal(parseTimestamp('1714557600000'), 1714557600000);
+  });
+
+  it('returns null for missing and invalid times', () => {
+    [undefined, null, '', 'yesterday'].forEach(value => assert.equal(parseTimestamp(value), null));
+  });
+});
+
+describe('normalizeReading', () => {
+  it('keeps the fields the history stores', () => {
+    assert.deepEqual(normalizeReading({
+      color: ' blue ', fill_level_percent: '42.5', tracker_id: 3, timestamp: 1714557600000, camera: ' Desk ', extra: 1
+    }), {
+      color: 'blue',
+      fill_level_percent: 42.5,
+      tracker_id: 3,
+      timestamp: '2024-05-01T10:00:00.000Z',
+      camera: 'Desk'
+    });
+  });
+
+  it('stores levels and tracker ids it cannot use as null', () => {
+    const reading = normalizeReading({ color: 'red', fill_level_percent: null, tracker_id: {}, timestamp: 0 });
+
+    assert.equal(reading.fill_level_percent, null);
+    assert.equal(reading.tracker_id, null);
+    assert.equal('camera' in reading, false);
+  });
+
+  it('refuses readings without a color or time', () => {
+    assert.equal(normalizeReading({ timestamp: 0 }), null);
+    assert.equal(normalizeReading({ color: 'red', timestamp: 'later' }), null);
+    assert.equal(normalizeReading('red'), null);
+  });
+});
+
+describe('history', () => {
+  it('queries stored readings by color, camera and time range', async () => {
+    await addReadings([
+      normalizeReading({ color: 'blue', fill_level_percent: 80, timestamp: 1000 }),
+      normalizeReading({ color: 'red', fill_level_percent: 60, timestamp: 2000 }),
+      normalizeReading({ color: 'blue', fill_level_percent: 70, timestamp: 3000, camera: 'Desk' })
+    ]);
+
+    const levels = readings => readings.map(reading => reading.fill_level_percent);
+    assert.deepEqual(levels(await queryReadings()), [80, 60, 70]);
+    assert.deepEqual(levels(await queryReadings({ color: 'blue' })), [80, 70]);
+    assert.deepEqual(levels(await queryReadings({ camera: 'Desk' })), [70]);
+    assert.deepEqual(levels(await queryReadings({ from: 2000, to: 3000 })), [60, 70]);
+  });
+});
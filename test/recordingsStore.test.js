@@ -0,0 +1,44 @@
+import assert from 'node:assert/strict';
+import fsp from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { after, before, describe, it } from 'node:test';
+
+import { listRecordings, recordingPath, saveRecording, validateRecording } from '../server/recordingsStore.js';
+
+let dir;
+
+before(async () => {
+  dir = await fsp.mkdtemp(path.join(os.tmpdir(), 'recordings-test-'));
+  process.env.DATA_DIR = dir;
+});
+
+after(async () => {
+  await fsp.rm(dir, { recursive: true, force: true });
+});
+
+describe('validateRecording', () => {
+  it('counts the messages of a JSONL recording, ignoring blank lines', () => {
+    assert.deepEqual(validateRecording('{"t":1,"data":{}}\n\n{"t":2,"data":{}}\n'), { messages: 2 });
+  });
+
+  it('names the first bad line', () => {
+    assert.equal(validateRecording('{"t":1,"data":{}}\nnope').error, 'Line 2 is not valid JSON');
+    assert.equal(validateRecording('{"t":"soon","data":{}}').error, 'Line 1 must have a numeric "t" and a "data" object');
+    assert.equal(validateRecording(' \n').error, 'Recording is empty');
+  });
+});
+
+describe('recordings', () => {
+  it('only resolves plain JSONL file names', () => {
+    assert.ok(recordingPath('session-1.jsonl').startsWith(dir));
+    assert.equal(recordingPath('../secrets.jsonl'), null);
+    assert.equal(recordingPath('session.txt'), null);
+  });
+
+  it('lists saved recordings', async () => {
+    const name = await saveRecording('{"t":1,"data":{}}\n');
+
+    assert.deepEqual((await listRecordings()).map(recording => [recording.name, recording.size]), [[name, 18]]);
+  });
+});
@@ -0,0 +1,170 @@
+import assert from 'node:assert/strict';
+import { setTimeout as sleep } from 'node:timers/promises';
+import { afterEach, describe, it } from 'node:test';
+
+import {
+  claimRenewal, getSession, listSessions, registerSession, releaseRenewal, releaseSlot, removeSession, reserveSlot,
+  startOrphanSweep, touchSession
+} from '../server/sessionRegistry.js';
+
+// The sweep logs every session it drops
+process.env.LOG_LEVEL = 'error';
+
+function start(pipelineId, options = {}) {
+  return registerSession({ pipelineId, user: 'ann', ip: '10.0.0.1', workflow: 'bottles', ...options });
+}
+
+const RENEWAL = { user: 'ann', ip: '10.0.0.1', windowMs: 5 * 60 * 1000 };
+
+afterEach(() => {
+  listSessions().forEach(session => {
+    releaseRenewal(session.pipelineId);
+    removeSession(session.pipelineId);
+  });
+});
+
+describe('session cap', () => {
+  it('counts running and starting sessions against the cap', () => {
+    start('a');
+    assert.equal(reserveSlot(2), true);
+    assert.equal(reserveSlot(2), false);
+
+    releaseSlot();
+    assert.equal(reserveSlot(2), true);
+    releaseSlot();
+  });
+
+  it('has no cap with a max of 0', () => {
+    start('a');
+    start('b');
+    assert.equal(reserveSlot(0), true);
+    releaseSlot();
+  });
+});
+
+describe('sessions', () => {
+  it('lists registered sessions oldest first until they are removed', async () => {
+    start('a', { processingTimeout: 600 });
+    await sleep(5);
+    start('b');
+
+    assert.deepEqual(listSessions().map(session => session.pipelineId), ['a', 'b']);
+    assert.ok(Date.parse(getSession('a').expiresAt) > Date.now());
+    assert.equal(getSession('b').expiresAt, null);
+
+    assert.equal(removeSession('a'), true);
+    assert.equal(removeSession('a'), false);
+    assert.equal(getSession('a'), null);
+  });
+
+  it('records heartbeats of running sessions only', () => {
+    start('a');
+    assert.equal(touchSession('a'), true);
+    assert.equal(touchSession('missing'), false);
+  });
+});
+
+describe('renewal claims', () => {
+  it('lets the owner claim one renewal shortly before the timeout', () => {
+    start('old', { processingTimeout: 60 });
+
+    assert.equal(claimRenewal('old', RENEWAL)?.pipelineId, 'old');
+    // Claimed already: a second start at the same time needs a slot
+    assert.equal(claimRenewal('old', RENEWAL), null);
+  });
+
+  it('refuses renewals by someone else, too early or of unknown sessions', () => {
+    start('old', { processingTimeout: 60 });
+    start('long', { processingTimeout: 3600 });
+    start('endless');
+
+    assert.equal(claimRenewal('old', { ...RENEWAL, user: 'bob' }), null);
+    assert.equal(claimRenewal('long', RENEWAL), null);
+    assert.equal(claimRenewal('endless', RENEWAL), null);
+    assert.equal(claimRenewal('missing', RENEWAL), null);
+  });
+
+  it('matches the client IP when there is no login', () => {
+    start('old', { user: null, processingTimeout: 60 });
+
+    assert.equal(claimRenewal('old', { ...RENEWAL, user: null, ip: '10.0.0.2' }), null);
+    assert.equal(claimRenewal('old', { ...RENEWAL, user: null })?.pipelineId, 'old');
+  });
+
+  it('stops counting a renewed session once its replacement registers', () => {
+    start('old', { processingTimeout: 60 });
+    claimRenewal('old', RENEWAL);
+    start('new', { processingTimeout: 60, renews: 'old' });
+    releaseRenewal('old');
+
+    assert.equal(getSession('old').replacedBy, 'new');
+    assert.equal(claimRenewal('old', RENEWAL), null);
+    assert.equal(reserveSlot(2), true);
+    releaseSlot();
+  });
+
+  it('counts the renewed session again when its replacement ends early', () => {
+    start('old', { processingTimeout: 60 });
+    start('new', { processingTimeout: 60, renews: 'old' });
+
+    removeSession('new');
+
+    assert.equal(getSession('old').replacedBy, null);
+    assert.equal(reserveSlot(1), false);
+  });
+
+  it('can be claimed again after a failed start released it', () => {
+    start('old', { processingTimeout: 60 });
+    claimRenewal('old', RENEWAL);
+    releaseRenewal('old');
+
+    assert.equal(claimRenewal('old', RENEWAL)?.pipelineId, 'old');
+  });
+});
+
+describe('orphan sweep', () => {
+  it('terminates sessions without a heartbeat', async () => {
+    const terminated = [];
+    start('a');
+    const stop = startOrphanSweep({
+      heartbeatTimeoutMs: 40,
+      terminate: async session => terminated.push(session.pipelineId)
+    });
+
+    await sleep(120);
+    stop();
+    assert.deepEqual(terminated, ['a']);
+    assert.equal(getSession('a'), null);
+  });
+
+  it('keeps a session listed while terminating it fails', async () => {
+    let attempts = 0;
+    start('a');
+    const stop = startOrphanSweep({
+      heartbeatTimeoutMs: 40,
+      terminate: async () => {
+        attempts++;
+        throw new Error('inference server answered 500');
+      }
+    });
+
+    await sleep(120);
+    stop();
+    assert.ok(attempts >= 2, `${attempts} attempt(s)`);
+    assert.equal(getSession('a')?.pipelineId, 'a');
+  });
+
+  it('drops sessions past their processing timeout without terminating them', async () => {
+    const terminated = [];
+    start('a', { processingTimeout: 0.01 });
+    const stop = startOrphanSweep({
+      heartbeatTimeoutMs: 40,
+      terminate: async session => terminated.push(session.pipelineId)
+    });
+
+    await sleep(60);
+    stop();
+    assert.deepEqual(terminated, []);
+    assert.equal(getSession('a'), null);
+  });
+});
@@ -0,0 +1,50 @@
+import assert from 'node:assert/strict';
+import fsp from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { after, before, describe, it } from 'node:test';
+
+import { deletePreset, listPresets, savePreset, validatePreset } from '../server/workflowPresetsStore.js';
+
+const spec = { version: '1.0', inputs: [], steps: [], outputs: [] };
+let dir;
+
+before(async () => {
+  dir = await fsp.mkdtemp(path.join(os.tmpdir(), 'presets-test-'));
+  process.env.DATA_DIR = dir;
+});
+
+after(async () => {
+  await fsp.rm(dir, { recursive: true, force: true });
+});
+
+describe('validatePreset', () => {
+  it('names a preset after its id by default', () => {
+    assert.deepEqual(validatePreset('bottles', { spec }), { preset: { id: 'bottles', name: 'bottles', spec } });
+    assert.equal(validatePreset('bottles', { spec, name: ' Bottles ' }).preset.name, 'Bottles');
+  });
+
+  it('checks the top-level shape of the spec', () => {
+    assert.ok(validatePreset('bottles', {}).error);
+    assert.ok(validatePreset('bottles', { spec: [] }).error);
+    assert.equal(validatePreset('bottles', { spec: { ...spec, steps: {} } }).error, 'spec.steps must be an array');
+    assert.equal(validatePreset('bottles', { spec, name: 3 }).error, 'name must be a string');
+  });
+});
+
+describe('presets', () => {
+  it('keeps every preset saved at the same time', async () => {
+    const ids = ['a', 'b', 'c', 'd', 'e'];
+
+    await Promise.all(ids.map(id => savePreset(validatePreset(id, { spec }).preset)));
+
+    assert.deepEqual(Object.keys(await listPresets()).sort(), ids);
+  });
+
+  it('deletes presets', async () => {
+    await savePreset(validatePreset('gone', { spec }).preset);
+
+    assert.equal(await deletePreset('gone'), true);
+    assert.equal(await deletePreset('gone'), false);
+  });
+});
@@ -1,10 +1,18 @@
+import { fileURLToPath } from 'node:url';
 import { defineConfig } from 'vite';
 
 export default defineConfig({
   root: 'src',
   build: {
     outDir: '../public',
-    emptyOutDir: true
+    emptyOutDir: true,
+    rollupOptions: {
+      // The dashboard and the read-only viewer page
+      input: {
+        main: fileURLToPath(new URL('./src/index.html', import.meta.url)),
+        viewer: fileURLToPath(new URL('./src/viewer.html', import.meta.url))
+      }
+    }
   },
   server: {
     port: 5173,